@@ -0,0 +1,677 @@
+const shared = require("./diplomacy-shared-utils/utils.js");
+
+/**
+ * Enum for storing the state of an order within the adjudication process.
+ * @readonly
+ * @enum {number}
+ */
+const resolutionStateEnum = {
+  Unresolved: 0,
+  Guessing: 1,
+  Resolved: 2
+}
+
+/**
+ * Enum for storing a type of backup rule needing to be processed.
+ * @readonly
+ * @enum {number}
+ */
+const backupRuleType = {
+  circle: 0,
+  convoy: 1
+}
+
+/**
+ * Enum for the DATC options for settling a convoy paradox.
+ * @readonly
+ * @enum {string}
+ */
+const paradoxRuleEnum = {
+  /** Convoys and convoyed moves in the paradox fail. Every other order is resolved normally. */
+  Szykman: "szykman",
+  /** Every unit in the paradox holds, so all of its orders fail. */
+  AllHold: "all-hold"
+}
+
+/**
+ * Enum for the DATC options for a fleet moving to a province with multiple coasts without specifying one.
+ * @readonly
+ * @enum {string}
+ */
+const missingCoastRuleEnum = {
+  /** Use the only coast the fleet can reach, if there is exactly one. */
+  Default: "default",
+  /** The order is invalid. */
+  Fail: "fail"
+}
+
+/**
+ * A set of choices among the rules the DATC leaves to the implementer.
+ * @typedef {Object} RulesProfile
+ * @property {paradoxRuleEnum} paradox How convoy paradoxes are settled.
+ * @property {boolean} convoyDislodgeSamePower Whether an army convoyed by a fleet can dislodge a unit belonging to the same power as that fleet.
+ * @property {missingCoastRuleEnum} missingCoast What happens when a fleet moves to a province with multiple coasts without specifying one.
+ */
+
+/** @type {RulesProfile} */
+const defaultRules = {
+  paradox: paradoxRuleEnum.Szykman,
+  convoyDislodgeSamePower: true,
+  missingCoast: missingCoastRuleEnum.Fail
+};
+
+/**
+ * Create a complete rules profile, using the default for each option that isn't specified. Throws an error for unknown options or values.
+ * @param {Object} overrides
+ * @returns {RulesProfile}
+ */
+function create_rules(overrides={}) {
+  let rules = Object.assign({}, defaultRules);
+  for (let key in overrides) {
+    if (!(key in defaultRules)) throw Error(`Unknown rule ${key}.`);
+
+    let val = overrides[key];
+    if (typeof defaultRules[key] == "boolean") {
+      if (val === "true" || val === "false") val = val == "true";
+      if (typeof val != "boolean") throw Error(`Rule ${key} must be true or false.`);
+    }
+    rules[key] = val;
+  }
+
+  if (!Object.values(paradoxRuleEnum).includes(rules.paradox)) throw Error(`Unknown paradox rule ${rules.paradox}.`);
+  if (!Object.values(missingCoastRuleEnum).includes(rules.missingCoast)) throw Error(`Unknown missing coast rule ${rules.missingCoast}.`);
+
+  return rules;
+}
+
+/**
+ * Create a rules profile from a list of strings of the form `{option}={value}`.
+ * @param {string[]} list
+ * @returns {RulesProfile}
+ */
+function rules_from_strings(list) {
+  return create_rules(Object.fromEntries(list.map(str => {
+    let [key, ...val] = str.split("=");
+    return [key.trim(), val.join("=").trim()];
+  })));
+}
+
+/**
+ * Enum for the kinds of steps recorded in an adjudication trace.
+ * @readonly
+ * @enum {string}
+ */
+const traceStepEnum = {
+  /** Started resolving an order. */
+  Resolve: "resolve",
+  /** An order's resolution was looked up instead of being resolved again. */
+  Known: "known",
+  /** A resolution was guessed for an order in order to resolve its dependencies. */
+  Guess: "guess",
+  /** An order was adjudicated using the current guesses. Includes strengths and the reason for the outcome. */
+  Adjudicate: "adjudicate",
+  /** An order was found to depend on itself. */
+  Cycle: "cycle",
+  /** A paradox was settled by the backup rule. */
+  BackupRule: "backup-rule",
+  /** An order's final result. */
+  Result: "result"
+}
+
+/**
+ * A single step of the resolution process.
+ * @typedef {Object} TraceEntry
+ * @property {traceStepEnum} step
+ * @property {string} order ID of the order the step is about.
+ * @property {number} depth How deeply nested the step is within the resolution of other orders.
+ * @property {boolean} [success] Outcome or guess for the order, if the step has one.
+ * @property {string} [reason] Why the order succeeded or failed.
+ * @property {Object.<string,number>} [strengths] Strengths computed for a move order.
+ */
+
+/**
+ * The units on the board and who controls them.
+ * @typedef {Object} Position
+ * @property {Object.<string,{units:shared.Unit[]}>} nations Units keyed by country ID.
+ * @property {Object.<string,string>} players Username controlling each country. Units whose countries have the same player can't attack each other.
+ */
+
+/**
+ * A unit removed from the board by a successful attack.
+ * @typedef {Object} Dislodgement
+ * @property {shared.Unit} unit The dislodged unit.
+ * @property {string} from Province the attack came from, or empty if the attacker was convoyed.
+ * @property {string} country ID of the country owning the dislodged unit.
+ */
+
+/**
+ * The outcome of adjudicating a set of orders.
+ * @typedef {Object} AdjudicationResult
+ * @property {shared.orderResultEnum[]} results Result of each order, in the same order as the orders passed in.
+ * @property {Object.<string,Dislodgement>} dislodgements Dislodged units keyed by the province they were dislodged from.
+ * @property {string[]} contested Unoccupied provinces where moves bounced.
+ * @property {Object.<string,{units:shared.Unit[]}>} nations Units of each country after successful moves are made and dislodged units are removed.
+ * @property {TraceEntry[]} trace Every step taken to resolve the orders.
+ */
+
+/**
+ * A read-only view of a position on a map with the helper methods needed by the resolver.
+ */
+class Board {
+  /**
+   * @param {Position} position
+   * @param {shared.MapInfo} mapInfo
+   */
+  constructor(position, mapInfo) {
+    /** @type {Position} */
+    this.position = position;
+
+    /** @type {shared.MapInfo} */
+    this.mapInfo = mapInfo;
+
+    /**
+     * ID's of provinces adjacent to each province through any route, regardless of coast.
+     * @type {Object.<string,string[]>}
+     */
+    this.adjacencies = {};
+    for (let route of mapInfo.routes) {
+      if (!this.adjacencies[route.p0]) this.adjacencies[route.p0] = [];
+      if (!this.adjacencies[route.p1]) this.adjacencies[route.p1] = [];
+      if (!this.adjacencies[route.p0].includes(route.p1)) this.adjacencies[route.p0].push(route.p1);
+      if (!this.adjacencies[route.p1].includes(route.p0)) this.adjacencies[route.p1].push(route.p0);
+    }
+  }
+
+  /**
+   * Get the unit in a province, or undefined if there isn't one.
+   * @param {string} province
+   * @returns {shared.Unit}
+   */
+  get_unit(province) {
+    for (let c in this.position.nations) {
+      let unit = this.position.nations[c].units.find(u => u.province == province);
+      if (unit) return unit;
+    }
+    return undefined;
+  }
+
+  /**
+   * Get the ID of the country owning the unit in a province, or undefined if there isn't one.
+   * @param {string} province
+   * @returns {string}
+   */
+  get_unit_owner_id(province) {
+    return Object.keys(this.position.nations).find(c => this.position.nations[c].units.some(u => u.province == province));
+  }
+
+  /**
+   * Return whether the units at `provinceA` and `provinceB` are on the same team (i.e. unable to attack each other).
+   * @param {string} provinceA ID of province for first unit.
+   * @param {string} provinceB ID of province for second unit.
+   * @returns {boolean} Whether the units are on the same time.
+   */
+  same_team(provinceA, provinceB) {
+    return this.position.players[this.get_unit_owner_id(provinceA)] == this.position.players[this.get_unit_owner_id(provinceB)];
+  }
+
+  /**
+   * Return whether `support` is an order supporting a move order `move`.
+   * @param {shared.Order} move Move order to be supported. This is assumed to be a move order.
+   * @param {shared.Order} support Supporting order.
+   * @returns {boolean} Whether `support` is a valid support order for `move`.
+   */
+  move_supports(move, support) {
+    return this.move_supports_ignore_teams(move, support) && !this.same_team(move.dest, support.province);
+  }
+
+  /**
+   * Return whether `support` is an order supporting a move order `move` without considering the teams of both units.
+   * @param {shared.Order} move Move order to be supported. This is assumed to be a move order.
+   * @param {shared.Order} support Supporting order.
+   * @returns {boolean} Whether `support` is a valid support order for `move`.
+   */
+  move_supports_ignore_teams(move, support) {
+    return support.type == shared.orderTypeEnum["support move"] && move.dest == support.supporting && move.province == support.from;
+  }
+
+  /**
+   * Return whether `support` is an order supporting the unit in `province` to hold.
+   * @param {string} province Province of unit to be supported.
+   * @param {shared.Order} support Supporting order.
+   * @returns {boolean} Whether `support` is a valid hold support for the unit at `province`.
+   */
+  hold_supports(province, support) {
+    return support.type == shared.orderTypeEnum["support hold"] && province == support.supporting;
+  }
+
+  /**
+   * Find all distinct convoy routes from `start` to `end`, assuming all convoy orders in `orders` are successful.
+   * @param {shared.Order[]} orders All convoy orders are assumed to succeed.
+   * @param {string} start Starting province.
+   * @param {string} end Ending province.
+   * @returns {number[][]} A list of routes where each route is a list of order indices for orders that must succeed for the route to succeed.
+   */
+  all_convoy_routes(orders, start, end) {
+    /** @type {string[]} */
+    let provinces = orders.filter(o => o.type == shared.orderTypeEnum.convoy && o.start == start && o.end == end).map(o => o.province);
+    provinces.push(end);
+
+    /**
+     * All routes from `from` to `to` that don't pass through provinces in `ignore`.
+     * @param {string} from
+     * @param {string} to
+     * @param {string[]} ignore
+     */
+    let routes = (from, ignore) => {
+      if (from == end) return [[]];
+
+      let filtered = provinces.filter(p => !ignore.includes(p));
+
+      if (filtered.length == 0) return [];
+
+      // Get all adjacencies
+      let adj = this.adjacencies[from] || [];
+
+      // Filter them to only include unignored valid convoys.
+      let filtered_adj = adj.filter(p => filtered.includes(p));
+
+      // For each, find the routes from the adjacency to end and prepend the adjacency to each route unless the adjacency is the destination of the route.
+      let adj_routes = filtered_adj.map(p => routes(p, ignore.concat(p)).map(r => p == end ? r : [p].concat(...r)));
+
+      // Flatten the list of lists of routes to get a list of routes.
+      let flattened = adj_routes.flat();
+
+      return flattened;
+    };
+
+    /** @type {number[]} */
+    let indices = provinces.map(p => orders.findIndex(o => o.province == p));
+
+    // Return the routes, replacing province strings with corresponding order indices
+    return routes(start, []).filter(r => r.length).map(route => route.map(p => indices[provinces.indexOf(p)]));
+  }
+}
+
+/**
+ * Adjudicate a set of movement phase orders. Nothing passed in is modified.
+ * @param {Position} position The units on the board before the orders are executed.
+ * @param {shared.MapInfo} mapInfo The map being played on.
+ * @param {shared.Order[]} orders One order for each unit that should take part. Units without an order are treated as having no order at all, not as holding.
+ * @param {{log?:boolean,rules?:RulesProfile}} options Set `log` to also print the trace to the console. `rules` defaults to `defaultRules`.
+ * @returns {AdjudicationResult}
+ */
+function adjudicate(position, mapInfo, orders, options={}) {
+  let board = new Board(position, mapInfo);
+  let rules = options.rules || defaultRules;
+
+  /** @type {TraceEntry[]} */
+  let trace = [];
+
+  /** @type {resolutionStateEnum[]} */
+  let resolutionStates = new Array(orders.length).fill(resolutionStateEnum.Unresolved);
+
+  /** @type {boolean[]} */
+  let resolutions = new Array(orders.length);
+
+  /** @type {number[]} */
+  let dep_list = [];
+
+  let tabsize = 0;
+
+  /**
+   * Record a step of the resolution process.
+   * @param {traceStepEnum} step
+   * @param {number} orderIndex
+   * @param {Object} details Extra properties for the trace entry.
+   */
+  let record = (step, orderIndex, details={}) => {
+    let entry = Object.assign({ step: step, order: orders[orderIndex].id, depth: tabsize }, details);
+    trace.push(entry);
+    if (options.log) {
+      let extras = Object.entries(details).map(([key, val]) => `${key}=${JSON.stringify(val)}`).join(" ");
+      console.log(`${"  ".repeat(tabsize)}${step} ${entry.order}${extras ? " " + extras : ""}`);
+    }
+  };
+
+  /**
+   * @param {number} orderIndex
+   */
+  let resolve = (orderIndex) => {
+    record(traceStepEnum.Resolve, orderIndex);
+    tabsize += 1;
+    switch (resolutionStates[orderIndex]) {
+      case resolutionStateEnum.Resolved:
+        record(traceStepEnum.Known, orderIndex, { success: resolutions[orderIndex], reason: "Already resolved" });
+        tabsize -= 1;
+        return resolutions[orderIndex];
+      case resolutionStateEnum.Guessing:
+        dep_list.push(orderIndex);
+        record(traceStepEnum.Known, orderIndex, { success: resolutions[orderIndex], reason: "Already guessed" });
+        tabsize -= 1;
+        return resolutions[orderIndex];
+      case resolutionStateEnum.Unresolved: {
+        let old_dep_size = dep_list.length;
+
+        resolutions[orderIndex] = false;
+        resolutionStates[orderIndex] = resolutionStateEnum.Guessing;
+
+        record(traceStepEnum.Guess, orderIndex, { success: resolutions[orderIndex] });
+
+        let adj_res = adjudicate_order(orderIndex);
+
+        // No dependencies
+        if (old_dep_size == dep_list.length) {
+          resolutionStates[orderIndex] = resolutionStateEnum.Resolved;
+          resolutions[orderIndex] = adj_res;
+          tabsize -= 1;
+          return adj_res;
+        }
+
+        // Dependency, but doesn't depend on itself
+        if (dep_list[old_dep_size] != orderIndex) {
+          dep_list.push(orderIndex);
+          resolutions[orderIndex] = adj_res;
+          tabsize -= 1;
+          return adj_res;
+        }
+
+        // Dependency on itself (cycle)
+
+        // Set all dependencies to unresolved
+        for (let i = dep_list.length - 1; i >= old_dep_size; i--) {
+          resolutionStates[dep_list[i]] = resolutionStateEnum.Unresolved;
+        }
+
+        // Try again with other guess
+        resolutions[orderIndex] = true;
+        resolutionStates[orderIndex] = resolutionStateEnum.Guessing;
+
+        record(traceStepEnum.Guess, orderIndex, { success: resolutions[orderIndex] });
+
+        let adj_res_2 = adjudicate_order(orderIndex);
+
+        // Cycle only has one resolution
+        if (adj_res == adj_res_2) {
+          record(traceStepEnum.Cycle, orderIndex, { success: adj_res, reason: "Cycle has only one resolution" });
+          // Set all dependencies to unresolved
+          for (let i = dep_list.length - 1; i >= old_dep_size; i--) {
+            resolutionStates[dep_list[i]] = resolutionStateEnum.Unresolved;
+          }
+
+          resolutions[orderIndex] = adj_res;
+          resolutionStates[orderIndex] = resolutionStateEnum.Resolved;
+          tabsize -= 1;
+          return adj_res;
+        }
+
+        // Cycle has two or no resolutions, pass to backup rule.
+        // Clean up dependencies so that dep_list.length == old_dep_size
+        // Dependencies should be set to Resolved or Unresolved.
+        record(traceStepEnum.Cycle, orderIndex, { reason: adj_res ? "Cycle has two resolutions" : "Cycle has no resolutions" });
+        backup_rule(old_dep_size);
+
+        // Start over in case backup rule leaves some orders unresolved.
+        tabsize -= 1;
+        return resolve(orderIndex);
+      }
+    }
+  };
+
+  /** Return whether any convoy route succeeds for a convoy move order `order`. Also returns true if order is not a convoy movement. */
+  let any_convoy_route = (order) => {
+    // Convoys fail if any of the fleets can't convoy
+    if (order.isConvoy) {
+      for (let route of board.all_convoy_routes(orders, order.province, order.dest)) {
+        let routeworks = true;
+        for (let i of route) {
+          if (!resolve(i)) {
+            routeworks = false;
+            break;
+          }
+        }
+        if (routeworks) return true;
+      }
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @param {number} orderIndex
+   */
+  let adjudicate_order = (orderIndex) => {
+    let order = orders[orderIndex];
+
+    /**
+     * Record the outcome of adjudicating this order and return it.
+     * @param {boolean} success
+     * @param {string} reason
+     * @param {Object.<string,number>} strengths
+     */
+    let outcome = (success, reason, strengths) => {
+      record(traceStepEnum.Adjudicate, orderIndex, strengths ? { success: success, reason: reason, strengths: strengths } : { success: success, reason: reason });
+      return success;
+    };
+
+    switch (order.type) {
+      case shared.orderTypeEnum.hold:
+        return outcome(true, "Holds");
+      case shared.orderTypeEnum["support hold"]:
+      case shared.orderTypeEnum["support move"]:
+        for (let i = 0; i < orders.length; i++) {
+          let o = orders[i];
+          // Cut support if attacked by a foreign power from any province other than the one being supported, except if the cutting unit is unsuccessfully convoyed
+          if (o.type == shared.orderTypeEnum.move && o.dest == order.province && !board.same_team(o.province, order.province) && (o.province != order.supporting || resolve(i)) && any_convoy_route(o)) {
+            return outcome(false, `Support cut by ${o.id}`);
+          }
+        }
+        return outcome(true, "Support not cut");
+      case shared.orderTypeEnum.move: {
+        if (!any_convoy_route(order)) return outcome(false, "No successful convoy route");
+
+        if (!contested.includes(order.dest)) contested.push(order.dest);
+
+        /**
+         * @param {shared.Order} ord
+         */
+        let strength = ord => orders.filter((o, i) => board.move_supports(ord, o) && resolve(i)).length;
+        let strength_ignore_teams = ord => orders.filter((o, i) => board.move_supports_ignore_teams(ord, o) && resolve(i)).length;
+        let def_strength = p => orders.filter((o, i) => board.hold_supports(p, o) && resolve(i)).length;
+
+        // Hold strength is 0 if the destination is empty or contains a unit that successfully moves.
+        // Hold strength is 1 if the destination contains a unit that is ordered to move but fails.
+        // Otherwise, hold strength is 1 plus the number of units that support the unit to hold.
+        let holding_unit = board.get_unit(order.dest);
+        let holding_unit_move_order = orders.findIndex(o => o.type == shared.orderTypeEnum.move && o.province == order.dest);
+        let hold_strength = !holding_unit || (holding_unit_move_order != -1 && resolve(holding_unit_move_order))
+          ? 0 // Either no holding unit or the holding unit successfully moves
+          : (holding_unit_move_order != -1
+            ? 1 // Holding unit unsuccessfully moves
+            : 1 + def_strength(order.dest)); // Hold strength is 1 plus number of supports to hold
+
+        // Attack strength is 1 plus the number of movement supports if the destination is empty or there's no head-to-head battle and the destination unit successfully moves
+        // Otherwise, attack strength is 0 if the unit at the destination is of the same nationality
+        // Otherwise, attack strength is 1 plus the number of successfully supporting units that aren't the same nationality as the destination unit
+        // Depending on the rules, a unit can't be dislodged by an army that its own power is convoying
+        let is_hth_battle = holding_unit_move_order != -1 && !order.isConvoy && !orders[holding_unit_move_order].isConvoy && orders[holding_unit_move_order].dest == order.province;
+        let convoyed_by_defender = order.isConvoy && !rules.convoyDislodgeSamePower && !!holding_unit
+          && orders.some(o => o.type == shared.orderTypeEnum.convoy && o.start == order.province && o.end == order.dest && board.same_team(o.province, order.dest));
+        let attack_strength = !holding_unit || (!is_hth_battle && holding_unit_move_order != -1 && resolve(holding_unit_move_order))
+          ? 1 + strength_ignore_teams(order) // Destination is empty or there's no head-to-head battle and the destination unit moves
+          : ((board.same_team(order.province, order.dest) || convoyed_by_defender) && !(holding_unit_move_order != -1 && resolve(holding_unit_move_order))
+            ? 0 // Attacking and defending units are on the same team
+            : 1 + strength(order)); // Attack strength is 1 plus number of supports
+
+        // Get orders that are competing for the same territory
+        let other_attacks = orders.filter((o, i) => i != orderIndex && o.type == shared.orderTypeEnum.move && o.dest == order.dest);
+
+        /** @type {Object.<string,number>} */
+        let strengths = { attack: attack_strength, hold: hold_strength };
+
+        // If there's a head-to-head battle, calculate defend strength
+        if (is_hth_battle) {
+          // Defend strength is 1 plus the number of support orders
+          let defend_strength = 1 + strength_ignore_teams(orders[holding_unit_move_order]);
+          strengths.defend = defend_strength;
+          if (defend_strength >= attack_strength) return outcome(false, `Lost head-to-head battle with ${orders[holding_unit_move_order].id}`, strengths);
+        } else if (hold_strength >= attack_strength) {
+          return outcome(false, `Attack strength doesn't beat hold strength in ${order.dest}`, strengths);
+        }
+
+        for (let attack of other_attacks) {
+          // Prevent strength is 0 if part of a head-to-head battle with a unit that successfully moves
+          // Otherwise, prevent strength is 1 plus the number of successfully supporting units
+          let successful_hth_order = orders.find((o, i) => o.type == shared.orderTypeEnum.move && o.province == attack.dest && o.dest == attack.province && !o.isConvoy && !attack.isConvoy && resolve(i));
+          let prevent_strength = successful_hth_order || !any_convoy_route(attack) ? 0 : 1 + strength_ignore_teams(attack);
+          strengths[`prevent ${attack.province}`] = prevent_strength;
+          if (prevent_strength >= attack_strength) return outcome(false, `Prevented by ${attack.id}`, strengths);
+        }
+
+        return outcome(true, "Attack strength beats every opposing strength", strengths);
+      }
+      case shared.orderTypeEnum.convoy:
+        for (let i = 0; i < orders.length; i++) {
+          let o = orders[i];
+          if (o.type == shared.orderTypeEnum.move && o.dest == order.province && !board.same_team(o.province, order.province) && resolve(i)) {
+            return outcome(false, `Convoying fleet dislodged by ${o.id}`);
+          }
+        }
+        return outcome(true, "Convoying fleet not dislodged");
+    }
+  };
+
+  let backup_rule_type = (_dep_start_index) => {
+    for (let i_dep = _dep_start_index; i_dep < dep_list.length; i_dep++) {
+      let i = dep_list[i_dep];
+      if (orders[i].type == shared.orderTypeEnum.move && orders.find(o => o.type == shared.orderTypeEnum.convoy && o.province == orders[i].dest)) {
+        return backupRuleType.convoy;
+      }
+    }
+    return backupRuleType.circle;
+  }
+
+  /**
+   * @param {number} dep_start_index Index of first dependency in this cycle.
+   */
+  let backup_rule = (_dep_start_index) => {
+    let type = backup_rule_type(_dep_start_index);
+    for (let i_dep = dep_list.length - 1; i_dep >= _dep_start_index; i_dep--) {
+      let i = dep_list[i_dep];
+      if (type == backupRuleType.convoy && rules.paradox == paradoxRuleEnum.AllHold) {
+        resolutions[i] = false;
+        resolutionStates[i] = resolutionStateEnum.Resolved;
+        record(traceStepEnum.BackupRule, i, { success: false, reason: "Convoy paradox: every unit in the paradox holds" });
+      } else if (type == backupRuleType.convoy && (orders[i].type == shared.orderTypeEnum.convoy || (orders[i].type == shared.orderTypeEnum.move && orders[i].isConvoy))) {
+        resolutions[i] = false;
+        resolutionStates[i] = resolutionStateEnum.Resolved;
+        record(traceStepEnum.BackupRule, i, { success: false, reason: "Convoy paradox: convoys and convoyed moves fail" });
+      } else if (type == backupRuleType.circle && orders[i].type == shared.orderTypeEnum.move) {
+        resolutions[i] = true;
+        resolutionStates[i] = resolutionStateEnum.Resolved;
+        record(traceStepEnum.BackupRule, i, { success: true, reason: "Circular movement: moves succeed" });
+      } else {
+        resolutionStates[i] = resolutionStateEnum.Unresolved;
+      }
+      dep_list.pop();
+    }
+  }
+
+  /** Units to be dislodged. */
+  let to_dislodge = [];
+
+  /** Units that shouldn't be dislodged because they're moving. */
+  let cannot_dislodge = [];
+
+  /** Successful move orders to be executed simultaneously. */
+  let successful_moves = [];
+
+  /**
+   * List of provinces that are contested.
+   * @type {Array<string>}
+   */
+  let contested = [];
+
+  /** @type {shared.orderResultEnum[]} */
+  let results = [];
+
+  for (let i = 0; i < orders.length; i++) {
+    let order = orders[i];
+    let success = resolve(i);
+
+    if (success && order.type == shared.orderTypeEnum.move) {
+      to_dislodge.push({ unit: order.dest, attacker: order.isConvoy ? "" : order.province });
+      cannot_dislodge.push(order.province);
+
+      successful_moves.push(order);
+    }
+
+    results[i] = success ? shared.orderResultEnum.success : shared.orderResultEnum.fail;
+
+    record(traceStepEnum.Result, i, { success: success });
+  }
+
+  /** @type {Object.<string,{units:shared.Unit[]}>} */
+  let nations = JSON.parse(JSON.stringify(position.nations));
+  let after = new Board({ nations: nations, players: position.players }, mapInfo);
+
+  /** @type {Object.<string,Dislodgement>} */
+  let dislodgements = {};
+
+  to_dislodge = to_dislodge.filter(d => !cannot_dislodge.includes(d.unit));
+  for (let d of to_dislodge) {
+    let dislodged_index = orders.findIndex(o => o.province == d.unit);
+    if (dislodged_index != -1) {
+      results[dislodged_index] = shared.orderResultEnum.dislodged;
+
+      let unit = after.get_unit(d.unit);
+      if (unit) {
+        let country = after.get_unit_owner_id(d.unit);
+        dislodgements[d.unit] = {
+          unit: unit,
+          from: d.attacker,
+          country: country
+        };
+        nations[country].units = nations[country].units.filter(u => u != unit);
+      }
+    }
+  }
+
+  // Moving units are found before any of them move so that swaps work
+  let moving_units = successful_moves.map(order => after.get_unit(order.province));
+  successful_moves.forEach((order, i) => {
+    moving_units[i].province = order.dest;
+    moving_units[i].coast = order.coast;
+  });
+
+  // Contested provinces are unoccupied provinces where at least one order satisfies the following:
+  //   - The order is not a convoy that failed because it didn't have a route (i.e. the province is already in "contested" array)
+  //   - The order is a move order that failed to move
+  //   - The order was not dislodged from where it was attempting to move
+  let failed_moves = orders.map((o, i) => i).filter(i => orders[i].type == shared.orderTypeEnum.move && results[i] != shared.orderResultEnum.success);
+  contested = contested.filter(p => {
+    if (after.get_unit(p)) return false;
+    for (let i of failed_moves) {
+      if (results[i] != shared.orderResultEnum.dislodged || !to_dislodge.some(d => d.unit == orders[i].province && d.attacker == orders[i].dest)) {
+        return true;
+      }
+    }
+    return false;
+  });
+
+  return {
+    results: results,
+    dislodgements: dislodgements,
+    contested: contested,
+    nations: nations,
+    trace: trace
+  };
+}
+
+exports.adjudicate = adjudicate;
+exports.create_rules = create_rules;
+exports.rules_from_strings = rules_from_strings;
+exports.defaultRules = defaultRules;
+exports.paradoxRuleEnum = paradoxRuleEnum;
+exports.missingCoastRuleEnum = missingCoastRuleEnum;
+exports.traceStepEnum = traceStepEnum;
+exports.Board = Board;
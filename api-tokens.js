@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+
+/**
+ * Enum for what an API token can be used for.
+ * @readonly
+ * @enum {string}
+ */
+const tokenScopeEnum = {
+  /** Only GET requests. */
+  Read: "read",
+  /** GET requests, plus writing orders for one game. */
+  Submit: "submit",
+  /** Everything the user can do with their cookie, including managing tokens. */
+  Admin: "admin"
+}
+
+/**
+ * Prefix of every API token, so that they are easy to recognize.
+ */
+const tokenPrefix = "dip_";
+
+/**
+ * An API token as stored. The token itself is only stored as a hash.
+ * @typedef {Object} ApiToken
+ * @property {number} id
+ * @property {string} username
+ * @property {string} name Label chosen by the user.
+ * @property {tokenScopeEnum} scope
+ * @property {number} game ID of the game a `submit` token can write orders for, or null.
+ * @property {number} createdAt
+ * @property {number} lastUsed Time the token was last used, or 0 if it never has been.
+ */
+
+/**
+ * @param {string} token
+ * @returns {string} Hex SHA-256 of the token.
+ */
+function hash_token(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Create an API token for a user.
+ * @param {Object} storage Storage backend from storage.js.
+ * @param {string} username
+ * @param {string} name
+ * @param {tokenScopeEnum} scope
+ * @param {number} game ID of the game a `submit` token can write orders for. Ignored for other scopes.
+ * @returns {Promise<{id:number,token:string}>} The new token's ID and the token itself, which can't be retrieved again.
+ */
+async function create_token(storage, username, name, scope, game=null) {
+  if (!Object.values(tokenScopeEnum).includes(scope)) throw Error(`Unknown token scope ${scope}.`);
+  if (scope == tokenScopeEnum.Submit && !(game > 0)) throw Error("Tokens with the submit scope need a game.");
+
+  let token = tokenPrefix + crypto.randomBytes(32).toString("hex");
+  let id = await storage.add_api_token({
+    username: username,
+    hash: hash_token(token),
+    name: name || "",
+    scope: scope,
+    game: scope == tokenScopeEnum.Submit ? Number(game) : null,
+    createdAt: Date.now(),
+    lastUsed: 0
+  });
+  return { id: id, token: token };
+}
+
+/**
+ * Get whether a token can be used for a request that needs `scope`.
+ * @param {ApiToken} token
+ * @param {tokenScopeEnum} scope
+ * @param {express.Request} req
+ * @returns {boolean}
+ */
+function token_allows(token, scope, req) {
+  switch (token.scope) {
+    case tokenScopeEnum.Admin:
+      return true;
+    case tokenScopeEnum.Submit:
+      return scope == tokenScopeEnum.Read || (scope == tokenScopeEnum.Submit && Number(req.params.id) == token.game);
+    default:
+      return scope == tokenScopeEnum.Read;
+  }
+}
+
+/**
+ * Authenticate a request with an `Authorization: Bearer` header if it has one, or the `auth_token` cookie otherwise.
+ * @param {Object} storage Storage backend from storage.js.
+ * @param {express.Request} req
+ * @param {string} app String ID of app to check permissions.
+ * @param {tokenScopeEnum} scope Scope an API token needs for this request. Cookies can do everything.
+ * @returns {Promise<[boolean, string?]>} Whether the user is authenticated and the username or reason for not being authenticated.
+ */
+async function authenticate(storage, req, app, scope) {
+  let header = req.get("Authorization");
+  if (!header) return await storage.authenticate(req, app);
+
+  let match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) return [false, "Malformed Authorization header."];
+
+  let token = await storage.find_api_token(hash_token(match[1]));
+  if (!token) return [false, "No matching API token found."];
+  if (!(await storage.user_app_permission(token.username, app))) return [false, `User ${token.username} doesn't have permission to use app ${app}.`];
+  if (!token_allows(token, scope, req)) return [false, `API token ${token.id} doesn't have the ${scope} scope for this request.`];
+
+  await storage.touch_api_token(token.id, Date.now());
+  return [true, token.username];
+}
+
+exports.tokenScopeEnum = tokenScopeEnum;
+exports.hash_token = hash_token;
+exports.create_token = create_token;
+exports.token_allows = token_allows;
+exports.authenticate = authenticate;
@@ -0,0 +1,304 @@
+const shared = require("./diplomacy-shared-utils/utils.js");
+
+/**
+ * Enum for how well a bot plays.
+ * @readonly
+ * @enum {string}
+ */
+const botStrengthEnum = {
+  /** Picks a random legal order for every unit. */
+  Random: "random",
+  /** Goes after supply centers it doesn't own and supports its own attacks. */
+  Heuristic: "heuristic",
+  /** Played by a program connected to the DAIDE server rather than by this server. */
+  External: "external"
+}
+
+/**
+ * Prefix of every bot's username. Bot usernames are `bot:<strength>:<country>`, so each country a bot plays is its own player.
+ */
+const botPrefix = "bot:";
+
+/**
+ * How much the heuristic bot values a supply center it doesn't own, in the same units as one move of distance.
+ */
+const supplyCenterValue = 10;
+
+/**
+ * Extra value the heuristic bot gives holding a threatened supply center of its own.
+ */
+const defenseValue = 5;
+
+/**
+ * @param {botStrengthEnum} strength
+ * @param {string} country ID of the country the bot plays.
+ * @returns {string} Username of the bot.
+ */
+function bot_username(strength, country) {
+  if (!Object.values(botStrengthEnum).includes(strength)) throw Error(`Unknown bot strength ${strength}.`);
+  return `${botPrefix}${strength}:${country}`;
+}
+
+/**
+ * @param {string} username
+ * @returns {boolean} Whether the username belongs to a bot.
+ */
+function is_bot(username) {
+  return !!username && username.startsWith(botPrefix);
+}
+
+/**
+ * @param {string} username
+ * @returns {boolean} Whether the username belongs to a bot whose orders this server writes.
+ */
+function is_automatic_bot(username) {
+  return is_bot(username) && bot_strength(username) != botStrengthEnum.External;
+}
+
+/**
+ * @param {string} username Username of a bot.
+ * @returns {botStrengthEnum}
+ */
+function bot_strength(username) {
+  return username.slice(botPrefix.length).split(":")[0];
+}
+
+/**
+ * @param {string} username Username of a bot.
+ * @returns {string} Name shown in place of a first name, like `Heuristic bot`.
+ */
+function bot_display_name(username) {
+  let strength = bot_strength(username);
+  return `${strength.charAt(0).toUpperCase()}${strength.slice(1)} bot`;
+}
+
+/**
+ * @template T
+ * @param {T[]} list
+ * @returns {T[]} A shuffled copy of `list`.
+ */
+function shuffled(list) {
+  let copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    let j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Pick adjustment orders for different provinces, in the order they are given.
+ * @param {shared.AdjustOrder[]} orders
+ * @param {number} count Maximum number of orders to pick.
+ * @returns {shared.AdjustOrder[]}
+ */
+function pick_adjustments(orders, count) {
+  let picked = [];
+  for (let order of orders) {
+    if (picked.length >= count) break;
+    if (!picked.some(o => o.province == order.province)) picked.push(order);
+  }
+  return picked;
+}
+
+/**
+ * Get the units dislodged from a country this turn.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} country
+ * @returns {Object[]} Dislodgements as stored on the previous state.
+ */
+function country_dislodgements(gameData, country) {
+  let prev_state = gameData.history[gameData.history.length - 2];
+  return Object.values(prev_state.dislodgements).filter(d => d.country == country);
+}
+
+/**
+ * Get a random legal order for every unit, retreat, or adjustment a country has to order this phase.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} country
+ * @returns {shared.Order[]}
+ */
+function random_orders(gameData, country) {
+  let pick = list => list[Math.floor(Math.random() * list.length)];
+
+  switch (gameData.phase) {
+    case shared.phaseEnum["Order Writing"]:
+      return gameData.state.nations[country].units.map(unit => pick(gameData.get_valid_orders(unit))).filter(o => o);
+    case shared.phaseEnum.Retreating:
+      // Units without a retreat are disbanded automatically
+      return country_dislodgements(gameData, country).map(d => pick(gameData.get_valid_retreats(d))).filter(o => o);
+    case shared.phaseEnum["Creating/Disbanding"]: {
+      let to_build = gameData.history[gameData.history.length - 2].nations[country].toBuild;
+      return to_build > 0
+        ? pick_adjustments(shuffled(gameData.get_valid_build_orders(country).filter(o => o.type == shared.orderTypeEnum.build)), to_build)
+        : pick_adjustments(shuffled(gameData.get_valid_disband_orders(country)), -to_build);
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Rates provinces for the heuristic bot: supply centers the country doesn't own are worth `supplyCenterValue` and every other province loses a point for each move it is away from the nearest one.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} country
+ * @returns {(province:string)=>number}
+ */
+function province_values(gameData, country) {
+  let owned = gameData.state.nations[country].supplyCenters;
+  let targets = gameData.get_supply_centers().map(p => p.id).filter(p => !owned.includes(p));
+  let distances = gameData.distances_from(targets);
+  return province => targets.includes(province)
+    ? supplyCenterValue
+    : -(province in distances ? distances[province] : gameData.mapInfo.provinces.length);
+}
+
+/**
+ * Get the provinces next to a unit of another country.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} country
+ * @returns {Set<string>}
+ */
+function threatened_provinces(gameData, country) {
+  let adjacencies = gameData.route_adjacencies();
+  let threatened = new Set();
+  for (let c in gameData.state.nations) {
+    if (c == country) continue;
+    for (let unit of gameData.state.nations[c].units) {
+      for (let adj of adjacencies[unit.province] || []) threatened.add(adj);
+    }
+  }
+  return threatened;
+}
+
+/**
+ * Choose movement orders for the heuristic bot. Units make the moves that gain the most value without bumping into each other,
+ * then the units left holding support those moves into occupied or threatened provinces and finally support threatened units that are holding.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} country
+ * @returns {shared.Order[]}
+ */
+function heuristic_movement_orders(gameData, country) {
+  let units = gameData.state.nations[country].units;
+  let value = province_values(gameData, country);
+  let threatened = threatened_provinces(gameData, country);
+  let owned = gameData.state.nations[country].supplyCenters;
+  let valid = Object.fromEntries(units.map(u => [u.province, gameData.get_valid_orders(u)]));
+
+  let hold_value = unit => value(unit.province) + (owned.includes(unit.province) && threatened.has(unit.province) ? defenseValue : 0);
+  let candidates = units.flatMap(unit => valid[unit.province]
+    .filter(o => o.type == shared.orderTypeEnum.move && !o.isConvoy)
+    .map(o => ({ unit: unit, order: o, gain: value(o.dest) - hold_value(unit) })))
+    .filter(c => c.gain > 0)
+    .sort((a, b) => b.gain - a.gain);
+
+  /** @type {Object.<string,shared.Order>} */
+  let chosen = {};
+  for (let candidate of candidates) {
+    let province = candidate.unit.province;
+    let dest = candidate.order.dest;
+    if (chosen[province]) continue;
+    if (Object.values(chosen).some(o => o.dest == dest)) continue;
+    // Only move into a province with one of our own units if that unit is already moving somewhere else
+    if (units.some(u => u.province == dest) && (!chosen[dest] || chosen[dest].dest == province)) continue;
+    chosen[province] = candidate.order;
+  }
+
+  let moves = Object.values(chosen);
+  let contested = move => !!gameData.get_unit(move.dest) || threatened.has(move.dest);
+  let supported = {};
+  for (let unit of units.filter(u => !chosen[u.province])) {
+    // Help the move that has the least support so far
+    let support = valid[unit.province]
+      .filter(o => o.type == shared.orderTypeEnum["support move"] && moves.some(m => m.province == o.from && m.dest == o.supporting && contested(m)))
+      .sort((a, b) => (supported[a.from] || 0) - (supported[b.from] || 0))[0];
+    if (!support) {
+      support = valid[unit.province].find(o => o.type == shared.orderTypeEnum["support hold"]
+        && threatened.has(o.supporting) && units.some(u => u.province == o.supporting && !chosen[u.province]));
+    }
+    if (support) {
+      chosen[unit.province] = support;
+      if (support.from) supported[support.from] = (supported[support.from] || 0) + 1;
+    }
+  }
+
+  return units.map(unit => chosen[unit.province] || new shared.HoldOrder(unit.province));
+}
+
+/**
+ * Get the heuristic bot's orders for everything a country has to order this phase.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} country
+ * @returns {shared.Order[]}
+ */
+function heuristic_orders(gameData, country) {
+  switch (gameData.phase) {
+    case shared.phaseEnum["Order Writing"]:
+      return heuristic_movement_orders(gameData, country);
+    case shared.phaseEnum.Retreating: {
+      let value = province_values(gameData, country);
+      let taken = [];
+      let retreats = [];
+      for (let dislodgement of country_dislodgements(gameData, country)) {
+        let retreat = gameData.get_valid_retreats(dislodgement)
+          .filter(r => !taken.includes(r.dest))
+          .sort((a, b) => value(b.dest) - value(a.dest))[0];
+        if (!retreat) continue;
+        taken.push(retreat.dest);
+        retreats.push(retreat);
+      }
+      return retreats;
+    }
+    case shared.phaseEnum["Creating/Disbanding"]: {
+      let to_build = gameData.history[gameData.history.length - 2].nations[country].toBuild;
+      if (to_build < 0) {
+        let disbands = gameData.get_valid_disband_orders(country);
+        let order = gameData.civil_disorder_disband_order(country).map(u => disbands.find(o => o.province == u.province)).filter(o => o);
+        return pick_adjustments(order, -to_build);
+      }
+
+      // Build near the supply centers worth going after, keeping about a third of the units fleets
+      let value = province_values(gameData, country);
+      let units = gameData.state.nations[country].units;
+      let fleets = units.filter(u => u.type == shared.unitTypeEnum.Fleet).length;
+      let builds = gameData.get_valid_build_orders(country).filter(o => o.type == shared.orderTypeEnum.build);
+      let picked = [];
+      for (let order of builds.sort((a, b) => value(b.province) - value(a.province))) {
+        if (picked.length >= to_build || picked.some(o => o.province == order.province)) continue;
+        let want_fleet = fleets * 3 < units.length + picked.length;
+        let options = builds.filter(o => o.province == order.province);
+        let build = options.find(o => (o.unitType == shared.unitTypeEnum.Fleet) == want_fleet) || options[0];
+        if (build.unitType == shared.unitTypeEnum.Fleet) fleets++;
+        picked.push(build);
+      }
+      return picked;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get a bot's orders for everything a country has to order this phase.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} country
+ * @returns {shared.Order[]}
+ */
+function get_bot_orders(gameData, country) {
+  switch (bot_strength(gameData.country_owner(country))) {
+    case botStrengthEnum.Heuristic:
+      return heuristic_orders(gameData, country);
+    default:
+      return random_orders(gameData, country);
+  }
+}
+
+exports.botStrengthEnum = botStrengthEnum;
+exports.bot_username = bot_username;
+exports.is_bot = is_bot;
+exports.is_automatic_bot = is_automatic_bot;
+exports.bot_strength = bot_strength;
+exports.bot_display_name = bot_display_name;
+exports.random_orders = random_orders;
+exports.heuristic_orders = heuristic_orders;
+exports.get_bot_orders = get_bot_orders;
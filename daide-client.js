@@ -0,0 +1,96 @@
+const net = require("net");
+const daide = require("./daide.js");
+
+/**
+ * A minimal DAIDE client for trying out the DAIDE server. It joins as the first free power and holds every unit,
+ * disbands every dislodged unit, and waives every build or removes the units the server asks about.
+ *
+ * Usage: node daide-client.js [host] [port] [name]
+ */
+
+const [host = "localhost", port = "16713", name = "Holdbot"] = process.argv.slice(2);
+
+/** @type {daide.Representation} */
+let representation = null;
+/** Token of the power this client plays. */
+let power = "";
+/** The `MAP` message's argument, sent back to accept the map. */
+let map = null;
+/** The power's units as of the last `NOW` message. */
+let units = [];
+let buffer = Buffer.alloc(0);
+
+let socket = net.connect(Number(port), host, () => socket.write(daide.initial_message()));
+
+/**
+ * @param {daide.Message} message
+ */
+function send(message) {
+  console.log(`>> ${daide.format_message(message)}`);
+  socket.write(daide.diplomacy_message(message, representation));
+}
+
+/**
+ * Reply to the server.
+ * @param {daide.Message} message
+ */
+function handle_message(message) {
+  console.log(`<< ${daide.format_message(message)}`);
+  let [command, ...args] = message;
+  switch (command) {
+    case "MAP":
+      map = args[0];
+      return send(["MDF"]);
+    case "MDF":
+      return send(["YES", ["MAP", map]]);
+    case "HLO":
+      power = args[0][0];
+      return;
+    case "NOW": {
+      let [turn, ...all_units] = args;
+      units = all_units.filter(u => u[0] == power);
+      if (turn[0] == "WIN") return send(["MIS"]);
+      let orders = turn[0] == "SUM" || turn[0] == "AUT"
+        ? units.filter(u => u.includes("MRT")).map(u => [u.slice(0, 3), "DSB"])
+        : units.filter(u => !u.includes("MRT")).map(u => [u, "HLD"]);
+      if (orders.length > 0) send(["SUB", ...orders]);
+      return;
+    }
+    case "MIS": {
+      // MIS (n): n removals or -n builds still to order
+      if (!Array.isArray(args[0]) || typeof args[0][0] != "number") return;
+      let left = args[0][0];
+      send(left < 0
+        ? ["SUB", ...Array.from({ length: -left }, () => [power, "WVE"])]
+        : ["SUB", ...units.slice(0, left).map(u => [u, "REM"])]);
+      return send(["GOF"]);
+    }
+    case "OFF":
+      return socket.end();
+  }
+}
+
+socket.on("data", data => {
+  let frames;
+  [frames, buffer] = daide.split_frames(Buffer.concat([buffer, data]));
+  for (let frame of frames) {
+    switch (frame.type) {
+      case daide.messageTypeEnum.Representation:
+        representation = daide.read_representation(frame.body);
+        send(["NME", [{ text: name }], [{ text: "daide-client 1.0" }]]);
+        break;
+      case daide.messageTypeEnum.Diplomacy:
+        handle_message(daide.decode_tokens(frame.body, representation));
+        break;
+      case daide.messageTypeEnum.Error:
+        console.error(`Server sent error ${frame.body.readUInt16BE(0)}`);
+        break;
+      case daide.messageTypeEnum.Final:
+        socket.end();
+        break;
+    }
+  }
+});
+
+socket.on("error", error => console.error(error));
+socket.on("close", () => console.log("Disconnected"));
@@ -0,0 +1,636 @@
+const net = require("net");
+const shared = require("./diplomacy-shared-utils/utils.js");
+const utils = require("./diplomacy-server-utils.js");
+const daide = require("./daide.js");
+const events = require("./events.js");
+const bots = require("./bots.js");
+
+/**
+ * Number of times a command is retried when another request saves the game first.
+ */
+const maxConflictRetries = 3;
+
+/**
+ * Seconds a client has to send its `Initial` message after connecting.
+ */
+const initialTimeout = 30;
+
+/**
+ * Largest number of seconds that fits in a DAIDE integer. Longer deadlines aren't sent.
+ */
+const maxSeconds = 8191;
+
+/**
+ * Order notes sent back in `THX` messages for each reason an order can be rejected.
+ */
+const orderNotes = {
+  [utils.orderErrorEnum.GameOver]: "NRS",
+  [utils.orderErrorEnum.WrongPhase]: "NRS",
+  [utils.orderErrorEnum.NoUnit]: "NSU",
+  [utils.orderErrorEnum.NotOwner]: "NYU",
+  [utils.orderErrorEnum.NotAdjacent]: "FAR",
+  [utils.orderErrorEnum.WrongTerrain]: "FAR",
+  [utils.orderErrorEnum.MissingCoast]: "CST",
+  [utils.orderErrorEnum.UnreachableCoast]: "FAR",
+  [utils.orderErrorEnum.NoSupportedUnit]: "NSU",
+  [utils.orderErrorEnum.SupportUnreachable]: "FAR",
+  [utils.orderErrorEnum.SupportedMoveImpossible]: "FAR",
+  [utils.orderErrorEnum.CannotConvoy]: "NAS",
+  [utils.orderErrorEnum.NoConvoyRoute]: "FAR",
+  [utils.orderErrorEnum.NotDislodged]: "NRN",
+  [utils.orderErrorEnum.RetreatToAttacker]: "NVR",
+  [utils.orderErrorEnum.RetreatOccupied]: "NVR",
+  [utils.orderErrorEnum.RetreatContested]: "NVR",
+  [utils.orderErrorEnum.NoAdjustments]: "NMB",
+  [utils.orderErrorEnum.AlreadySubmitted]: "NMB",
+  [utils.orderErrorEnum.TooManyAdjustments]: "NMB",
+  [utils.orderErrorEnum.Invalid]: "FAR"
+};
+
+/**
+ * Error thrown when a DAIDE order can't be turned into an order, with the order note to send back.
+ */
+class OrderNoteError extends Error {
+  /**
+   * @param {string} note Order note token, like `NYU`.
+   * @param {string} message
+   */
+  constructor(note, message) {
+    super(message);
+    this.name = "OrderNoteError";
+    this.note = note;
+  }
+}
+
+/**
+ * A connection to the DAIDE server.
+ * @typedef {Object} Client
+ * @property {net.Socket} socket
+ * @property {Buffer} buffer Bytes received that don't make up a whole message yet.
+ * @property {boolean} started Whether the client has sent its `Initial` message.
+ * @property {string} country ID of the country the client plays, or "" if it hasn't joined as a player.
+ * @property {boolean} observer
+ * @property {boolean} mapAccepted Whether the client has accepted the map, after which it is sent the game's progress.
+ * @property {boolean} goFlag Whether the client's country is marked as ready once all its orders are in. Reset every phase.
+ * @property {boolean} busy Whether a command from the client is being handled.
+ * @property {daide.Message[]} held Game updates waiting for the reply to the command being handled.
+ * @property {Promise} queue Commands being handled, so that they're handled one at a time.
+ */
+
+/**
+ * A game served over DAIDE.
+ * @typedef {Object} DaideGame
+ * @property {number} id ID of the game.
+ * @property {daide.Representation} representation
+ * @property {Object.<string,{passcode:number,client:Client}>} seats Countries taken by DAIDE clients, keyed by country ID. Seats are kept after their client disconnects so that it can come back with `IAM`.
+ * @property {Client[]} clients
+ * @property {()=>Promise<utils.ServerGameData>} load Read the game.
+ * @property {(gameData:utils.ServerGameData)=>Promise} save Write the game and send its events, throwing `ConflictError` if it changed since it was read.
+ */
+
+/**
+ * Send a message to a client.
+ * @param {DaideGame} game
+ * @param {Client} client
+ * @param {daide.Message} message
+ */
+function send(game, client, message) {
+  if (!client.socket.destroyed) client.socket.write(daide.diplomacy_message(message, game.representation));
+}
+
+/**
+ * Send a game update to a client, after the reply to its current command if it has one.
+ * @param {DaideGame} game
+ * @param {Client} client
+ * @param {daide.Message} message
+ */
+function deliver(game, client, message) {
+  if (client.busy) {
+    client.held.push(message);
+  } else {
+    send(game, client, message);
+  }
+}
+
+/**
+ * Send an `Error` message and close the connection.
+ * @param {Client} client
+ * @param {daide.errorCodeEnum} code
+ */
+function close(client, code) {
+  client.socket.end(daide.error_message(code));
+}
+
+/**
+ * Load a game, change it, and save it. If another request saves the game first, the game is reloaded and `task` is called again.
+ * @template T
+ * @param {DaideGame} game
+ * @param {(gameData:utils.ServerGameData)=>T} task
+ * @returns {Promise<T>} What `task` returned.
+ */
+async function update_game(game, task) {
+  for (let attempt = 0; ; attempt++) {
+    let gameData = await game.load();
+    try {
+      let result = task(gameData);
+      await game.save(gameData);
+      return result;
+    } catch (error) {
+      if (!(error instanceof utils.ConflictError) || attempt >= maxConflictRetries) throw error;
+    }
+  }
+}
+
+/**
+ * Read a location like `LON` or `(STP NCS)`.
+ * @param {daide.Representation} representation
+ * @param {daide.Message|string} tokens
+ * @returns {{province:string,coast:string}}
+ */
+function read_location(representation, tokens) {
+  let [name, coast] = Array.isArray(tokens) ? tokens : [tokens, ""];
+  if (!(name in representation.provinces)) throw Error(`${name} isn't a province.`);
+  let coast_id = Object.keys(daide.coastTokens).find(c => daide.coastTokens[c] == coast);
+  if (coast && !coast_id) throw Error(`${coast} isn't a coast.`);
+  return { province: representation.provinces[name], coast: coast_id || "" };
+}
+
+/**
+ * Read a unit like `(ENG FLT LON)`.
+ * @param {daide.Representation} representation
+ * @param {daide.Message} tokens
+ * @returns {{country:string,type:shared.unitTypeEnum,province:string,coast:string}}
+ */
+function read_unit(representation, tokens) {
+  if (!Array.isArray(tokens) || tokens.length != 3) throw Error("Units must be written as (power unit_type province).");
+  let [power, type, location] = tokens;
+  if (!(power in representation.powers)) throw Error(`${power} isn't a power.`);
+  if (type != "AMY" && type != "FLT") throw Error(`${type} isn't a unit type.`);
+  return Object.assign({
+    country: representation.powers[power],
+    type: type == "FLT" ? shared.unitTypeEnum.Fleet : shared.unitTypeEnum.Army
+  }, read_location(representation, location));
+}
+
+/**
+ * Turn a DAIDE order into an order that can be placed. Where the DAIDE order leaves out a coast, the valid order it can only mean is used.
+ * @param {utils.ServerGameData} gameData
+ * @param {daide.Representation} representation
+ * @param {string} country ID of the country giving the order.
+ * @param {daide.Message} tokens Like `((ENG FLT LON) MTO NTH)`.
+ * @returns {shared.Order}
+ */
+function read_order(gameData, representation, country, tokens) {
+  if (!Array.isArray(tokens)) throw Error("Orders must be in brackets.");
+  let [subject, keyword, ...rest] = tokens;
+
+  if (keyword == "WVE") {
+    if (representation.powers[subject] != country) throw new OrderNoteError("NYU", `${subject} isn't your power.`);
+    return new shared.PassOrder(country);
+  }
+
+  let unit = read_unit(representation, subject);
+  if (unit.country != country) throw new OrderNoteError("NYU", "That isn't your unit.");
+  let actual = gameData.phase == shared.phaseEnum["Order Writing"] ? gameData.get_unit(unit.province) : null;
+  if (actual && actual.type != unit.type) throw new OrderNoteError("NSU", `The unit in ${unit.province} is a different type.`);
+  let only = (candidates, fallback) => candidates.length == 1 ? candidates[0] : fallback;
+
+  switch (keyword) {
+    case "HLD":
+      return new shared.HoldOrder(unit.province);
+    case "MTO": {
+      let dest = read_location(representation, rest[0]);
+      let candidates = actual
+        ? gameData.get_valid_orders(actual).filter(o => o.type == shared.orderTypeEnum.move && !o.isConvoy && o.dest == dest.province && (!dest.coast || o.coast == dest.coast))
+        : [];
+      return only(candidates, new shared.MoveOrder(unit.province, dest.province, dest.coast, false));
+    }
+    case "SUP": {
+      let supported = read_unit(representation, rest[0]);
+      if (rest[1] == "MTO") return new shared.SupportMoveOrder(unit.province, read_location(representation, rest[2]).province, supported.province);
+      return new shared.SupportHoldOrder(unit.province, supported.province);
+    }
+    case "CVY": {
+      let convoyed = read_unit(representation, rest[0]);
+      if (rest[1] != "CTO") throw Error("Convoys must be written as (unit) CVY (unit) CTO province.");
+      return new shared.ConvoyOrder(unit.province, convoyed.province, read_location(representation, rest[2]).province);
+    }
+    case "CTO":
+      // The route is worked out by the adjudicator, so VIA is ignored
+      return new shared.MoveOrder(unit.province, read_location(representation, rest[0]).province, "", true);
+    case "RTO": {
+      let dest = read_location(representation, rest[0]);
+      let prev_state = gameData.history[gameData.history.length - 2];
+      let dislodgement = gameData.phase == shared.phaseEnum.Retreating ? prev_state.dislodgements[unit.province] : null;
+      let candidates = dislodgement
+        ? gameData.get_valid_retreats(dislodgement).filter(r => r.dest == dest.province && (!dest.coast || r.coast == dest.coast))
+        : [];
+      return only(candidates, new shared.RetreatOrder(unit.province, dest.province, dest.coast));
+    }
+    case "DSB":
+      // Dislodged units without a retreat are disbanded, so disbanding one only has to take back its retreat
+      return new shared.CancelOrder(unit.province);
+    case "BLD": {
+      let candidates = gameData.phase == shared.phaseEnum["Creating/Disbanding"] && gameData.history[gameData.history.length - 2].nations[country].toBuild > 0
+        ? gameData.get_valid_build_orders(country).filter(o => o.type == shared.orderTypeEnum.build && o.province == unit.province && o.unitType == unit.type && (!unit.coast || o.coast == unit.coast))
+        : [];
+      return only(candidates, new shared.BuildOrder(country, unit.province, unit.type, unit.coast));
+    }
+    case "REM":
+      return new shared.DisbandOrder(country, unit.province);
+    default:
+      throw Error(`${keyword} isn't an order.`);
+  }
+}
+
+/**
+ * @param {Error} error Why an order couldn't be placed.
+ * @param {daide.Message} tokens The order.
+ * @returns {string} The order note to send back.
+ */
+function order_note(error, tokens) {
+  if (error instanceof OrderNoteError) return error.note;
+  if (error instanceof utils.OrderError) {
+    if (tokens[1] == "REM" && error.code != utils.orderErrorEnum.NotOwner) return "NMR";
+    if (tokens[1] == "BLD" && error.code == utils.orderErrorEnum.Invalid) return "HSC";
+    return orderNotes[error.code] || "FAR";
+  }
+  return "FAR";
+}
+
+/**
+ * Get what a country still has to order this phase.
+ * @param {utils.ServerGameData} gameData
+ * @param {daide.Representation} representation
+ * @param {string} country
+ * @returns {daide.Message} A `MIS` message, which has nothing after `MIS` if the country has nothing left to order.
+ */
+function mis_message(gameData, representation, country) {
+  let prev_state = gameData.history[gameData.history.length - 2];
+  switch (gameData.phase) {
+    case shared.phaseEnum["Order Writing"]: {
+      let orders = gameData.state.orders[country] || {};
+      let units = gameData.state.nations[country].units.filter(u => !orders[u.province]);
+      return ["MIS", ...units.map(u => daide.unit_tokens(representation, gameData, country, u))];
+    }
+    case shared.phaseEnum.Retreating: {
+      let retreats = prev_state.retreats[country] || {};
+      let dislodgements = Object.values(prev_state.dislodgements).filter(d => d.country == country && !retreats[d.unit.province]);
+      return ["MIS", ...dislodgements.map(d => [
+        ...daide.unit_tokens(representation, gameData, country, d.unit),
+        "MRT",
+        gameData.get_valid_retreats(d).map(r => daide.location_tokens(representation, gameData, r.dest, r.coast))
+      ])];
+    }
+    case shared.phaseEnum["Creating/Disbanding"]: {
+      if (!prev_state.adjustments[country]) return ["MIS"];
+      let to_build = prev_state.nations[country].toBuild;
+      let left = Math.abs(to_build) - prev_state.adjustments[country].length;
+      // Removals still to make are positive and builds still available are negative
+      return left > 0 ? ["MIS", [to_build > 0 ? -left : left]] : ["MIS"];
+    }
+    default:
+      return ["MIS"];
+  }
+}
+
+/**
+ * @param {DaideGame} game
+ * @param {utils.ServerGameData} gameData
+ * @param {string} country
+ * @returns {daide.Message} An `HLO` message with the client's power, passcode, and the game's variant options.
+ */
+function hlo_message(game, gameData, country) {
+  let variants = [["LVL", 0]];
+  let limits = { MTL: gameData.deadlines.movement, RTL: gameData.deadlines.retreat, BTL: gameData.deadlines.adjustment };
+  for (let key in limits) {
+    let seconds = limits[key] * 3600;
+    if (seconds > 0 && seconds <= maxSeconds) variants.push([key, seconds]);
+  }
+  return ["HLO", [daide.power_name(game.representation, country)], [game.seats[country].passcode], variants];
+}
+
+/**
+ * @param {daide.Representation} representation
+ * @param {utils.ServerGameData} gameData A game that has ended.
+ * @returns {daide.Message} A `SLO` message with the winner or a `DRW` message with the powers sharing the draw.
+ */
+function game_over_message(representation, gameData) {
+  let winners = gameData.winner.split(",");
+  let powers = Object.keys(gameData.players).filter(c => winners.includes(gameData.players[c])).map(c => daide.power_name(representation, c));
+  if (gameData.won == shared.winStateEnum.Won) return ["SLO", [powers[0]]];
+  return powers.length == gameData.surviving_countries().length ? ["DRW"] : ["DRW", powers];
+}
+
+/**
+ * Send every client that has accepted the map what changed in a batch of events: the results of adjudicated phases, then the new turn and supply center ownership, or how the game ended.
+ * If several phases passed at once, only the last one's units are sent.
+ * @param {DaideGame} game
+ * @param {utils.ServerGameData} gameData
+ * @param {events.GameEvent[]} gameEvents
+ */
+function publish_events(game, gameData, gameEvents) {
+  let messages = [];
+  let view = gameData.sanitized("", false);
+  for (let event of gameEvents.filter(e => e.type == events.gameEventEnum.Adjudicated)) {
+    let data = event.data(view, "");
+    messages.push(...daide.ord_messages(gameData, game.representation, data.turn, data.phase));
+  }
+
+  let new_phase = gameEvents.some(e => e.type == events.gameEventEnum.Phase) && gameData.won == shared.winStateEnum.Playing;
+  if (new_phase) {
+    // Supply centers only change hands at the end of a year
+    if (gameData.phase == shared.phaseEnum["Creating/Disbanding"] || (gameData.phase == shared.phaseEnum["Order Writing"] && gameData.state.season == shared.seasonEnum.Spring)) {
+      messages.push(daide.sco_message(gameData, game.representation));
+    }
+    messages.push(daide.now_message(gameData, game.representation));
+  }
+  if (gameEvents.some(e => e.type == events.gameEventEnum.GameOver)) messages.push(game_over_message(game.representation, gameData));
+
+  for (let client of game.clients.filter(c => c.mapAccepted)) {
+    if (new_phase) client.goFlag = true;
+    for (let message of messages) deliver(game, client, message);
+  }
+}
+
+/**
+ * Handle a message from a client.
+ * @param {DaideGame} game
+ * @param {Client} client
+ * @param {daide.Message} message
+ */
+async function handle_message(game, client, message) {
+  let [command, ...args] = message;
+  let reply = m => send(game, client, m);
+  let argument = Array.isArray(args[0]) ? args[0] : [];
+
+  // Commands that can only be used by a client playing a country
+  if (["HLO", "SUB", "MIS", "GOF", "DRW", "NOT"].includes(command) && !client.country) return reply(["REJ", message]);
+
+  switch (command) {
+    case "NME": {
+      if (client.country || client.observer) return reply(["REJ", message]);
+      let gameData = await game.load();
+      let country = Object.keys(gameData.players).find(c => {
+        let owner = gameData.players[c];
+        return bots.is_bot(owner) && !bots.is_automatic_bot(owner) && !(game.seats[c] && game.seats[c].client);
+      });
+      if (!country) return reply(["REJ", message]);
+      client.country = country;
+      game.seats[country] = { passcode: Math.floor(Math.random() * maxSeconds) + 1, client: client };
+      reply(["YES", message]);
+      return reply(daide.map_message(gameData));
+    }
+    case "OBS": {
+      if (client.country) return reply(["REJ", message]);
+      client.observer = true;
+      reply(["YES", message]);
+      return reply(daide.map_message(await game.load()));
+    }
+    case "IAM": {
+      let country = game.representation.powers[argument[0]];
+      let seat = game.seats[country];
+      if (client.country || !seat || seat.client || seat.passcode != (args[1] || [])[0]) return reply(["REJ", message]);
+      client.country = country;
+      client.mapAccepted = true;
+      seat.client = client;
+      return reply(["YES", message]);
+    }
+    case "MAP":
+      return reply(daide.map_message(await game.load()));
+    case "MDF":
+      return reply(daide.mdf_message(await game.load(), game.representation));
+    case "YES": {
+      if (argument[0] != "MAP") return;
+      client.mapAccepted = true;
+      let gameData = await game.load();
+      if (client.country) reply(hlo_message(game, gameData, client.country));
+      if (gameData.phase != shared.phaseEnum["Country Claiming"]) {
+        reply(daide.sco_message(gameData, game.representation));
+        reply(daide.now_message(gameData, game.representation));
+      }
+      return;
+    }
+    case "REJ":
+      if (argument[0] == "MAP") client.socket.end();
+      return;
+    case "HLO":
+      return reply(hlo_message(game, await game.load(), client.country));
+    case "NOW":
+      return reply(daide.now_message(await game.load(), game.representation));
+    case "SCO":
+      return reply(daide.sco_message(await game.load(), game.representation));
+    case "HST": {
+      let gameData = await game.load();
+      let turn = daide.find_turn(gameData, argument);
+      let orders = turn ? daide.ord_messages(gameData, game.representation, turn.turn, turn.phase) : [];
+      if (orders.length == 0) return reply(["REJ", message]);
+      return orders.forEach(reply);
+    }
+    case "TME": {
+      let gameData = await game.load();
+      if (!gameData.deadline) return reply(["REJ", message]);
+      return reply(["TME", [Math.min(maxSeconds, Math.max(0, Math.ceil((gameData.deadline - Date.now()) / 1000)))]]);
+    }
+    case "SUB": {
+      let replies = await update_game(game, gameData => {
+        let username = gameData.country_owner(client.country);
+        let results = args.map(tokens => {
+          try {
+            gameData.place_order(username, read_order(gameData, game.representation, client.country, tokens));
+            return ["THX", tokens, ["MBV"]];
+          } catch (error) {
+            return ["THX", tokens, [order_note(error, tokens)]];
+          }
+        });
+        let complete = mis_message(gameData, game.representation, client.country).length == 1;
+        if (client.goFlag && complete && gameData.countries_to_order().includes(client.country)) {
+          gameData.set_ready(username, true, [client.country]);
+          gameData.try_advance();
+        }
+        return results;
+      });
+      return replies.forEach(reply);
+    }
+    case "MIS":
+      return reply(mis_message(await game.load(), game.representation, client.country));
+    case "GOF":
+    case "NOT": {
+      if (command == "NOT" && argument[0] == "DRW") {
+        await update_game(game, gameData => {
+          let username = gameData.country_owner(client.country);
+          if (gameData.draw_voters().includes(username)) gameData.vote_draw(username, false);
+        });
+        return reply(["YES", message]);
+      }
+      if (command == "NOT" && argument[0] != "GOF") return reply(["REJ", message]);
+
+      let go = command == "GOF";
+      client.goFlag = go;
+      await update_game(game, gameData => {
+        if (!gameData.countries_to_order().includes(client.country)) return;
+        gameData.set_ready(gameData.country_owner(client.country), go, [client.country]);
+        gameData.try_advance();
+      });
+      return reply(["YES", message]);
+    }
+    case "DRW":
+      try {
+        await update_game(game, gameData => {
+          let username = gameData.country_owner(client.country);
+          if (gameData.drawProposal) {
+            gameData.vote_draw(username, true);
+          } else {
+            gameData.propose_draw(username, argument.map(p => game.representation.powers[p]));
+          }
+        });
+      } catch (error) {
+        if (error instanceof utils.ConflictError) throw error;
+        return reply(["REJ", message]);
+      }
+      return reply(["YES", message]);
+    default:
+      // Press, admin messages, and anything else this server doesn't support
+      return reply(["REJ", message]);
+  }
+}
+
+/**
+ * Handle a new connection: check its `Initial` message, send the representation, then handle its commands one at a time.
+ * @param {DaideGame} game
+ * @param {net.Socket} socket
+ */
+function handle_connection(game, socket) {
+  /** @type {Client} */
+  let client = {
+    socket: socket,
+    buffer: Buffer.alloc(0),
+    started: false,
+    country: "",
+    observer: false,
+    mapAccepted: false,
+    goFlag: true,
+    busy: false,
+    held: [],
+    queue: Promise.resolve()
+  };
+  game.clients.push(client);
+
+  let timer = setTimeout(() => close(client, daide.errorCodeEnum.Timeout), initialTimeout * 1000);
+
+  let handle = message => async () => {
+    client.busy = true;
+    try {
+      await handle_message(game, client, message);
+    } catch (error) {
+      console.error(error);
+      send(game, client, ["HUH", ["ERR", ...message]]);
+    } finally {
+      client.busy = false;
+      for (let held of client.held.splice(0)) send(game, client, held);
+    }
+  };
+
+  socket.on("data", data => {
+    let frames;
+    [frames, client.buffer] = daide.split_frames(Buffer.concat([client.buffer, data]));
+    for (let frame of frames) {
+      if (!client.started) {
+        if (frame.type != daide.messageTypeEnum.Initial) return close(client, daide.errorCodeEnum.InitialNotFirst);
+        if (frame.body.length < 4) return close(client, daide.errorCodeEnum.TooShort);
+        if (frame.body.readUInt16BE(2) != daide.magicNumber) {
+          return close(client, frame.body.readUInt16LE(2) == daide.magicNumber ? daide.errorCodeEnum.WrongEndian : daide.errorCodeEnum.WrongMagicNumber);
+        }
+        if (frame.body.readUInt16BE(0) != daide.protocolVersion) return close(client, daide.errorCodeEnum.WrongVersion);
+
+        clearTimeout(timer);
+        client.started = true;
+        socket.write(daide.representation_message(game.representation));
+        continue;
+      }
+
+      switch (frame.type) {
+        case daide.messageTypeEnum.Diplomacy: {
+          let message;
+          try {
+            message = daide.decode_tokens(frame.body, game.representation);
+          } catch (_error) {
+            return close(client, daide.errorCodeEnum.InvalidToken);
+          }
+          client.queue = client.queue.then(handle(message));
+          break;
+        }
+        case daide.messageTypeEnum.Initial:
+          return close(client, daide.errorCodeEnum.DuplicateInitial);
+        case daide.messageTypeEnum.Representation:
+          return close(client, daide.errorCodeEnum.RepresentationFromClient);
+        case daide.messageTypeEnum.Final:
+          return socket.end();
+        case daide.messageTypeEnum.Error:
+          console.error(`DAIDE client sent error ${frame.body.length >= 2 ? frame.body.readUInt16BE(0) : "without a code"}.`);
+          return socket.end();
+        default:
+          return close(client, daide.errorCodeEnum.UnknownType);
+      }
+    }
+  });
+
+  socket.on("error", error => console.error(error));
+  socket.on("close", () => {
+    clearTimeout(timer);
+    game.clients = game.clients.filter(c => c != client);
+    if (client.country && game.seats[client.country].client == client) game.seats[client.country].client = null;
+  });
+}
+
+/**
+ * Set up a game to be served over DAIDE.
+ * @param {utils.ServerGameData} gameData
+ * @param {()=>Promise<utils.ServerGameData>} load
+ * @param {(gameData:utils.ServerGameData)=>Promise} save
+ * @returns {DaideGame}
+ */
+function create_daide_game(gameData, load, save) {
+  if (gameData.fogOfWar) throw Error("Fog of war games can't be played over DAIDE.");
+  return {
+    id: gameData.id,
+    representation: daide.create_representation(gameData.mapInfo),
+    seats: {},
+    clients: [],
+    load: load,
+    save: save
+  };
+}
+
+/**
+ * Start serving a game over DAIDE, so that external bots can play the countries held by `external` bots.
+ * Each connection can join as one of those countries or as an observer.
+ * @param {number} id ID of the game.
+ * @param {number} port
+ * @returns {Promise<net.Server>}
+ */
+async function start_daide_server(id, port) {
+  let gameData = await utils.gamedata_from_id(id);
+  if (!gameData) throw Error(`There is no game ${id}.`);
+
+  // Saving the game sends its events to the listener below
+  let game = create_daide_game(gameData, () => utils.gamedata_from_id(id), loaded => loaded.save());
+
+  let stop_listening = events.listen(game.id, (gameData, gameEvents) => publish_events(game, gameData, gameEvents));
+  let server = net.createServer(socket => handle_connection(game, socket));
+  server.on("close", stop_listening);
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, resolve);
+  });
+  console.log(`Serving game ${id} over DAIDE on port ${port}`);
+  return server;
+}
+
+exports.read_order = read_order;
+exports.mis_message = mis_message;
+exports.publish_events = publish_events;
+exports.handle_connection = handle_connection;
+exports.create_daide_game = create_daide_game;
+exports.start_daide_server = start_daide_server;
@@ -0,0 +1,706 @@
+const shared = require("./diplomacy-shared-utils/utils.js");
+
+/**
+ * Enum for the types of messages in the DAIDE client-server protocol.
+ * @readonly
+ * @enum {number}
+ */
+const messageTypeEnum = {
+  /** First message from the client, with the protocol version. */
+  Initial: 0,
+  /** Power and province tokens the server uses. */
+  Representation: 1,
+  /** A message made of tokens. */
+  Diplomacy: 2,
+  /** Last message before closing the connection. */
+  Final: 3,
+  /** A protocol error, after which the connection is closed. */
+  Error: 4
+}
+
+/**
+ * Enum for the error codes sent in `Error` messages.
+ * @readonly
+ * @enum {number}
+ */
+const errorCodeEnum = {
+  Timeout: 0x01,
+  InitialNotFirst: 0x02,
+  WrongEndian: 0x03,
+  WrongMagicNumber: 0x04,
+  WrongVersion: 0x05,
+  DuplicateInitial: 0x06,
+  InitialFromServer: 0x07,
+  UnknownType: 0x08,
+  TooShort: 0x09,
+  DiplomacyBeforeRepresentation: 0x0A,
+  RepresentationNotFirst: 0x0B,
+  DuplicateRepresentation: 0x0C,
+  RepresentationFromClient: 0x0D,
+  InvalidToken: 0x0E
+}
+
+/**
+ * Version of the protocol sent in `Initial` messages.
+ */
+const protocolVersion = 1;
+
+/**
+ * Number sent in `Initial` messages so that byte order mistakes can be spotted.
+ */
+const magicNumber = 0xDA10;
+
+/**
+ * Name the standard map is known by in DAIDE.
+ */
+const standardMapName = "STANDARD";
+
+/**
+ * DAIDE power names for countries whose ID isn't the same. Other countries use their ID.
+ */
+const powerAliases = { AUT: "AUS", GBR: "ENG", DEU: "GER" };
+
+/**
+ * DAIDE province names for provinces whose ID isn't the same in upper case. Other provinces use their ID.
+ */
+const provinceAliases = { bot: "GOB", eng: "ECH", lyo: "GOL", nor: "NWY" };
+
+/**
+ * DAIDE coast tokens keyed by the coast ID's used in `.dipmap` files.
+ */
+const coastTokens = { NC: "NCS", NE: "NEC", EC: "ECS", SE: "SEC", SC: "SCS", SW: "SWC", WC: "WCS", NW: "NWC" };
+
+/**
+ * Token categories (the first byte of a token).
+ * @readonly
+ * @enum {number}
+ */
+const tokenCategoryEnum = {
+  Bracket: 0x40,
+  Power: 0x41,
+  Text: 0x4B,
+  /** Provinces use eight categories from here: inland, sea, coastal, and bicoastal, each without and with a supply center. */
+  Province: 0x50
+}
+
+/**
+ * @param {number} category
+ * @param {string[]} names
+ * @param {number} step Difference between the codes of consecutive tokens.
+ * @returns {Object.<string,number>} Token codes keyed by name.
+ */
+function category_tokens(category, names, step=1) {
+  return Object.fromEntries(names.map((name, i) => [name, (category << 8) | (i * step)]));
+}
+
+/**
+ * Codes of every token that doesn't depend on the map, keyed by name.
+ */
+const staticTokens = Object.assign(
+  { BRA: 0x4000, KET: 0x4001 },
+  category_tokens(0x42, ["AMY", "FLT"]),
+  { CTO: 0x4320, CVY: 0x4321, HLD: 0x4322, MTO: 0x4323, SUP: 0x4324, VIA: 0x4325, DSB: 0x4340, RTO: 0x4341, BLD: 0x4380, REM: 0x4381, WVE: 0x4382 },
+  category_tokens(0x44, ["MBV", "BPR", "CST", "ESC", "FAR", "HSC", "NAS", "NMB", "NMR", "NRN", "NRS", "NSA", "NSC", "NSF", "NSP", "NST", "NSU", "NVR", "NYU", "YSC"]),
+  category_tokens(0x45, ["SUC", "BNC", "CUT", "DSR", "FLD", "NSO", "RET"]),
+  category_tokens(0x46, ["NCS", "NEC", "ECS", "SEC", "SCS", "SWC", "WCS", "NWC"], 2),
+  category_tokens(0x47, ["SPR", "SUM", "FAL", "AUT", "WIN"]),
+  category_tokens(0x48, ["CCD", "DRW", "FRM", "GOF", "HLO", "HST", "HUH", "IAM", "LOD", "MAP", "MDF", "MIS", "NME", "NOT", "NOW", "OBS", "OFF", "ORD", "OUT", "PRN", "REJ", "SCO", "SLO", "SND", "SUB", "SVE", "THX", "TME", "YES", "ADM", "SMR"]),
+  { AOA: 0x4900, BTL: 0x4901, ERR: 0x4902, LVL: 0x4903, MRT: 0x4904, MTL: 0x4905, NPB: 0x4906, NPR: 0x4907, PDA: 0x4908, PTL: 0x4909, RTL: 0x490A, UNO: 0x490B, DSD: 0x490D }
+);
+
+/**
+ * A DAIDE message: a list of token names, integers, text (as `{text}` objects), and nested lists for bracketed parts.
+ * @typedef {(string|number|{text:string}|Message)[]} Message
+ */
+
+/**
+ * The power and province tokens used for a game, along with every other token.
+ * @typedef {Object} Representation
+ * @property {Object.<string,number>} codes Token codes keyed by name.
+ * @property {Object.<number,string>} names Token names keyed by code.
+ * @property {Object.<string,string>} powers Country ID's keyed by power name.
+ * @property {Object.<string,string>} provinces Province ID's keyed by province name.
+ */
+
+/**
+ * Build a representation from the map-specific tokens, keeping the static ones.
+ * @param {{code:number,name:string}[]} entries
+ * @param {Object.<string,string>} powers
+ * @param {Object.<string,string>} provinces
+ * @returns {Representation}
+ */
+function build_representation(entries, powers={}, provinces={}) {
+  let codes = Object.assign({}, staticTokens);
+  for (let entry of entries) codes[entry.name] = entry.code;
+  return {
+    codes: codes,
+    names: Object.fromEntries(Object.entries(codes).map(([name, code]) => [code, name])),
+    powers: powers,
+    provinces: provinces
+  };
+}
+
+/**
+ * Get the province token category for a province.
+ * @param {{water:boolean,supplyCenter:boolean,coasts:Object[]}} province
+ * @returns {number}
+ */
+function province_category(province) {
+  let kind = province.water ? 1 : province.coasts.length > 1 ? 3 : province.coasts.length == 1 ? 2 : 0;
+  return tokenCategoryEnum.Province + kind * 2 + (province.supplyCenter ? 1 : 0);
+}
+
+/**
+ * Create the tokens for a game's map. Tokens are numbered in order of category and then name, which gives the standard map its standard tokens.
+ * @param {Object} mapInfo The game's `mapInfo`.
+ * @returns {Representation}
+ */
+function create_representation(mapInfo) {
+  let powers = Object.fromEntries(mapInfo.countries.map(c => [powerAliases[c.id] || c.id.toUpperCase(), c.id]));
+  let provinces = Object.fromEntries(mapInfo.provinces.map(p => [provinceAliases[p.id] || p.id.toUpperCase(), p.id]));
+  for (let name of [...Object.keys(powers), ...Object.keys(provinces)]) {
+    if (!/^[A-Z0-9]{3}$/.test(name)) throw Error(`${name} can't be used as a DAIDE token because it isn't three letters.`);
+    if (name in staticTokens) throw Error(`${name} can't be used as a DAIDE token because it's already a keyword.`);
+  }
+
+  let entries = Object.keys(powers).sort().map((name, i) => ({ code: (tokenCategoryEnum.Power << 8) | i, name: name }));
+
+  let category = name => province_category(mapInfo.provinces.find(p => p.id == provinces[name]));
+  let names = Object.keys(provinces).sort((a, b) => category(a) - category(b) || a.localeCompare(b));
+  if (names.length > 256) throw Error("Maps with more than 256 provinces can't be used with DAIDE.");
+  entries.push(...names.map((name, i) => ({ code: (category(name) << 8) | i, name: name })));
+
+  return build_representation(entries, powers, provinces);
+}
+
+/**
+ * Get the tokens that are only known from the representation, to be sent in a `Representation` message.
+ * @param {Representation} representation
+ * @returns {{code:number,name:string}[]}
+ */
+function representation_entries(representation) {
+  return Object.entries(representation.codes).filter(([name]) => !(name in staticTokens)).map(([name, code]) => ({ code: code, name: name }));
+}
+
+/**
+ * @param {Representation} representation
+ * @param {string} country
+ * @returns {string} Power name of a country.
+ */
+function power_name(representation, country) {
+  return Object.keys(representation.powers).find(name => representation.powers[name] == country);
+}
+
+/**
+ * @param {Representation} representation
+ * @param {string} province
+ * @returns {string} Token name of a province.
+ */
+function province_name(representation, province) {
+  return Object.keys(representation.provinces).find(name => representation.provinces[name] == province);
+}
+
+/**
+ * Encode a message as tokens.
+ * @param {Message} message
+ * @param {Representation} representation
+ * @returns {Buffer}
+ */
+function encode_tokens(message, representation) {
+  let codes = [];
+  let add = item => {
+    if (Array.isArray(item)) {
+      codes.push(staticTokens.BRA);
+      item.forEach(add);
+      codes.push(staticTokens.KET);
+    } else if (typeof item == "number") {
+      if (!Number.isInteger(item) || item < -8192 || item > 8191) throw Error(`${item} can't be sent as a DAIDE integer.`);
+      codes.push(item & 0x3FFF);
+    } else if (typeof item == "object") {
+      for (let i = 0; i < item.text.length; i++) codes.push((tokenCategoryEnum.Text << 8) | (item.text.charCodeAt(i) & 0xFF));
+    } else {
+      if (!(item in representation.codes)) throw Error(`Unknown DAIDE token ${item}.`);
+      codes.push(representation.codes[item]);
+    }
+  };
+  message.forEach(add);
+
+  let buffer = Buffer.alloc(codes.length * 2);
+  codes.forEach((code, i) => buffer.writeUInt16BE(code, i * 2));
+  return buffer;
+}
+
+/**
+ * Decode tokens into a message.
+ * @param {Buffer} buffer
+ * @param {Representation} representation
+ * @returns {Message}
+ */
+function decode_tokens(buffer, representation) {
+  if (buffer.length % 2 != 0) throw Error("DAIDE messages must have an even number of bytes.");
+
+  let stack = [[]];
+  for (let i = 0; i < buffer.length; i += 2) {
+    let code = buffer.readUInt16BE(i);
+    let top = stack[stack.length - 1];
+    if (code == staticTokens.BRA) {
+      let list = [];
+      top.push(list);
+      stack.push(list);
+    } else if (code == staticTokens.KET) {
+      if (stack.length == 1) throw Error("Unmatched closing bracket.");
+      stack.pop();
+    } else if (code >> 14 == 0) {
+      top.push(code & 0x2000 ? code - 0x4000 : code);
+    } else if (code >> 8 == tokenCategoryEnum.Text) {
+      let char = String.fromCharCode(code & 0xFF);
+      let last = top[top.length - 1];
+      if (last && typeof last == "object" && !Array.isArray(last)) {
+        last.text += char;
+      } else {
+        top.push({ text: char });
+      }
+    } else {
+      if (!(code in representation.names)) throw Error(`Unknown DAIDE token 0x${code.toString(16)}.`);
+      top.push(representation.names[code]);
+    }
+  }
+  if (stack.length != 1) throw Error("Unmatched opening bracket.");
+  return stack[0];
+}
+
+/**
+ * Write a message in the text form used in the DAIDE documents, like `SUB ((ENG FLT LON) MTO NTH)`.
+ * @param {Message} message
+ * @returns {string}
+ */
+function format_message(message) {
+  return message.map(item => {
+    if (Array.isArray(item)) return `(${format_message(item)})`;
+    if (typeof item == "object") return `'${item.text.replace(/'/g, "''")}'`;
+    return item.toString();
+  }).join(" ");
+}
+
+/**
+ * Read a message from its text form.
+ * @param {string} text
+ * @returns {Message}
+ */
+function parse_message(text) {
+  text = text.trim();
+  let stack = [[]];
+  let regex = /\s*(?:(\()|(\))|'((?:[^']|'')*)'|(-?\d+)|([A-Za-z0-9]{3}))/y;
+  let match;
+  while (regex.lastIndex < text.length && (match = regex.exec(text))) {
+    let top = stack[stack.length - 1];
+    if (match[1]) {
+      let list = [];
+      top.push(list);
+      stack.push(list);
+    } else if (match[2]) {
+      if (stack.length == 1) throw Error("Unmatched closing bracket.");
+      stack.pop();
+    } else if (match[3] !== undefined) {
+      top.push({ text: match[3].replace(/''/g, "'") });
+    } else if (match[4]) {
+      top.push(Number(match[4]));
+    } else {
+      top.push(match[5].toUpperCase());
+    }
+  }
+  if (regex.lastIndex < text.length) throw Error(`Couldn't read DAIDE message at "${text.slice(regex.lastIndex)}".`);
+  if (stack.length != 1) throw Error("Unmatched opening bracket.");
+  return stack[0];
+}
+
+/**
+ * Put a message's header in front of its body.
+ * @param {messageTypeEnum} type
+ * @param {Buffer} body
+ * @returns {Buffer}
+ */
+function frame(type, body=Buffer.alloc(0)) {
+  let header = Buffer.alloc(4);
+  header.writeUInt8(type, 0);
+  header.writeUInt16BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * @returns {Buffer} An `Initial` message.
+ */
+function initial_message() {
+  let body = Buffer.alloc(4);
+  body.writeUInt16BE(protocolVersion, 0);
+  body.writeUInt16BE(magicNumber, 2);
+  return frame(messageTypeEnum.Initial, body);
+}
+
+/**
+ * @param {Representation} representation
+ * @returns {Buffer} A `Representation` message with every map-specific token.
+ */
+function representation_message(representation) {
+  let entries = representation_entries(representation);
+  let body = Buffer.alloc(entries.length * 6);
+  entries.forEach((entry, i) => {
+    body.writeUInt16BE(entry.code, i * 6);
+    body.write(entry.name, i * 6 + 2, 3, "ascii");
+  });
+  return frame(messageTypeEnum.Representation, body);
+}
+
+/**
+ * Read the tokens from the body of a `Representation` message.
+ * @param {Buffer} body
+ * @returns {Representation}
+ */
+function read_representation(body) {
+  let entries = [];
+  for (let i = 0; i + 6 <= body.length; i += 6) {
+    entries.push({ code: body.readUInt16BE(i), name: body.toString("ascii", i + 2, i + 6).replace(/\0+$/, "") });
+  }
+  return build_representation(entries);
+}
+
+/**
+ * @param {Message} message
+ * @param {Representation} representation
+ * @returns {Buffer} A `Diplomacy` message.
+ */
+function diplomacy_message(message, representation) {
+  return frame(messageTypeEnum.Diplomacy, encode_tokens(message, representation));
+}
+
+/**
+ * @param {errorCodeEnum} code
+ * @returns {Buffer} An `Error` message.
+ */
+function error_message(code) {
+  let body = Buffer.alloc(2);
+  body.writeUInt16BE(code, 0);
+  return frame(messageTypeEnum.Error, body);
+}
+
+/**
+ * Split complete messages off the front of the bytes received so far.
+ * @param {Buffer} buffer
+ * @returns {[{type:messageTypeEnum,body:Buffer}[], Buffer]} The complete messages and the bytes left over.
+ */
+function split_frames(buffer) {
+  let frames = [];
+  while (buffer.length >= 4) {
+    let length = buffer.readUInt16BE(2);
+    if (buffer.length < 4 + length) break;
+    frames.push({ type: buffer.readUInt8(0), body: buffer.subarray(4, 4 + length) });
+    buffer = buffer.subarray(4 + length);
+  }
+  return [frames, buffer];
+}
+
+/**
+ * Get the DAIDE turn of a phase.
+ * @param {shared.State} state The state the phase's orders are stored on.
+ * @param {shared.phaseEnum} phase
+ * @returns {Message} Like `[SPR, 1901]`.
+ */
+function turn_tokens(state, phase) {
+  let spring = state.season == shared.seasonEnum.Spring;
+  switch (phase) {
+    case shared.phaseEnum.Retreating:
+      return [spring ? "SUM" : "AUT", state.date];
+    case shared.phaseEnum["Creating/Disbanding"]:
+      return ["WIN", state.date];
+    default:
+      return [spring ? "SPR" : "FAL", state.date];
+  }
+}
+
+/**
+ * Get the index in `history` of the state the current phase's orders are stored on.
+ * @param {Object} gameData ServerGameData of the game.
+ * @returns {number}
+ */
+function current_turn(gameData) {
+  return gameData.history.length - (gameData.phase == shared.phaseEnum["Order Writing"] ? 1 : 2);
+}
+
+/**
+ * Find the turn index and phase of a DAIDE turn.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {Message} turn
+ * @returns {{turn:number,phase:shared.phaseEnum}} Or null if the game has no such turn.
+ */
+function find_turn(gameData, turn) {
+  let phases = {
+    SPR: [shared.seasonEnum.Spring, shared.phaseEnum["Order Writing"]],
+    SUM: [shared.seasonEnum.Spring, shared.phaseEnum.Retreating],
+    FAL: [shared.seasonEnum.Fall, shared.phaseEnum["Order Writing"]],
+    AUT: [shared.seasonEnum.Fall, shared.phaseEnum.Retreating],
+    WIN: [shared.seasonEnum.Fall, shared.phaseEnum["Creating/Disbanding"]]
+  };
+  if (!Array.isArray(turn) || !(turn[0] in phases)) return null;
+  let [season, phase] = phases[turn[0]];
+  let index = gameData.history.findIndex(s => s.date == turn[1] && s.season == season);
+  return index == -1 ? null : { turn: index, phase: phase };
+}
+
+/**
+ * @param {Representation} representation
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} province
+ * @param {string} coast
+ * @returns {string|Message} A province's token, with the coast if the province has more than one.
+ */
+function location_tokens(representation, gameData, province, coast) {
+  let name = province_name(representation, province);
+  return coast && gameData.get_province(province).coasts.length > 1 ? [name, coastTokens[coast]] : name;
+}
+
+/**
+ * @param {Representation} representation
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} country
+ * @param {shared.Unit} unit
+ * @returns {Message} Like `[ENG, FLT, LON]`.
+ */
+function unit_tokens(representation, gameData, country, unit) {
+  return [
+    power_name(representation, country),
+    unit.type == shared.unitTypeEnum.Fleet ? "FLT" : "AMY",
+    location_tokens(representation, gameData, unit.province, unit.coast)
+  ];
+}
+
+/**
+ * Find the unit in a province in any of several states.
+ * @param {shared.State[]} states States to look in, in order.
+ * @param {string} province
+ * @returns {{country:string,unit:shared.Unit}} Or null if none of the states have a unit there.
+ */
+function find_unit(states, province) {
+  for (let state of states.filter(s => s)) {
+    for (let c in state.nations) {
+      let unit = state.nations[c].units.find(u => u.province == province);
+      if (unit) return { country: c, unit: unit };
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Object} gameData ServerGameData of the game.
+ * @returns {Message} A `MAP` message.
+ */
+function map_message(gameData) {
+  let name = gameData.mapInfo.info.name == "Europe" ? standardMapName : gameData.mapInfo.info.name.toUpperCase();
+  return ["MAP", [{ text: name }]];
+}
+
+/**
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {Representation} representation
+ * @returns {Message} An `MDF` message describing the map's powers, supply centers, and adjacencies.
+ */
+function mdf_message(gameData, representation) {
+  let powers = Object.keys(representation.powers).sort();
+  let homes = powers.map(p => [p, ...gameData.get_country(representation.powers[p]).supplyCenters.map(sc => province_name(representation, sc))]);
+  let home_centers = gameData.mapInfo.countries.flatMap(c => c.supplyCenters);
+  let neutral = gameData.get_supply_centers().filter(p => !home_centers.includes(p.id)).map(p => province_name(representation, p.id));
+  let others = gameData.mapInfo.provinces.filter(p => !p.supplyCenter).map(p => province_name(representation, p.id));
+
+  let routes = gameData.mapInfo.routes.flatMap(r => [r, { p0: r.p1, p1: r.p0, c0: r.c1, c1: r.c0, water: r.water }]);
+  let adjacencies = gameData.mapInfo.provinces.map(province => {
+    let name = province_name(representation, province.id);
+    let lists = [];
+    if (!province.water) {
+      lists.push(["AMY", ...routes.filter(r => r.p0 == province.id && !r.water).map(r => province_name(representation, r.p1))]);
+    }
+    let coasts = province.water ? [""] : province.coasts.map(c => c.id);
+    for (let coast of coasts) {
+      let fleet_routes = routes.filter(r => r.p0 == province.id && r.water && (coasts.length == 1 || r.c0 == coast));
+      if (fleet_routes.length == 0) continue;
+      lists.push([
+        coasts.length > 1 ? ["FLT", coastTokens[coast]] : "FLT",
+        ...fleet_routes.map(r => location_tokens(representation, gameData, r.p1, r.c1))
+      ]);
+    }
+    return [name, ...lists];
+  });
+
+  return ["MDF", powers, [[...homes, ["UNO", ...neutral]], others], adjacencies];
+}
+
+/**
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {Representation} representation
+ * @returns {Message} An `SCO` message with who owns each supply center.
+ */
+function sco_message(gameData, representation) {
+  let owned = [];
+  let lists = Object.keys(representation.powers).sort().map(p => {
+    let nation = gameData.state.nations[representation.powers[p]];
+    let centers = nation ? nation.supplyCenters : [];
+    owned.push(...centers);
+    return [p, ...centers.map(sc => province_name(representation, sc))];
+  });
+  let unowned = gameData.get_supply_centers().filter(p => !owned.includes(p.id));
+  if (unowned.length > 0) lists.push(["UNO", ...unowned.map(p => province_name(representation, p.id))]);
+  return ["SCO", ...lists];
+}
+
+/**
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {Representation} representation
+ * @returns {Message} A `NOW` message with the current turn and every unit. Dislodged units are followed by `MRT` and where they can retreat to.
+ */
+function now_message(gameData, representation) {
+  let message = ["NOW", turn_tokens(gameData.history[current_turn(gameData)], gameData.phase)];
+  for (let c in gameData.state.nations) {
+    for (let unit of gameData.state.nations[c].units) message.push(unit_tokens(representation, gameData, c, unit));
+  }
+  if (gameData.phase == shared.phaseEnum.Retreating) {
+    let prev_state = gameData.history[gameData.history.length - 2];
+    for (let dislodgement of Object.values(prev_state.dislodgements)) {
+      let retreats = gameData.get_valid_retreats(dislodgement).map(r => location_tokens(representation, gameData, r.dest, r.coast));
+      message.push([...unit_tokens(representation, gameData, dislodgement.country, dislodgement.unit), "MRT", retreats]);
+    }
+  }
+  return message;
+}
+
+/**
+ * Get the tokens of an order as it was written during a turn.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {Representation} representation
+ * @param {number} turn Index in `history` of the state the order is stored on.
+ * @param {string} country
+ * @param {shared.Order} order
+ * @returns {Message}
+ */
+function order_tokens(gameData, representation, turn, country, order) {
+  let state = gameData.history[turn];
+  // Units that were disbanded in an adjustment phase are gone from every state, so fall back to the last place they were seen
+  let unit_at = province => {
+    let found = find_unit([state, gameData.history[turn + 1]], province);
+    if (found) return unit_tokens(representation, gameData, found.country, found.unit);
+    let type = gameData.get_province(province).water ? shared.unitTypeEnum.Fleet : shared.unitTypeEnum.Army;
+    return unit_tokens(representation, gameData, country, { province: province, type: type, coast: "" });
+  };
+  let province = p => province_name(representation, p);
+
+  switch (order.type) {
+    case shared.orderTypeEnum.hold:
+      return [unit_at(order.province), "HLD"];
+    case shared.orderTypeEnum.move:
+      if (order.isConvoy) {
+        let fleets = Object.values(state.orders).flatMap(o => Object.values(o))
+          .filter(o => o.type == shared.orderTypeEnum.convoy && o.start == order.province && o.end == order.dest)
+          .map(o => province(o.province));
+        return [unit_at(order.province), "CTO", province(order.dest), "VIA", fleets];
+      }
+      return [unit_at(order.province), "MTO", location_tokens(representation, gameData, order.dest, order.coast)];
+    case shared.orderTypeEnum["support hold"]:
+      return [unit_at(order.province), "SUP", unit_at(order.supporting)];
+    case shared.orderTypeEnum["support move"]:
+      return [unit_at(order.province), "SUP", unit_at(order.from), "MTO", province(order.supporting)];
+    case shared.orderTypeEnum.convoy:
+      return [unit_at(order.province), "CVY", unit_at(order.start), "CTO", province(order.end)];
+    case shared.orderTypeEnum.retreat: {
+      let dislodgement = state.dislodgements[order.province];
+      return [unit_tokens(representation, gameData, dislodgement.country, dislodgement.unit), "RTO", location_tokens(representation, gameData, order.dest, order.coast)];
+    }
+    case shared.orderTypeEnum.build:
+      return [unit_tokens(representation, gameData, country, { province: order.province, type: order.unitType, coast: order.coast }), "BLD"];
+    case shared.orderTypeEnum.disband: {
+      let dislodgement = state.dislodgements && state.dislodgements[order.province];
+      if (dislodgement && state.retreats && state.retreats[country] && state.retreats[country][order.province] == order) {
+        return [unit_tokens(representation, gameData, dislodgement.country, dislodgement.unit), "DSB"];
+      }
+      return [unit_at(order.province), "REM"];
+    }
+    case shared.orderTypeEnum.pass:
+      return [power_name(representation, country), "WVE"];
+    default:
+      throw Error(`Orders of type ${order.type} can't be sent over DAIDE.`);
+  }
+}
+
+/**
+ * @param {shared.Order} order
+ * @returns {Message} The result of an adjudicated order, like `[SUC]` or `[BNC]`.
+ */
+function result_tokens(order) {
+  switch (order.result) {
+    case shared.orderResultEnum.fail:
+      switch (order.type) {
+        case shared.orderTypeEnum["support hold"]:
+        case shared.orderTypeEnum["support move"]:
+          return ["CUT"];
+        case shared.orderTypeEnum.convoy:
+          return ["DSR"];
+        default:
+          return ["BNC"];
+      }
+    case shared.orderResultEnum.dislodged:
+      return ["RET"];
+    default:
+      return ["SUC"];
+  }
+}
+
+/**
+ * Get an `ORD` message for every order adjudicated in a phase.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {Representation} representation
+ * @param {number} turn Index in `history` of the state the orders are stored on.
+ * @param {shared.phaseEnum} phase
+ * @returns {Message[]}
+ */
+function ord_messages(gameData, representation, turn, phase) {
+  let state = gameData.history[turn];
+  let orders = [];
+  switch (phase) {
+    case shared.phaseEnum["Order Writing"]:
+      for (let c in state.orders || {}) orders.push(...Object.values(state.orders[c]).map(o => [c, o]));
+      break;
+    case shared.phaseEnum.Retreating:
+      for (let c in state.retreats || {}) orders.push(...Object.values(state.retreats[c]).map(o => [c, o]));
+      break;
+    case shared.phaseEnum["Creating/Disbanding"]:
+      for (let c in state.adjustments || {}) orders.push(...state.adjustments[c].map(o => [c, o]));
+      break;
+  }
+  let turn_message = turn_tokens(state, phase);
+  return orders.map(([c, o]) => ["ORD", turn_message, order_tokens(gameData, representation, turn, c, o), result_tokens(o)]);
+}
+
+exports.messageTypeEnum = messageTypeEnum;
+exports.errorCodeEnum = errorCodeEnum;
+exports.protocolVersion = protocolVersion;
+exports.magicNumber = magicNumber;
+exports.coastTokens = coastTokens;
+exports.create_representation = create_representation;
+exports.read_representation = read_representation;
+exports.power_name = power_name;
+exports.province_name = province_name;
+exports.encode_tokens = encode_tokens;
+exports.decode_tokens = decode_tokens;
+exports.format_message = format_message;
+exports.parse_message = parse_message;
+exports.initial_message = initial_message;
+exports.representation_message = representation_message;
+exports.diplomacy_message = diplomacy_message;
+exports.error_message = error_message;
+exports.split_frames = split_frames;
+exports.turn_tokens = turn_tokens;
+exports.current_turn = current_turn;
+exports.find_turn = find_turn;
+exports.location_tokens = location_tokens;
+exports.unit_tokens = unit_tokens;
+exports.map_message = map_message;
+exports.mdf_message = mdf_message;
+exports.sco_message = sco_message;
+exports.now_message = now_message;
+exports.ord_messages = ord_messages;
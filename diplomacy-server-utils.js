@@ -1,30 +1,108 @@
 const shared = require("./diplomacy-shared-utils/utils.js");
-const sql = require("./bankbook-server-utils/sql-utils.js");
+const adjudicator = require("./adjudicator.js");
+const storage_utils = require("./storage.js");
+const events = require("./events.js");
+const webhooks = require("./webhooks.js");
+const bots = require("./bots.js");
+const notation = require("./notation.js");
+const records = require("./records.js");
 const fssync = require("fs");
 const fs = fssync.promises;
 const path = require("path");
 
 /**
- * Enum for storing the state of an order within the adjudication process.
+ * Enum for the kinds of press (messages between powers) allowed in a game.
  * @readonly
- * @enum {number}
+ * @enum {string}
  */
-const resolutionStateEnum = {
-  Unresolved: 0,
-  Guessing: 1,
-  Resolved: 2
+const pressTypeEnum = {
+  /** Private and broadcast messages. */
+  Full: "full",
+  /** Only messages sent to every power. */
+  Broadcast: "broadcast",
+  /** No messages at all (gunboat). */
+  None: "none"
 }
 
 /**
- * Enum for storing a type of backup rule needing to be processed.
+ * Enum for the machine-readable reasons an order can be rejected.
  * @readonly
- * @enum {number}
+ * @enum {string}
  */
-const backupRuleType = {
-  circle: 0,
-  convoy: 1
+const orderErrorEnum = {
+  GameOver: "game-over",
+  WrongPhase: "wrong-phase",
+  NoUnit: "no-unit",
+  NotOwner: "not-owner",
+  NotAdjacent: "not-adjacent",
+  WrongTerrain: "wrong-terrain",
+  MissingCoast: "missing-coast",
+  UnreachableCoast: "unreachable-coast",
+  NoSupportedUnit: "no-supported-unit",
+  SupportUnreachable: "support-unreachable",
+  SupportedMoveImpossible: "supported-move-impossible",
+  CannotConvoy: "cannot-convoy",
+  NoConvoyRoute: "no-convoy-route",
+  NotDislodged: "not-dislodged",
+  RetreatToAttacker: "retreat-to-attacker",
+  RetreatOccupied: "retreat-occupied",
+  RetreatContested: "retreat-contested",
+  NoAdjustments: "no-adjustments",
+  AlreadySubmitted: "already-submitted",
+  TooManyAdjustments: "too-many-adjustments",
+  Invalid: "invalid"
 }
 
+/**
+ * Error thrown when an order can't be submitted, with a machine-readable reason.
+ */
+class OrderError extends Error {
+  /**
+   * @param {orderErrorEnum} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+
+    /** @type {orderErrorEnum} */
+    this.code = code;
+  }
+}
+
+/**
+ * Error thrown when a game is saved after another request has already saved a newer version of it.
+ */
+class ConflictError extends Error {
+  /**
+   * @param {number} id ID of the game.
+   */
+  constructor(id) {
+    super(`Game ${id} was modified by another request.`);
+  }
+}
+
+/**
+ * Keys of a ServerGameData object that get stored in the database.
+ * @type {string[]}
+ */
+const storedGameKeys = ["phase", "id", "name", "map", "users", "players", "winner", "won", "history", "deadlines", "deadline", "drawProposal", "pressType", "messages", "anonymous", "fogOfWar", "rules", "ready"];
+
+/**
+ * Stored keys that are never included in a sanitized game because they have their own endpoints.
+ * @type {string[]}
+ */
+const unsanitizedGameKeys = ["messages"];
+
+/**
+ * Maximum number of press messages returned in a single page.
+ */
+const maxPressPageSize = 200;
+
+/**
+ * Maximum number of phases bots adjudicate in a row, so that a game played only by bots doesn't run to the end in a single request.
+ */
+const maxBotPhases = 3;
+
 /**
  * The config data loaded from ./config.
  */
@@ -40,6 +118,11 @@ const config = {};
   }
 })();
 
+/**
+ * Where games and users are stored, selected by `STORAGE` in the config.
+ */
+const storage = storage_utils.create_storage(config);
+
 /**
  * @param {string} rootPath 
  * @param {RegExp} regex To match against file names or false to get all files.
@@ -115,27 +198,84 @@ async function get_map_info(rel) {
  * @returns {Promise<ServerGameData[]>} 
  */
 async function get_game_list(username="") {
-  let rows = await sql.query("SELECT json FROM diplomacy_games WHERE archived=FALSE");
   let list = [];
-  for (let row of rows) {
-    let json = JSON.parse(row.json);
-    if (!username || json.users.includes(username)) {
-      list.push(await create_gamedata(json));
-    }
+  for (let stored of await storage.list_games(username)) {
+    stored.game.version = stored.version;
+    list.push(await create_gamedata(stored.game));
+  }
+  return list;
+}
+
+/**
+ * Get the ID's of the games involving `username`
+ * @param {string} username Username or empty for no username checking.
+ * @returns {Promise<number[]>}
+ */
+async function get_game_ids(username="") {
+  return await storage.list_game_ids(username);
+}
+
+/**
+ * Get the ID's of the games whose current phase's deadline has passed, without loading the games.
+ * @param {number} now Timestamp in milliseconds.
+ * @returns {Promise<number[]>}
+ */
+async function get_overdue_game_ids(now=Date.now()) {
+  return await storage.list_overdue_game_ids(now);
+}
+
+/**
+ * Get an overview of every game involving `username` without loading their histories.
+ * @param {string} username Username or empty for no username checking.
+ * @returns {Promise<Object[]>} See `game_overview`.
+ */
+async function get_game_overviews(username="") {
+  let list = [];
+  for (let summary of await storage.list_game_summaries(username)) {
+    list.push(await game_overview(summary, (await get_map_info(summary.map)).info.name));
   }
   return list;
 }
 
+/**
+ * Get an object with basic info about a game.
+ * @param {storage_utils.GameSummary} summary
+ * @param {string} mapName
+ * @returns {Promise<{id:number,gameName:string,mapName:string,playerFirstNames:string[],phase:number,season:number,won:number,winner:string}>}
+ */
+async function game_overview(summary, mapName) {
+  let firstNames = [];
+  // Anonymous games don't say who is playing until the game is over
+  let hidden = summary.anonymous && summary.won == shared.winStateEnum.Playing;
+  for (let username of hidden ? [] : summary.users) {
+    firstNames.push((await storage.user_data(username)).firstname);
+  }
+  let winnerNames = [];
+  for (let username of summary.winner ? summary.winner.split(",") : []) {
+    winnerNames.push(bots.is_bot(username) ? bots.bot_display_name(username) : (await storage.user_data(username)).firstname);
+  }
+  return {
+    id: summary.id,
+    gameName: summary.name,
+    mapName: mapName,
+    playerFirstNames: firstNames,
+    phase: summary.phase,
+    season: summary.state.season,
+    won: summary.won,
+    winner: winnerNames.join(", ")
+  };
+}
+
 /**
  * Get a ServerGameData object from a game's ID or false if no such game exists.
  * @param {number} id
  * @returns {Promise<ServerGameData>} 
  */
 async function gamedata_from_id(id) {
-  let rows = await sql.query("SELECT json FROM diplomacy_games WHERE id=?", id);
-  if (rows.length > 0) {
-    let json = JSON.parse(rows[0].json);
-    return await create_gamedata(json);
+  let stored = await storage.load_game(id);
+  if (stored) {
+    stored.game.version = stored.version;
+    return await create_gamedata(stored.game);
   }
   throw Error(`No game found with ID ${id}.`);
 }
@@ -146,7 +286,7 @@ async function gamedata_from_id(id) {
  * @returns {Promise<boolean>}
  */
 async function game_exists(id) {
-  return (await sql.query("SELECT id FROM diplomacy_games WHERE id=?", id)).length > 0;
+  return await storage.game_exists(id);
 }
 
 /**
@@ -172,9 +312,11 @@ async function create_gamedata(json) {
  * @param {string[]} usernames 
  * @param {boolean} checkUsers Whether to verify users have correct permissions.
  * @param {boolean} populate Whether to add the starting units.
+ * @param {{deadlines?:PhaseDeadlines,pressType?:pressTypeEnum,anonymous?:boolean,fogOfWar?:boolean,rules?:Object,bots?:Object.<string,bots.botStrengthEnum>}} settings Optional per-game settings.
+ * `bots` maps ID's of countries played by bots to the bots' strengths. Each bot takes a seat, so it counts towards the number of players.
  * @returns {Promise<ServerGameData>}
  */
-async function new_game(user, gameName, mapPath, usernames, checkUsers=true, populate=true) {
+async function new_game(user, gameName, mapPath, usernames, checkUsers=true, populate=true, settings={}) {
   let data = {};
 
   if (!usernames.includes(user)) {
@@ -191,10 +333,24 @@ async function new_game(user, gameName, mapPath, usernames, checkUsers=true, pop
   data.winner = "";
   data.won = shared.winStateEnum.Playing;
   data.phase = shared.phaseEnum["Country Claiming"];
+  data.deadlines = Object.assign({ movement: 0, retreat: 0, adjustment: 0 }, settings.deadlines);
+  data.deadline = 0;
+
+  for (let key in data.deadlines) {
+    if (!(data.deadlines[key] >= 0)) throw Error(`Invalid ${key} deadline ${data.deadlines[key]}.`);
+  }
+
+  data.pressType = settings.pressType || pressTypeEnum.Full;
+  if (!Object.values(pressTypeEnum).includes(data.pressType)) throw Error(`Unknown press type ${data.pressType}.`);
+  data.messages = [];
+  data.anonymous = !!settings.anonymous;
+  data.fogOfWar = !!settings.fogOfWar;
+  data.rules = adjudicator.create_rules(settings.rules);
+  data.ready = {};
 
   if (checkUsers) {
     for (let user of usernames) {
-      if (!(await sql.user_app_permission(user, "diplomacy"))) {
+      if (!(await storage.user_app_permission(user, "diplomacy"))) {
         throw Error(`User ${user} doesn't have permission to play Diplomacy.`);
       }
     }
@@ -202,10 +358,12 @@ async function new_game(user, gameName, mapPath, usernames, checkUsers=true, pop
 
   data.mapInfo = await get_map_info(mapPath);
 
-  if (!Object.keys(data.mapInfo.playerConfigurations).includes(usernames.length.toString())) {
-    throw Error(`${usernames.length} is an invalid number of players for this map.`);
+  let botCountries = settings.bots || {};
+  let seats = usernames.length + Object.keys(botCountries).length;
+  if (!Object.keys(data.mapInfo.playerConfigurations).includes(seats.toString())) {
+    throw Error(`${seats} is an invalid number of players for this map.`);
   }
-  let playerConfig = data.mapInfo.playerConfigurations[usernames.length.toString()];
+  let playerConfig = data.mapInfo.playerConfigurations[seats.toString()];
 
   data.history = [{
     date: data.mapInfo.info.date,
@@ -224,7 +382,8 @@ async function new_game(user, gameName, mapPath, usernames, checkUsers=true, pop
     if (playerConfig.neutralEliminate || !eliminated) {
       data.history[0].nations[country.id] = {
         id: country.id,
-        supplyCenters: country.supplyCenters,
+        // Copied so that changes in ownership don't change the map's list of home supply centers
+        supplyCenters: [...country.supplyCenters],
         units: [],
         neutral: eliminated
       }
@@ -235,12 +394,86 @@ async function new_game(user, gameName, mapPath, usernames, checkUsers=true, pop
   if (populate) {
     gameData.populate();
   }
+  for (let country in botCountries) {
+    gameData.assign_bot(user, country, botCountries[country]);
+  }
+  return gameData;
+}
+
+/**
+ * Create a game from a game record by replaying it, checking that every adjudicated phase has the results the record says it had.
+ * Throws an error if the record can't be read, a player doesn't exist or can't play Diplomacy, the requesting user isn't one of the players, or the replay doesn't match the record.
+ * @param {string} user
+ * @param {records.GameRecord} record
+ * @param {Object.<string,string>} players Usernames of the players of some countries, keyed by country ID, in place of the players in the record. Players can be users of this server or bots.
+ * @param {boolean} checkUsers Whether to verify users have correct permissions.
+ * @returns {Promise<ServerGameData>} The game, in the phase the record was exported in.
+ */
+async function import_game(user, record, players={}, checkUsers=true) {
+  if (!record || record.format != records.recordFormat) throw Error("That isn't a game record.");
+  if (!(record.version <= records.recordVersion)) throw Error(`Game records of version ${record.version} can't be imported.`);
+  if (!Array.isArray(record.turns) || record.turns.length == 0) throw Error("The game record has no turns.");
+
+  for (let country in players) {
+    if (!(country in record.players)) throw Error(`Country ${country} isn't played in the record.`);
+  }
+  let owners = Object.assign({}, record.players, players);
+  for (let country in owners) {
+    if (!owners[country]) throw Error(`Nobody plays ${country} in the record. Choose a player for it.`);
+  }
+  let usernames = [...new Set(Object.values(owners).filter(u => !bots.is_bot(u)))];
+  if (!usernames.includes(user)) throw Error("You can't import a game you're not part of.");
+  if (checkUsers) {
+    for (let username of usernames) {
+      if (!(await storage.user_app_permission(username, "diplomacy"))) {
+        throw Error(`User ${username} doesn't have permission to play Diplomacy.`);
+      }
+    }
+  }
+
+  let data = {};
+  do {
+    data.id = randint(0, 1000000000);
+  } while (await game_exists(data.id));
+
+  data.name = record.name;
+  data.map = record.map;
+  data.users = usernames;
+  data.winner = "";
+  data.won = shared.winStateEnum.Playing;
+  data.phase = shared.phaseEnum["Country Claiming"];
+  data.deadlines = { movement: 0, retreat: 0, adjustment: 0 };
+  data.deadline = 0;
+  data.pressType = pressTypeEnum.Full;
+  data.messages = [];
+  data.anonymous = false;
+  data.fogOfWar = false;
+  data.rules = adjudicator.create_rules(record.rules);
+  data.ready = {};
+  data.players = owners;
+  data.mapInfo = await get_map_info(record.map);
+
+  let first = record.turns[0];
+  data.history = [{
+    date: first.date,
+    season: first.season,
+    nations: Object.fromEntries(Object.entries(first.nations).map(([c, nation]) => [c, {
+      id: c,
+      supplyCenters: [...nation.supplyCenters],
+      units: nation.units.map(u => ({ type: u.type, province: u.province, coast: u.coast })),
+      neutral: !!nation.neutral
+    }]))
+  }];
+
+  let gameData = new ServerGameData(data);
+  records.replay_record(gameData, record);
+  gameData.run_bots();
   return gameData;
 }
 
 /**
- * @param {number} min 
- * @param {number} max 
+ * @param {number} min
+ * @param {number} max
  * @returns {number} Pseudo-random integer n such that min <= n < max
  */
 function randint(min, max) {
@@ -249,11 +482,58 @@ function randint(min, max) {
 
 /**
  * Used as a replacer function for JSON.stringify when stringifying ServerGameData objects.
+ * Orders generated by the server on a player's behalf keep their `automatic` flag.
  */
 function gamedata_stringify_replacer(key, val) {
-  return val instanceof shared.Order ? val.export() : val
+  if (val instanceof shared.Order) {
+    let exported = val.export();
+    if (val.automatic) exported.automatic = true;
+    return exported;
+  }
+  return val;
 }
 
+/**
+ * Mark an order as generated by the server rather than submitted by a player.
+ * @template {shared.Order} T
+ * @param {T} order
+ * @returns {T}
+ */
+function automatic_order(order) {
+  order.automatic = true;
+  return order;
+}
+
+/**
+ * Number of hours allowed for each type of phase. A value of 0 means the phase has no deadline.
+ * @typedef {Object} PhaseDeadlines
+ * @property {number} movement
+ * @property {number} retreat
+ * @property {number} adjustment
+ */
+
+/**
+ * A proposal to end the game in a draw between `countries`. Every player controlling one of the countries must vote to accept it.
+ * @typedef {Object} DrawProposal
+ * @property {string[]} countries ID's of the countries sharing the draw.
+ * @property {Object.<string,boolean>} votes Votes so far keyed by username.
+ */
+
+/**
+ * A press message sent between powers.
+ * @typedef {Object} PressMessage
+ * @property {number} id Index of the message within the game.
+ * @property {string} from ID of the sending country.
+ * @property {string[]} to ID's of the receiving countries. Every other country for broadcasts.
+ * @property {boolean} broadcast Whether the message was sent to every power.
+ * @property {string} text
+ * @property {number} historyIndex Index in `history` of the turn the message was sent during.
+ * @property {number} date
+ * @property {shared.seasonEnum} season
+ * @property {shared.phaseEnum} phase
+ * @property {number} time Timestamp in milliseconds.
+ */
+
 /**
  * Server-specific information and methods about a game
  */
@@ -261,6 +541,63 @@ class ServerGameData extends shared.GameData {
   constructor(json) {
     super(json);
 
+    /**
+     * Number of times this game has been saved, used to detect concurrent modifications. Stored in its own column rather than the JSON.
+     * @type {number}
+     */
+    this.version = json.version || 0;
+
+    /** @type {PhaseDeadlines} */
+    this.deadlines = json.deadlines || { movement: 0, retreat: 0, adjustment: 0 };
+
+    /**
+     * Timestamp (in milliseconds) when the current phase gets adjudicated automatically, or 0 if there is no deadline.
+     * @type {number}
+     */
+    this.deadline = json.deadline || 0;
+
+    /**
+     * The draw currently being voted on, or null if there is none.
+     * @type {DrawProposal}
+     */
+    this.drawProposal = json.drawProposal || null;
+
+    /** @type {pressTypeEnum} */
+    this.pressType = json.pressType || pressTypeEnum.Full;
+
+    /** @type {PressMessage[]} */
+    this.messages = json.messages || [];
+
+    /**
+     * Whether players can't see which user controls which country until the game ends.
+     * @type {boolean}
+     */
+    this.anonymous = !!json.anonymous;
+
+    /**
+     * Whether each player only sees units in or adjacent to provinces they occupy or own (Fog of War variant).
+     * @type {boolean}
+     */
+    this.fogOfWar = !!json.fogOfWar;
+
+    /**
+     * The DATC rule options this game is played with.
+     * @type {adjudicator.RulesProfile}
+     */
+    this.rules = adjudicator.create_rules(json.rules);
+
+    /**
+     * Whether each country has finalized its orders for the current phase, keyed by country ID.
+     * @type {Object.<string,boolean>}
+     */
+    this.ready = json.ready || {};
+
+    /**
+     * Events waiting to be pushed to clients once the game is saved.
+     * @type {events.GameEvent[]}
+     */
+    this.events = [];
+
     this.mapInfo.provinces = this.mapInfo.provinces.filter(p => !this.eliminatedProvinces.includes(p.id));
     this.mapInfo.countries = this.mapInfo.countries.filter(c => Object.keys(this.state.nations).includes(c.id));
     this.mapInfo.routes = this.mapInfo.routes.filter(r => !this.eliminatedProvinces.includes(r.p0) && !this.eliminatedProvinces.includes(r.p1));
@@ -282,45 +619,64 @@ class ServerGameData extends shared.GameData {
   }
 
   /**
-   * Get an object with basic info about a game.id, gameName, mapName, playerFirstNames (list of strings), phase, season, and winner
-   * @returns {Promise<{id:number,gameName:string,mapName:string,playerFirstNames:string[],phase:number,season:number,winner:string}>}
+   * Get an object with basic info about a game.id, gameName, mapName, playerFirstNames (list of strings), phase, season, won, and winner (comma-separated first names if the game was drawn)
+   * @returns {Promise<{id:number,gameName:string,mapName:string,playerFirstNames:string[],phase:number,season:number,won:number,winner:string}>}
    */
   async get_game_overview() {
-    let firstNames = [];
-    for (let username of this.users) {
-      firstNames.push((await sql.user_data(username)).firstname);
-    }
-    return {
+    return await game_overview({
       id: this.id,
-      gameName: this.name,
-      mapName: this.mapInfo.info.name,
-      playerFirstNames: firstNames,
+      name: this.name,
+      map: this.map,
+      users: this.users,
       phase: this.phase,
-      season: this.state.season,
-      winner: this.winner ? (await sql.user_data(this.winner)).firstname : ""
-    };
+      anonymous: this.anonymous,
+      won: this.won,
+      winner: this.winner,
+      state: this.state
+    }, this.mapInfo.info.name);
   }
 
   /**
-   * Save this game to the SQL server
+   * Save this game to storage
    */
   async save() {
-    let toStore = ["phase", "id", "name", "map", "users", "players", "winner", "won", "history"].reduce((obj, key) => { obj[key] = this[key]; return obj; }, {});
+    let toStore = storedGameKeys.reduce((obj, key) => { obj[key] = this[key]; return obj; }, {});
     
-    let stringified = JSON.stringify(toStore, gamedata_stringify_replacer);
-
-    if (await game_exists(this.id)) {
-      sql.query("UPDATE diplomacy_games SET json=? WHERE id=?", [stringified, this.id]);
-    } else {
-      sql.query("INSERT INTO diplomacy_games (id, json) VALUES (?, ?)", [this.id, stringified]);
+    let game = JSON.parse(JSON.stringify(toStore, gamedata_stringify_replacer));
+
+    // Only overwrite the version this object was loaded from, or insert the game if it isn't stored at all.
+    // Storage checks both when it writes, so a request that saves or creates the same game at the same time causes a conflict.
+    if (!(await storage.update_game(game, this.version)) && !(await storage.insert_game(game, this.version + 1))) throw new ConflictError(this.id);
+    this.version++;
+
+    events.publish(this, this.events);
+    // The game is already saved, so failing to queue its payloads mustn't fail the request and get its events sent again
+    try {
+      await webhooks.queue_deliveries(storage, this, this.events);
+    } catch (error) {
+      console.error(`Failed to queue webhook payloads for game ${this.id}.`);
+      console.error(error);
     }
+    this.events = [];
+
+    // Deliver right away rather than waiting for the scheduler
+    webhooks.process_deliveries(storage, webhooks.allowed_hosts(config)).catch(error => console.error(error));
+  }
+
+  /**
+   * Queue an event to be pushed to clients once the game is saved.
+   * @param {events.gameEventEnum} type
+   * @param {(view:Object,username:string)=>Object} data Get the event's data for a user from the game as returned by `sanitized(username)`, or null if the user can't see the event.
+   */
+  emit_event(type, data) {
+    this.events.push({ type: type, data: data });
   }
 
   /**
-   * Tag this game as archived in the SQL server
+   * Tag this game as archived in storage
    */
   async archive() {
-    await sql.query("UPDATE diplomacy_games SET archived=TRUE WHERE id=?", [this.id]);
+    await storage.archive_game(this.id);
   }
 
   /**
@@ -330,11 +686,14 @@ class ServerGameData extends shared.GameData {
    * @returns {Object}
    */
   sanitized(username="", includeMapInfo=true) {
-    let keys = ["phase", "id", "name", "map", "users", "players", "winner", "won", "history"];
+    let keys = storedGameKeys.filter(key => !unsanitizedGameKeys.includes(key));
     if (includeMapInfo) keys.push("mapInfo");
     let obj = keys.reduce((obj, key) => { obj[key] = this[key]; return obj; }, {});
     obj = JSON.parse(JSON.stringify(obj, gamedata_stringify_replacer));
 
+    // Adjudication traces are only served one turn at a time by `get_trace`
+    for (let state of obj.history) delete state.trace;
+
     if (username) {
       if (this.phase == shared.phaseEnum["Order Writing"]) {
         for (let country in this.state.orders) {
@@ -355,11 +714,186 @@ class ServerGameData extends shared.GameData {
           }
         }
       }
+
+      // Other players' draw votes stay secret until the draw resolves
+      if (obj.drawProposal) {
+        obj.drawProposal.votes = Object.fromEntries(Object.entries(obj.drawProposal.votes).filter(([user]) => user == username));
+      }
+
+      // Anonymous games only reveal who controls each country once the game is over
+      if (this.anonymous && this.won == shared.winStateEnum.Playing) {
+        for (let country in obj.players) {
+          if (obj.players[country] != username) obj.players[country] = null;
+        }
+      }
+
+      // Fog of war is lifted once the game is over
+      if (this.fogOfWar && this.won == shared.winStateEnum.Playing) {
+        for (let i = 0; i < obj.history.length; i++) {
+          this.redact_state(username, obj.history, i);
+        }
+      }
     }
 
     return obj;
   }
 
+  /**
+   * Get the provinces a user can see in a state under fog of war: every province their countries occupy or own, plus every province adjacent to those.
+   * @param {string} username
+   * @param {shared.State} state
+   * @returns {Set<string>}
+   */
+  visible_provinces(username, state) {
+    let visible = new Set();
+    for (let c in state.nations) {
+      if (this.country_owner(c) != username) continue;
+      for (let unit of state.nations[c].units) visible.add(unit.province);
+      for (let sc of state.nations[c].supplyCenters) visible.add(sc);
+    }
+
+    let adjacencies = this.route_adjacencies();
+    for (let province of [...visible]) {
+      for (let adj of adjacencies[province] || []) visible.add(adj);
+    }
+    return visible;
+  }
+
+  /**
+   * Remove everything from a stringified state in `history` that a user can't see under fog of war.
+   * Each state is redacted using the positions from that state, so past turns stay hidden even if the provinces become visible later.
+   * Adjustments are made against the positions of the following state, so they're redacted using that state's visibility.
+   * @param {string} username
+   * @param {shared.State[]} history Stringified copy of `this.history` to be modified.
+   * @param {number} index Index of the state to redact.
+   */
+  redact_state(username, history, index) {
+    let state = history[index];
+    let visible = this.visible_provinces(username, this.history[index]);
+    let next_visible = index + 1 < this.history.length ? this.visible_provinces(username, this.history[index + 1]) : visible;
+    let own = c => this.country_owner(c) == username;
+
+    for (let c in state.nations) {
+      if (own(c)) continue;
+      state.nations[c].units = state.nations[c].units.filter(u => visible.has(u.province));
+      state.nations[c].supplyCenters = state.nations[c].supplyCenters.filter(p => visible.has(p));
+      delete state.nations[c].toBuild;
+    }
+
+    for (let c in state.orders || {}) {
+      if (own(c)) continue;
+      for (let province in state.orders[c]) {
+        if (!visible.has(province)) delete state.orders[c][province];
+      }
+    }
+
+    for (let province in state.dislodgements || {}) {
+      if (!own(state.dislodgements[province].country) && !visible.has(province)) delete state.dislodgements[province];
+    }
+
+    for (let c in state.retreats || {}) {
+      if (own(c)) continue;
+      for (let province in state.retreats[c]) {
+        if (!visible.has(province)) delete state.retreats[c][province];
+      }
+    }
+
+    if (state.contested) state.contested = state.contested.filter(p => visible.has(p));
+
+    for (let c in state.adjustments || {}) {
+      if (own(c)) continue;
+      state.adjustments[c] = state.adjustments[c].filter(o => o.province && next_visible.has(o.province));
+    }
+  }
+
+  /**
+   * Return whether fog of war hides a province from a user.
+   * @param {string} username
+   * @param {string} province
+   * @param {shared.State} state State whose positions decide what the user can see.
+   * @returns {boolean}
+   */
+  hidden_from(username, province, state=this.state) {
+    return this.fogOfWar && this.won == shared.winStateEnum.Playing && !this.visible_provinces(username, state).has(province);
+  }
+
+  /**
+   * Get a copy of this game for planning on behalf of a user. Under fog of war, the copy's current turn only has the units and supply centers the user can see.
+   * @param {string} username
+   * @returns {ServerGameData}
+   */
+  visible_copy(username) {
+    let json = JSON.parse(JSON.stringify(storedGameKeys.reduce((obj, key) => { obj[key] = this[key]; return obj; }, {}), gamedata_stringify_replacer));
+    json.mapInfo = JSON.parse(JSON.stringify(this.mapInfo));
+
+    let copy = new ServerGameData(json);
+    if (this.fogOfWar && this.won == shared.winStateEnum.Playing) {
+      let visible = this.visible_provinces(username, this.state);
+      for (let c in copy.state.nations) {
+        if (this.country_owner(c) == username) continue;
+        copy.state.nations[c].units = copy.state.nations[c].units.filter(u => visible.has(u.province));
+        copy.state.nations[c].supplyCenters = copy.state.nations[c].supplyCenters.filter(p => visible.has(p));
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Adjudicate a hypothetical set of orders for the current turn without changing this game.
+   * The orders are validated against a copy of the game from `visible_copy` that has none of the real submitted orders.
+   * Units without an order hold.
+   * @param {string} username Username of the requesting player.
+   * @param {shared.Order[]} orders Orders for any units in the game.
+   * @returns {{orders:Object[],dislodgements:Object,contested:string[],positions:Object.<string,shared.Unit[]>}} Orders with their results, dislodgements, contested provinces, and the resulting units of each country.
+   */
+  what_if(username, orders) {
+    if (this.phase != shared.phaseEnum["Order Writing"]) throw Error("Can only test orders during order writing phase.");
+
+    let copy = this.visible_copy(username);
+    for (let c in copy.state.orders) {
+      copy.state.orders[c] = {};
+    }
+
+    for (let order of orders) {
+      let unit = copy.get_unit(order.province);
+      if (!unit) throw Error(`There is no unit at ${order.province}.`);
+      order = copy.apply_coast_rule(unit, order);
+      if (!copy.get_valid_orders(unit).some(o => o.id == order.id)) throw Error(`Order ${order.id} is not valid.`);
+      order.result = shared.orderResultEnum.unprocessed;
+      copy.state.orders[copy.get_unit_owner_id(unit.province)][unit.province] = order;
+    }
+
+    copy.fill_orders_with_holds();
+
+    let all_orders = Object.values(copy.state.orders).flatMap(nation => Object.values(nation));
+    let result = adjudicator.adjudicate({ nations: copy.state.nations, players: copy.players }, copy.mapInfo, all_orders, { rules: this.rules });
+
+    let exported = JSON.parse(JSON.stringify(all_orders, gamedata_stringify_replacer));
+    exported.forEach((order, i) => order.result = result.results[i]);
+
+    return {
+      orders: exported,
+      dislodgements: result.dislodgements,
+      contested: result.contested,
+      positions: Object.fromEntries(Object.entries(result.nations).map(([c, nation]) => [c, nation.units]))
+    };
+  }
+
+  /**
+   * Get the structured trace recorded when a turn's orders were adjudicated.
+   * @param {string} username Username of the requesting player.
+   * @param {number} turn Index of the turn in `history`.
+   * @returns {adjudicator.TraceEntry[]}
+   */
+  get_trace(username, turn) {
+    if (this.fogOfWar && this.won == shared.winStateEnum.Playing) throw Error("Adjudication traces aren't available in fog of war games until the game ends.");
+
+    let state = this.history[turn];
+    if (!state) throw Error(`There is no turn ${turn}.`);
+    if (!state.trace) throw Error(`Turn ${turn} hasn't been adjudicated.`);
+    return state.trace;
+  }
+
   /**
    * Spawn all the starting units for this game.
    */
@@ -451,83 +985,412 @@ class ServerGameData extends shared.GameData {
         this.players[c] = "";
       }
     }
+    this.emit_event(events.gameEventEnum.Claim, view => ({ countries: group, players: view.players }));
 
     if (!(Object.values(this.players).some(p => !p))) {
       this.start_order_writing();
+      this.run_bots();
     }
   }
 
-
   /**
-   * Check if a cancel order is valid and process it if so.
-   * @param {string} username Username of the user trying to submit order.
-   * @param {shared.CancelOrder} order Cancel order to be submitted.
+   * Hand a country over to a bot. If the country is part of a country group, the whole group is handed over.
+   * Countries nobody has claimed, countries played by a bot, and the user's own countries can be handed over, before or during the game.
+   * @param {string} username
+   * @param {string} country
+   * @param {bots.botStrengthEnum} strength
    */
-  submit_cancel_order(username, order) {
-    switch (this.phase) {
-      case shared.phaseEnum["Order Writing"]: {
-        let unit = this.get_unit(order.province);
-        if (!unit) throw Error(`There is no unit at ${order.province}.`);
-        if (this.get_unit_owner_player(order.province) != username) throw Error(`User ${username} has no control over unit at ${order.province}.`);
-        delete this.state.orders[this.get_unit_owner_id(unit.province)][unit.province];
-        break;
-      }
+  assign_bot(username, country, strength) {
+    if (this.won != shared.winStateEnum.Playing) throw Error("This game has already ended.");
+    if (!(country in this.players)) throw Error(`Country ${country} isn't played in this game.`);
+
+    let group = this.country_group(country);
+    if (!group) throw Error(`Country ${country} is not selectable.`);
+    let owner = group.map(c => this.players[c]).find(p => p && p != username && !bots.is_bot(p));
+    if (owner) throw Error("You can't hand over a country another player plays to a bot.");
+
+    let bot = bots.bot_username(strength, country);
+    for (let c of group) {
+      this.players[c] = bot;
+      delete this.ready[c];
+    }
+    this.emit_event(events.gameEventEnum.Claim, view => ({ countries: group, players: view.players }));
+
+    if (this.phase == shared.phaseEnum["Country Claiming"] && !(Object.values(this.players).some(p => !p))) {
+      this.start_order_writing();
     }
+    this.run_bots();
   }
 
   /**
-   * Check if an order for the order writing phase (hold, move, support, or convoy) is valid and submit it if so.
-   * @param {string} username Username of the user trying to submit order.
-   * @param {shared.Order} order Order to be submitted.
+   * Submit orders for every country a bot plays that isn't ready for the current phase yet, then mark those countries as ready.
+   * External bots are left to write their own orders over DAIDE.
+   * If that makes every country ready, the phase is adjudicated and the bots move on to the next one.
    */
-  submit_normal_order(username, order) {
-    if (this.phase != shared.phaseEnum["Order Writing"]) throw Error(`Cannot place an order during phase ${this.phase} (must be ${shared.phaseEnum["Order Writing"]})`);
-        
-    let unit = this.get_unit(order.province);
-    if (!unit) throw Error(`There is no unit at ${order.province}.`);
-    if (this.get_unit_owner_player(order.province) != username) throw Error(`User ${username} has no control over unit at ${order.province}.`);
-
-    if (!this.get_valid_orders(unit).some(o => o.id == order.id)) throw Error(`Order ${order.id} is not valid.`);
-
-    order.result = shared.orderResultEnum.unprocessed;
-
-    this.state.orders[this.get_unit_owner_id(unit.province)][unit.province] = order;
-
-    for (let c in this.state.nations) {
-      for (let u of this.state.nations[c].units) {
-        if (!this.state.orders[c][u.province]) return; // If not all orders are in, we're done
+  run_bots() {
+    for (let i = 0; i < maxBotPhases; i++) {
+      if (this.won != shared.winStateEnum.Playing || this.phase == shared.phaseEnum["Country Claiming"]) return;
+
+      for (let c of this.countries_to_order()) {
+        let bot = this.country_owner(c);
+        if (!bots.is_automatic_bot(bot) || this.ready[c]) continue;
+        // Under fog of war, bots plan with only what their country can see
+        for (let order of bots.get_bot_orders(this.fogOfWar ? this.visible_copy(bot) : this, c)) {
+          try {
+            this.place_order(bot, order);
+          } catch (error) {
+            console.error(`Bot ${bot} couldn't place order ${order.id}: ${error.message}`);
+          }
+        }
+        this.set_ready(bot, true, [c]);
       }
+
+      if (!this.all_ready()) return;
+      this.force_adjudication();
     }
+  }
+
 
-    // If all orders are in, adjudicate
-    this.calculate_orders();
+  /**
+   * Get the ID's of every country that hasn't been eliminated and isn't neutral.
+   * @returns {string[]}
+   */
+  surviving_countries() {
+    return Object.keys(this.state.nations).filter(c => !this.state.nations[c].neutral && !this.state.nations[c].eliminated);
   }
 
   /**
-   * Check if a retreat is valid and submit it if so.
-   * @param {string} username Username of the user trying to submit retreat.
-   * @param {shared.RetreatOrder} retreat Retreat order to be submitted.
+   * Get the usernames of the players who need to vote on the current draw proposal.
+   * @returns {string[]}
    */
-  submit_retreat(username, retreat) {
-    if (this.phase != shared.phaseEnum.Retreating) throw Error(`Cannot submit a retreat during phase ${this.phase} (must be ${shared.phaseEnum.Retreating})`);
+  draw_voters() {
+    if (!this.drawProposal) return [];
+    return [...new Set(this.drawProposal.countries.map(c => this.country_owner(c)))];
+  }
 
-    let prev_state = this.history[this.history.length - 2];
-    let dislodgement = prev_state.dislodgements[retreat.province];
+  /**
+   * Propose ending the game in a draw. The proposing player automatically votes to accept.
+   * @param {string} username Username of the proposing player.
+   * @param {string[]} countries Countries sharing the draw. Leave empty to propose a draw including all surviving countries.
+   */
+  propose_draw(username, countries=[]) {
+    if (this.won != shared.winStateEnum.Playing) throw Error("This game has already ended.");
+    if (this.phase == shared.phaseEnum["Country Claiming"]) throw Error("You can't propose a draw before the game has started.");
+    if (this.drawProposal) throw Error("A draw has already been proposed this phase.");
 
-    if (!dislodgement) throw Error(`No unit was dislodged from ${retreat.province}`);
-    if (this.country_owner(dislodgement.country) != username) throw Error(`User ${username} has no control over unit dislodged from ${retreat.province}`);
-    if (!this.get_valid_retreats(dislodgement).some(r => r.id == retreat.id)) throw Error(`Retreat ${retreat.id} is not valid.`);
+    let surviving = this.surviving_countries();
+    if (countries.length == 0) countries = surviving;
 
-    retreat.result = shared.orderResultEnum.unprocessed;
+    for (let c of countries) {
+      if (!surviving.includes(c)) throw Error(`Country ${c} can't be part of a draw.`);
+    }
 
-    prev_state.retreats[dislodgement.country][dislodgement.unit.province] = retreat;
+    this.drawProposal = {
+      countries: [...new Set(countries)],
+      votes: {}
+    };
 
-    for (let d in prev_state.dislodgements) {
-      if (!prev_state.retreats[prev_state.dislodgements[d].country][d]) return; // If not all retreats are in, we're done
+    let voters = this.draw_voters();
+    if (!voters.includes(username)) {
+      this.drawProposal = null;
+      throw Error("You can't propose a draw you're not part of.");
+    }
+    if (voters.length < 2) {
+      this.drawProposal = null;
+      throw Error("A draw must include at least two players.");
+    }
+
+    // Bots accept every draw they're part of, except external ones, which vote over DAIDE
+    for (let voter of voters.filter(bots.is_automatic_bot)) this.drawProposal.votes[voter] = true;
+
+    this.vote_draw(username, true);
+  }
+
+  /**
+   * Vote on the current draw proposal. A single rejection cancels the proposal and a unanimous vote ends the game.
+   * @param {string} username
+   * @param {boolean} accept
+   */
+  vote_draw(username, accept) {
+    if (!this.drawProposal) throw Error("There is no draw to vote on.");
+
+    let voters = this.draw_voters();
+    if (!voters.includes(username)) throw Error(`User ${username} isn't part of the proposed draw.`);
+
+    if (!accept) {
+      this.drawProposal = null;
+      return;
+    }
+
+    this.drawProposal.votes[username] = true;
+
+    if (voters.every(u => this.drawProposal.votes[u])) {
+      this.end_game(shared.winStateEnum.Draw, voters.join(","));
+    }
+  }
+
+  /**
+   * Send a press message from one of a user's countries.
+   * @param {string} username Username of the sending player.
+   * @param {string} from ID of the sending country.
+   * @param {string[]} to ID's of the receiving countries. Leave empty to broadcast to every other country.
+   * @param {string} text
+   * @returns {PressMessage}
+   */
+  send_press(username, from, to, text) {
+    if (this.pressType == pressTypeEnum.None) throw Error("Press is disabled in this game.");
+    if (this.phase == shared.phaseEnum["Country Claiming"]) throw Error("You can't send press before the game has started.");
+    if (this.country_owner(from) != username) throw Error(`User ${username} has no control over country ${from}.`);
+    if (!text) throw Error("Can't send an empty message.");
+
+    let broadcast = to.length == 0;
+    if (!broadcast && this.pressType == pressTypeEnum.Broadcast) throw Error("Only broadcast press is allowed in this game.");
+
+    for (let c of to) {
+      if (!(c in this.players)) throw Error(`Country ${c} is not playing.`);
+      if (c == from) throw Error("You can't send a message to yourself.");
+    }
+
+    /** @type {PressMessage} */
+    let message = {
+      id: this.messages.length,
+      from: from,
+      to: broadcast ? Object.keys(this.players).filter(c => c != from) : [...new Set(to)],
+      broadcast: broadcast,
+      text: text,
+      historyIndex: this.history.length - 1,
+      date: this.state.date,
+      season: this.state.season,
+      phase: this.phase,
+      time: Date.now()
+    };
+    this.messages.push(message);
+    this.emit_event(events.gameEventEnum.Press, (_view, user) => this.can_read_press(user, message) ? message : null);
+    return message;
+  }
+
+  /**
+   * Return whether a user's countries were party to a press message.
+   * @param {string} username
+   * @param {PressMessage} message
+   * @returns {boolean}
+   */
+  can_read_press(username, message) {
+    return message.broadcast || [message.from, ...message.to].some(c => this.country_owner(c) == username);
+  }
+
+  /**
+   * Get a page of the press messages a user can read, newest first.
+   * @param {string} username
+   * @param {number} before Only include messages with an ID lower than this, or -1 to start from the newest message.
+   * @param {number} limit Maximum number of messages to return.
+   * @returns {{messages:PressMessage[],more:boolean}} The page of messages and whether there are older messages.
+   */
+  get_press(username, before=-1, limit=50) {
+    limit = Math.min(Math.max(limit, 1), maxPressPageSize);
+
+    let readable = this.messages.filter(m => (before < 0 || m.id < before) && this.can_read_press(username, m)).reverse();
+    return {
+      messages: readable.slice(0, limit),
+      more: readable.length > limit
+    };
+  }
+
+  /**
+   * Check if a cancel order is valid and process it if so.
+   * Cancelling a retreat leaves the dislodged unit to be disbanded.
+   * @param {string} username Username of the user trying to submit order.
+   * @param {shared.CancelOrder} order Cancel order to be submitted.
+   */
+  submit_cancel_order(username, order) {
+    switch (this.phase) {
+      case shared.phaseEnum["Order Writing"]: {
+        let unit = this.hidden_from(username, order.province) ? null : this.get_unit(order.province);
+        if (!unit) throw new OrderError(orderErrorEnum.NoUnit, `There is no unit at ${order.province}.`);
+        if (this.get_unit_owner_player(order.province) != username) throw new OrderError(orderErrorEnum.NotOwner, `User ${username} has no control over unit at ${order.province}.`);
+        delete this.state.orders[this.get_unit_owner_id(unit.province)][unit.province];
+        delete this.ready[this.get_unit_owner_id(unit.province)];
+        break;
+      }
+      case shared.phaseEnum.Retreating: {
+        let prev_state = this.history[this.history.length - 2];
+        let dislodgement = this.hidden_from(username, order.province, prev_state) ? null : prev_state.dislodgements[order.province];
+        if (!dislodgement) throw new OrderError(orderErrorEnum.NotDislodged, `No unit was dislodged from ${order.province}`);
+        if (this.country_owner(dislodgement.country) != username) throw new OrderError(orderErrorEnum.NotOwner, `User ${username} has no control over unit dislodged from ${order.province}`);
+        delete prev_state.retreats[dislodgement.country][order.province];
+        delete this.ready[dislodgement.country];
+        break;
+      }
     }
+  }
+
+  /**
+   * If this game's rules allow it, fill in the coast of a fleet's move to a province with multiple coasts when only one of them can be reached.
+   * @param {shared.Unit} unit The unit being ordered.
+   * @param {shared.Order} order
+   * @returns {shared.Order} The order with its coast filled in, or the original order.
+   */
+  apply_coast_rule(unit, order) {
+    if (this.rules.missingCoast != adjudicator.missingCoastRuleEnum.Default) return order;
+    if (order.type != shared.orderTypeEnum.move || order.coast || unit.type != shared.unitTypeEnum.Fleet) return order;
+    if (this.get_province_or_err(order.dest).coasts.length < 2) return order;
+
+    let candidates = this.get_valid_orders(unit).filter(o => o.type == shared.orderTypeEnum.move && o.dest == order.dest && !o.isConvoy);
+    return candidates.length == 1 ? candidates[0] : order;
+  }
 
-    // Otherwise, move on to retreat calculation
-    this.calculate_retreats();
+  /**
+   * Get the routes a unit can move along from its current position, oriented so that `p0` and `c0` are the unit's end.
+   * @param {shared.Unit} unit
+   * @returns {{p0:string,p1:string,c0:string,c1:string,water:boolean}[]}
+   */
+  unit_routes(unit) {
+    let fleet = unit.type == shared.unitTypeEnum.Fleet;
+    return this.mapInfo.routes
+      .flatMap(r => [r, { p0: r.p1, p1: r.p0, c0: r.c1, c1: r.c0, water: r.water }])
+      .filter(r => r.p0 == unit.province && r.water == fleet && (!fleet || !r.c0 || r.c0 == unit.coast));
+  }
+
+  /**
+   * Return whether a chain of fleets in water provinces connects `start` to `end`.
+   * @param {string} start
+   * @param {string} end
+   * @returns {boolean}
+   */
+  fleet_chain_exists(start, end) {
+    let adjacencies = this.route_adjacencies();
+    let has_fleet = p => {
+      let unit = this.get_unit(p);
+      return unit && unit.type == shared.unitTypeEnum.Fleet && this.get_province(p).water;
+    };
+
+    let visited = new Set([start]);
+    let queue = [start];
+    while (queue.length > 0) {
+      let province = queue.shift();
+      for (let adj of adjacencies[province] || []) {
+        if (adj == end && province != start) return true;
+        if (!visited.has(adj) && has_fleet(adj)) {
+          visited.add(adj);
+          queue.push(adj);
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Work out why an order isn't in the list of valid orders for its unit.
+   * @param {shared.Unit} unit
+   * @param {shared.Order} order
+   * @returns {OrderError}
+   */
+  explain_invalid_order(unit, order) {
+    let invalid = message => new OrderError(orderErrorEnum.Invalid, message || `Order ${order.id} is not valid.`);
+    let fleet = unit.type == shared.unitTypeEnum.Fleet;
+    let routes = this.unit_routes(unit);
+
+    switch (order.type) {
+      case shared.orderTypeEnum.move: {
+        let dest = this.get_province(order.dest);
+        if (!dest) return invalid(`There is no province ${order.dest}.`);
+        if (order.dest == unit.province) return invalid(`A unit can't move to the province it's already in.`);
+        if (!fleet && dest.water) return new OrderError(orderErrorEnum.WrongTerrain, `An army can't move to ${order.dest} because it's a water province.`);
+        if (fleet && !dest.water && dest.coasts.length == 0) return new OrderError(orderErrorEnum.WrongTerrain, `A fleet can't move to ${order.dest} because it's landlocked.`);
+
+        if (order.isConvoy) {
+          if (fleet) return new OrderError(orderErrorEnum.CannotConvoy, "Only armies can be convoyed.");
+          if (!this.fleet_chain_exists(unit.province, order.dest)) return new OrderError(orderErrorEnum.NoConvoyRoute, `There is no chain of fleets that can convoy ${unit.province} to ${order.dest}.`);
+          return invalid();
+        }
+
+        let to_dest = routes.filter(r => r.p1 == order.dest);
+        if (to_dest.length == 0) return new OrderError(orderErrorEnum.NotAdjacent, `${order.dest} isn't adjacent to ${unit.province}${fleet ? " by sea" : ""}.`);
+        if (fleet && !dest.water) {
+          if (!order.coast && dest.coasts.length > 1) return new OrderError(orderErrorEnum.MissingCoast, `A coast must be specified to move to ${order.dest}.`);
+          if (!to_dest.some(r => r.c1 == order.coast)) return new OrderError(orderErrorEnum.UnreachableCoast, `A fleet in ${unit.province} can't reach coast ${order.coast} of ${order.dest}.`);
+        }
+        return invalid();
+      }
+      case shared.orderTypeEnum["support hold"]:
+      case shared.orderTypeEnum["support move"]: {
+        let move = order.type == shared.orderTypeEnum["support move"];
+        let supported = this.get_unit(move ? order.from : order.supporting);
+        if (!supported) return new OrderError(orderErrorEnum.NoSupportedUnit, `There is no unit at ${move ? order.from : order.supporting} to support.`);
+        if (!routes.some(r => r.p1 == order.supporting)) return new OrderError(orderErrorEnum.SupportUnreachable, `A unit in ${unit.province} can't support into ${order.supporting} because it can't move there.`);
+        if (move && !this.unit_routes(supported).some(r => r.p1 == order.supporting) && !(supported.type == shared.unitTypeEnum.Army && this.fleet_chain_exists(order.from, order.supporting))) {
+          return new OrderError(orderErrorEnum.SupportedMoveImpossible, `The unit in ${order.from} can't move to ${order.supporting}.`);
+        }
+        return invalid();
+      }
+      case shared.orderTypeEnum.convoy: {
+        if (!fleet || !this.get_province(unit.province).water) return new OrderError(orderErrorEnum.CannotConvoy, "Only fleets in water provinces can convoy.");
+        let convoyed = this.get_unit(order.start);
+        if (!convoyed || convoyed.type != shared.unitTypeEnum.Army) return new OrderError(orderErrorEnum.NoSupportedUnit, `There is no army at ${order.start} to convoy.`);
+        if (!this.fleet_chain_exists(order.start, order.end)) return new OrderError(orderErrorEnum.NoConvoyRoute, `There is no chain of fleets that can convoy ${order.start} to ${order.end}.`);
+        return invalid();
+      }
+      default:
+        return invalid();
+    }
+  }
+
+  /**
+   * Work out why a retreat isn't in the list of valid retreats for a dislodged unit.
+   * @param {Object} dislodgement
+   * @param {shared.RetreatOrder} retreat
+   * @returns {OrderError}
+   */
+  explain_invalid_retreat(dislodgement, retreat) {
+    let prev_state = this.history[this.history.length - 2];
+    if (retreat.dest == dislodgement.from) return new OrderError(orderErrorEnum.RetreatToAttacker, `A unit can't retreat to ${retreat.dest} because that's where it was attacked from.`);
+    if (this.get_unit(retreat.dest)) return new OrderError(orderErrorEnum.RetreatOccupied, `A unit can't retreat to ${retreat.dest} because it's occupied.`);
+    if (prev_state.contested && prev_state.contested.includes(retreat.dest)) return new OrderError(orderErrorEnum.RetreatContested, `A unit can't retreat to ${retreat.dest} because it was contested this turn.`);
+    if (!this.unit_routes(dislodgement.unit).some(r => r.p1 == retreat.dest)) return new OrderError(orderErrorEnum.NotAdjacent, `${retreat.dest} isn't adjacent to ${retreat.province}.`);
+    return new OrderError(orderErrorEnum.Invalid, `Retreat ${retreat.id} is not valid.`);
+  }
+
+  /**
+   * Check if an order for the order writing phase (hold, move, support, or convoy) is valid and submit it if so.
+   * @param {string} username Username of the user trying to submit order.
+   * @param {shared.Order} order Order to be submitted.
+   */
+  submit_normal_order(username, order) {
+    if (this.phase != shared.phaseEnum["Order Writing"]) throw new OrderError(orderErrorEnum.WrongPhase, `Cannot place an order during phase ${this.phase} (must be ${shared.phaseEnum["Order Writing"]})`);
+        
+    // Provinces hidden by fog of war get the same error as empty ones, so that errors don't reveal other players' units
+    let unit = this.hidden_from(username, order.province) ? null : this.get_unit(order.province);
+    if (!unit) throw new OrderError(orderErrorEnum.NoUnit, `There is no unit at ${order.province}.`);
+    if (this.get_unit_owner_player(order.province) != username) throw new OrderError(orderErrorEnum.NotOwner, `User ${username} has no control over unit at ${order.province}.`);
+
+    order = this.apply_coast_rule(unit, order);
+    if (!this.get_valid_orders(unit).some(o => o.id == order.id)) throw this.explain_invalid_order(unit, order);
+
+    order.result = shared.orderResultEnum.unprocessed;
+
+    this.state.orders[this.get_unit_owner_id(unit.province)][unit.province] = order;
+    delete this.ready[this.get_unit_owner_id(unit.province)];
+  }
+
+  /**
+   * Check if a retreat is valid and submit it if so.
+   * @param {string} username Username of the user trying to submit retreat.
+   * @param {shared.RetreatOrder} retreat Retreat order to be submitted.
+   */
+  submit_retreat(username, retreat) {
+    if (this.phase != shared.phaseEnum.Retreating) throw new OrderError(orderErrorEnum.WrongPhase, `Cannot submit a retreat during phase ${this.phase} (must be ${shared.phaseEnum.Retreating})`);
+
+    let prev_state = this.history[this.history.length - 2];
+    let dislodgement = this.hidden_from(username, retreat.province, prev_state) ? null : prev_state.dislodgements[retreat.province];
+
+    if (!dislodgement) throw new OrderError(orderErrorEnum.NotDislodged, `No unit was dislodged from ${retreat.province}`);
+    if (this.country_owner(dislodgement.country) != username) throw new OrderError(orderErrorEnum.NotOwner, `User ${username} has no control over unit dislodged from ${retreat.province}`);
+    if (!this.get_valid_retreats(dislodgement).some(r => r.id == retreat.id)) throw this.explain_invalid_retreat(dislodgement, retreat);
+
+    retreat.result = shared.orderResultEnum.unprocessed;
+
+    prev_state.retreats[dislodgement.country][dislodgement.unit.province] = retreat;
+    delete this.ready[dislodgement.country];
   }
 
   /**
@@ -536,20 +1399,20 @@ class ServerGameData extends shared.GameData {
    * @param {shared.AdjustOrder} order 
    */
   submit_adjust_order(username, order) {
-    if (this.phase != shared.phaseEnum["Creating/Disbanding"]) throw Error(`Cannot submit an adjustment order during phase ${this.phase} (must be ${shared.phaseEnum["Creating/Disbanding"]})`);
-    if (this.country_owner(order.country) != username) throw Error(`User ${username} has no control over country ${order.country}.`);
+    if (this.phase != shared.phaseEnum["Creating/Disbanding"]) throw new OrderError(orderErrorEnum.WrongPhase, `Cannot submit an adjustment order during phase ${this.phase} (must be ${shared.phaseEnum["Creating/Disbanding"]})`);
+    if (this.country_owner(order.country) != username) throw new OrderError(orderErrorEnum.NotOwner, `User ${username} has no control over country ${order.country}.`);
 
     let prev_state = this.history[this.history.length - 2];
     let to_build = prev_state.nations[order.country].toBuild;
-    if (to_build == 0) throw Error(`Country ${order.country} cannot build or disband any units this turn.`);
+    if (to_build == 0) throw new OrderError(orderErrorEnum.NoAdjustments, `Country ${order.country} cannot build or disband any units this turn.`);
     
     let valid_orders = to_build > 0
       ? this.get_valid_build_orders(order.country)
       : this.get_valid_disband_orders(order.country);
-    if (!valid_orders.some(o => o.id == order.id)) throw Error(`Adjustment ${order.id} is not valid.`);
+    if (!valid_orders.some(o => o.id == order.id)) throw new OrderError(orderErrorEnum.Invalid, `Adjustment ${order.id} is not valid.`);
 
     let submitted = prev_state.adjustments[order.country];
-    if (order.type != shared.orderTypeEnum.pass && submitted.some(o => o.id == order.id)) throw Error(`Adjustment order ${order.id} has already been submitted.`);
+    if (order.type != shared.orderTypeEnum.pass && submitted.some(o => o.id == order.id)) throw new OrderError(orderErrorEnum.AlreadySubmitted, `Adjustment order ${order.id} has already been submitted.`);
 
     // If the maximum number of adjustments has already been reached, overwrite a pass. If there is no submitted pass, throw an error.
     if (submitted.length >= Math.abs(to_build)) {
@@ -557,18 +1420,76 @@ class ServerGameData extends shared.GameData {
       if (submitted_pass_index > -1) {
         submitted.splice(submitted_pass_index, 1);
       } else {
-        throw Error(`Country ${order.country} has already submitted its maximum number of adjustments.`);
+        throw new OrderError(orderErrorEnum.TooManyAdjustments, `Country ${order.country} has already submitted its maximum number of adjustments.`);
       }
     }
 
     submitted.push(order);
+    delete this.ready[order.country];
+  }
 
-    for (let c in prev_state.nations) {
-      if (prev_state.nations[c].toBuild != 0 && prev_state.adjustments[c].length != Math.abs(prev_state.nations[c].toBuild)) return; // If not all adjustments are in, we're done
+  /**
+   * Get the countries that have orders to write in the current phase.
+   * @returns {string[]} Country ID's.
+   */
+  countries_to_order() {
+    let prev_state = this.history[this.history.length - 2];
+    switch (this.phase) {
+      case shared.phaseEnum["Order Writing"]:
+        return Object.keys(this.state.nations).filter(c => this.state.nations[c].units.length > 0);
+      case shared.phaseEnum.Retreating:
+        return [...new Set(Object.values(prev_state.dislodgements).map(d => d.country))];
+      case shared.phaseEnum["Creating/Disbanding"]:
+        return Object.keys(prev_state.adjustments);
+      default:
+        return [];
     }
+  }
 
-    // Otherwise, move on to adjustment execution
-    this.calculate_adjustments();
+  /**
+   * Mark a user's countries as having finalized (or no longer finalized) their orders for the current phase.
+   * Orders that haven't been written when every country is ready are filled in the same way as when the deadline passes.
+   * @param {string} username
+   * @param {boolean} ready
+   * @param {string[]} countries ID's of the countries to mark. Every country the user has orders to write for if empty.
+   */
+  set_ready(username, ready, countries=[]) {
+    if (this.won != shared.winStateEnum.Playing) throw new OrderError(orderErrorEnum.GameOver, "This game has already ended.");
+
+    let to_order = this.countries_to_order();
+    if (countries.length == 0) countries = to_order.filter(c => this.country_owner(c) == username);
+    for (let c of countries) {
+      if (this.country_owner(c) != username) throw new OrderError(orderErrorEnum.NotOwner, `User ${username} has no control over country ${c}.`);
+      if (!to_order.includes(c)) throw new OrderError(orderErrorEnum.NoAdjustments, `Country ${c} has no orders to write this phase.`);
+    }
+
+    for (let c of countries) {
+      if (ready) {
+        this.ready[c] = true;
+      } else {
+        delete this.ready[c];
+      }
+    }
+    this.emit_event(events.gameEventEnum.Ready, view => ({ countries: countries, ready: view.ready }));
+  }
+
+  /**
+   * Check if every country with orders to write in the current phase has marked itself as ready.
+   * @returns {boolean}
+   */
+  all_ready() {
+    return this.countries_to_order().every(c => this.ready[c]);
+  }
+
+  /**
+   * Adjudicate the current phase if every country is ready, then let bots write their orders for the next one.
+   * @returns {boolean} Whether the phase was adjudicated.
+   */
+  try_advance() {
+    if (this.won != shared.winStateEnum.Playing || !this.all_ready()) return false;
+    this.force_adjudication();
+    this.run_bots();
+    return true;
   }
 
   /**
@@ -577,6 +1498,143 @@ class ServerGameData extends shared.GameData {
    * @param {shared.Order} order Order to be submitted.
    */
   submit_order(username, order) {
+    this.place_order(username, order);
+    this.try_advance();
+  }
+
+  /**
+   * Validate and submit a batch of orders as a single unit: either every order is placed or none are.
+   * The phase is only adjudicated after the whole batch has been placed.
+   * @param {string} username Username of user trying to submit the orders.
+   * @param {shared.Order[]} orders Orders to be submitted.
+   * @param {boolean} replace Whether to clear all of the user's existing orders for this phase first.
+   * @returns {{success:boolean,results:{id:string,success:boolean,code?:orderErrorEnum,error?:string}[]}}
+   */
+  submit_orders(username, orders, replace=false) {
+    let snapshot = this.snapshot_orders();
+    if (replace) this.clear_orders(username);
+
+    let results = orders.map(order => {
+      try {
+        this.place_order(username, order);
+        return { id: order.id, success: true };
+      } catch (error) {
+        return { id: order.id, success: false, code: error.code || orderErrorEnum.Invalid, error: error.message };
+      }
+    });
+
+    let success = results.every(r => r.success);
+    if (success) {
+      this.try_advance();
+    } else {
+      this.restore_orders(snapshot);
+    }
+    return { success: success, results: results };
+  }
+
+  /**
+   * Read a block of orders written in standard notation, one per line, and submit them as a single unit like `submit_orders`.
+   * If any line can't be read or its order is rejected, none of the orders are placed.
+   * @param {string} username Username of user trying to submit the orders.
+   * @param {string} text Orders like `A PAR - BUR`, one per line.
+   * @param {boolean} replace Whether to clear all of the user's existing orders for this phase first.
+   * @returns {{success:boolean,results:{line:number,text:string,success:boolean,order?:string,code?:orderErrorEnum,error?:string}[]}} The result of each line, with the order it was read as in standard notation.
+   */
+  submit_text_orders(username, text, replace=false) {
+    let countries = Object.keys(this.players).filter(c => this.country_owner(c) == username);
+    // Under fog of war, orders are read without the units the user can't see, so that parse errors don't reveal them
+    let lines = notation.parse_orders(this.fogOfWar ? this.visible_copy(username) : this, text, countries);
+    let turn = this.history.length - (this.phase == shared.phaseEnum["Order Writing"] ? 1 : 2);
+
+    let snapshot = this.snapshot_orders();
+    if (replace) this.clear_orders(username);
+
+    let results = lines.map(line => {
+      if (line.error) return { line: line.line, text: line.text, success: false, code: orderErrorEnum.Invalid, error: line.error };
+      let written = notation.format_order(this, turn, line.order);
+      try {
+        this.place_order(username, line.order);
+        return { line: line.line, text: line.text, success: true, order: written };
+      } catch (error) {
+        return { line: line.line, text: line.text, success: false, order: written, code: error.code || orderErrorEnum.Invalid, error: error.message };
+      }
+    });
+
+    let success = results.every(r => r.success);
+    if (success) {
+      this.try_advance();
+    } else {
+      this.restore_orders(snapshot);
+    }
+    return { success: success, results: results };
+  }
+
+  /**
+   * Copy the containers that hold submitted orders so that they can be restored with `restore_orders`.
+   * Only the containers are copied; submitted orders are never modified in place, so they are shared.
+   * @returns {{orders:Object,retreats:Object,adjustments:Object,ready:Object.<string,boolean>}}
+   */
+  snapshot_orders() {
+    let prev_state = this.history[this.history.length - 2] || {};
+    let copy_entries = (obj, copy) => obj ? Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, copy(v)])) : obj;
+    return {
+      orders: copy_entries(this.state.orders, v => ({ ...v })),
+      retreats: copy_entries(prev_state.retreats, v => ({ ...v })),
+      adjustments: copy_entries(prev_state.adjustments, v => [...v]),
+      ready: { ...this.ready }
+    };
+  }
+
+  /**
+   * Put back the submitted orders saved by `snapshot_orders`.
+   * @param {{orders:Object,retreats:Object,adjustments:Object,ready:Object.<string,boolean>}} snapshot
+   */
+  restore_orders(snapshot) {
+    let prev_state = this.history[this.history.length - 2];
+    this.state.orders = snapshot.orders;
+    this.ready = snapshot.ready;
+    if (prev_state) {
+      prev_state.retreats = snapshot.retreats;
+      prev_state.adjustments = snapshot.adjustments;
+    }
+  }
+
+  /**
+   * Remove every order a user has submitted for the current phase.
+   * @param {string} username
+   */
+  clear_orders(username) {
+    let prev_state = this.history[this.history.length - 2];
+    for (let c in this.ready) {
+      if (this.country_owner(c) == username) delete this.ready[c];
+    }
+    switch (this.phase) {
+      case shared.phaseEnum["Order Writing"]:
+        for (let c in this.state.orders) {
+          if (this.country_owner(c) == username) this.state.orders[c] = {};
+        }
+        break;
+      case shared.phaseEnum.Retreating:
+        for (let c in prev_state.retreats) {
+          if (this.country_owner(c) == username) prev_state.retreats[c] = {};
+        }
+        break;
+      case shared.phaseEnum["Creating/Disbanding"]:
+        for (let c in prev_state.adjustments) {
+          if (this.country_owner(c) == username) prev_state.adjustments[c] = [];
+        }
+        break;
+    }
+  }
+
+  /**
+   * Check if an order is valid and save it as submitted without adjudicating the phase.
+   * @param {string} username Username of user trying to submit order.
+   * @param {shared.Order} order Order to be submitted.
+   */
+  place_order(username, order) {
+    if (this.won != shared.winStateEnum.Playing) throw new OrderError(orderErrorEnum.GameOver, "This game has already ended.");
+
     switch (order.type) {
       case shared.orderTypeEnum.cancel:
         this.submit_cancel_order(username, order);
@@ -595,6 +1653,96 @@ class ServerGameData extends shared.GameData {
     }
   }
 
+  /**
+   * Set the value of `this.phase` and start the clock on the new phase's deadline.
+   * @param {shared.phaseEnum} phase
+   */
+  set_phase(phase) {
+    this.phase = phase;
+
+    // Pending draw proposals expire when the phase advances
+    this.drawProposal = null;
+
+    // Every country has to finalize its orders again for the new phase
+    this.ready = {};
+
+    let hours = this.phase_deadline_hours(phase);
+    this.deadline = hours > 0 ? Date.now() + hours * 3600000 : 0;
+
+    // Events are sent after the game is saved, by which time it may have moved on to a later phase
+    let turn = this.history.length - 1;
+    let deadline = this.deadline;
+    let won = this.won;
+    let winner = this.winner;
+    this.emit_event(events.gameEventEnum.Phase, () => ({
+      phase: phase,
+      turn: turn,
+      deadline: deadline,
+      won: won,
+      winner: winner
+    }));
+  }
+
+  /**
+   * Get the number of hours allowed for a phase, or 0 if the phase has no deadline.
+   * @param {shared.phaseEnum} phase
+   * @returns {number}
+   */
+  phase_deadline_hours(phase) {
+    switch (phase) {
+      case shared.phaseEnum["Order Writing"]:
+        return this.deadlines.movement;
+      case shared.phaseEnum.Retreating:
+        return this.deadlines.retreat;
+      case shared.phaseEnum["Creating/Disbanding"]:
+        return this.deadlines.adjustment;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Return whether the current phase's deadline has passed.
+   * @param {number} now Timestamp in milliseconds.
+   * @returns {boolean}
+   */
+  deadline_passed(now=Date.now()) {
+    return this.won == shared.winStateEnum.Playing && this.deadline > 0 && this.deadline <= now;
+  }
+
+  /**
+   * Adjudicate the current phase because its deadline passed, then let bots write their orders for the next one.
+   */
+  pass_deadline() {
+    this.force_adjudication();
+    this.run_bots();
+  }
+
+  /**
+   * Adjudicate the current phase without waiting for the rest of the orders.
+   */
+  force_adjudication() {
+    let phase = this.phase;
+    // Orders are stored on the current state, but retreats and adjustments are stored on the previous one
+    let turn = this.history.length - (phase == shared.phaseEnum["Order Writing"] ? 1 : 2);
+
+    switch (this.phase) {
+      case shared.phaseEnum["Order Writing"]:
+        this.calculate_orders();
+        break;
+      case shared.phaseEnum.Retreating:
+        this.calculate_retreats();
+        break;
+      case shared.phaseEnum["Creating/Disbanding"]:
+        this.calculate_adjustments();
+        break;
+      default:
+        throw Error(`Phase ${this.phase} can't be adjudicated.`);
+    }
+
+    this.emit_event(events.gameEventEnum.Adjudicated, view => ({ phase: phase, turn: turn, state: view.history[turn] }));
+  }
+
   /**
    * Initiate the order writing phase and set the value of `this.phase`.
    */
@@ -603,7 +1751,7 @@ class ServerGameData extends shared.GameData {
     for (let c in this.players) {
       this.state.orders[c] = {};
     }
-    this.phase = shared.phaseEnum["Order Writing"];
+    this.set_phase(shared.phaseEnum["Order Writing"]);
   }
 
   /**
@@ -630,7 +1778,7 @@ class ServerGameData extends shared.GameData {
 
     this.history.push(newState);
 
-    this.phase = shared.phaseEnum.Retreating;
+    this.set_phase(shared.phaseEnum.Retreating);
   }
 
   /**
@@ -666,7 +1814,7 @@ class ServerGameData extends shared.GameData {
    */
   start_creating_and_disbanding() {
     if (this.state.season == shared.seasonEnum.Spring) {
-      this.phase = shared.phaseEnum["Creating/Disbanding"];
+      this.set_phase(shared.phaseEnum["Creating/Disbanding"]);
       let prev_state = this.history[this.history.length - 2];
 
       this.update_supply_centers();
@@ -678,6 +1826,9 @@ class ServerGameData extends shared.GameData {
       }
 
       prev_state.adjustments = Object.fromEntries(Object.keys(this.state.nations).filter(c => prev_state.nations[c].toBuild != 0).map(c => [c, []]));
+
+      // Nobody can build or disband, so there's nothing to wait for
+      if (Object.keys(prev_state.adjustments).length == 0) this.calculate_adjustments();
     } else {
       this.start_order_writing();
     }
@@ -689,6 +1840,8 @@ class ServerGameData extends shared.GameData {
   calculate_adjustments() {
     if (this.phase != shared.phaseEnum["Creating/Disbanding"]) throw Error(`Can only process adjustments during adjustment phase.`);
 
+    this.fill_adjustments_with_civil_disorder();
+
     let prev_state = this.history[this.history.length - 2];
     for (let c in prev_state.adjustments) {
       for (let adj of prev_state.adjustments[c]) {
@@ -703,25 +1856,153 @@ class ServerGameData extends shared.GameData {
       }
     }
 
-    this.start_order_writing();
+    if (!this.check_game_end()) this.start_order_writing();
   }
 
   /**
-   * Mark a unit as retreating by moving from the map to the `dislodgements` object.
+   * Mark nations with no units and no supply centers as eliminated, then end the game if a player owns enough supply centers to win or is the only player left.
+   * @returns {boolean} Whether the game has ended.
    */
-  make_unit_retreat(provinceId, attacker) {
-    let unit = this.get_unit(provinceId);
-    if (unit) {
-      let prev_state = this.history[this.history.length - 2];
-      let country = this.get_unit_owner_id(provinceId);
-      prev_state.dislodgements[unit.province] = {
-        unit: unit,
-        from: attacker,
-        country: country
-      };
-      if (!prev_state.retreats[country]) prev_state.retreats[country] = {};
-      this.remove_unit(provinceId);
+  check_game_end() {
+    /** @type {Object.<string,number>} */
+    let supply_centers = {};
+
+    for (let c in this.state.nations) {
+      let nation = this.state.nations[c];
+      if (nation.neutral) continue;
+
+      if (nation.units.length == 0 && nation.supplyCenters.length == 0) nation.eliminated = true;
+      if (nation.eliminated) continue;
+
+      let owner = this.country_owner(c);
+      supply_centers[owner] = (supply_centers[owner] || 0) + nation.supplyCenters.length;
+    }
+
+    let survivors = Object.keys(supply_centers);
+    let winner = survivors.find(u => supply_centers[u] >= this.mapInfo.info.toWin);
+    if (!winner && survivors.length == 1) winner = survivors[0];
+
+    if (winner) {
+      this.end_game(shared.winStateEnum.Won, winner);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Move the game into its terminal phase. No orders can be submitted after this.
+   * @param {shared.winStateEnum} won How the game ended.
+   * @param {string} winner Username of the winning player or comma-separated usernames of the players sharing a draw.
+   */
+  end_game(won, winner) {
+    this.won = won;
+    this.winner = winner;
+    this.set_phase(shared.phaseEnum["Game Over"]);
+    let turn = this.history.length - 1;
+    this.emit_event(events.gameEventEnum.GameOver, () => ({ won: won, winner: winner, turn: turn }));
+  }
+
+  /**
+   * Apply civil disorder to every country that hasn't submitted all its adjustments.
+   * Missing builds are waived and missing disbands remove the units farthest from home.
+   */
+  fill_adjustments_with_civil_disorder() {
+    let prev_state = this.history[this.history.length - 2];
+    for (let c in prev_state.adjustments) {
+      let to_build = prev_state.nations[c].toBuild;
+      let submitted = prev_state.adjustments[c];
+      let missing = Math.abs(to_build) - submitted.length;
+      if (missing <= 0) continue;
+
+      if (to_build > 0) {
+        for (let i = 0; i < missing; i++) submitted.push(automatic_order(new shared.PassOrder(c)));
+      } else {
+        let disbanded = submitted.filter(o => o.type == shared.orderTypeEnum.disband).map(o => o.province);
+        let candidates = this.civil_disorder_disband_order(c).filter(u => !disbanded.includes(u.province));
+        for (let unit of candidates.slice(0, missing)) {
+          submitted.push(automatic_order(new shared.DisbandOrder(c, unit.province)));
+        }
+      }
+    }
+  }
+
+  /**
+   * Get a country's units sorted in the order they get disbanded under civil disorder.
+   * Units farthest from any of the country's home supply centers go first, then fleets before armies, then alphabetically by province name.
+   * @param {string} country
+   * @returns {shared.Unit[]}
+   */
+  civil_disorder_disband_order(country) {
+    let sources = this.get_country(country).supplyCenters;
+    let army_distances = this.distances_from(sources, shared.unitTypeEnum.Army);
+    let fleet_distances = this.distances_from(sources, shared.unitTypeEnum.Fleet);
+    let distance = unit => {
+      if (unit.type != shared.unitTypeEnum.Fleet) return unit.province in army_distances ? army_distances[unit.province] : Infinity;
+      let location = sources.includes(unit.province) ? unit.province : this.distance_location(unit.province, unit.coast);
+      return location in fleet_distances ? fleet_distances[location] : Infinity;
+    };
+
+    return [...this.state.nations[country].units].sort((a, b) =>
+      distance(b) - distance(a)
+      || (b.type == shared.unitTypeEnum.Fleet) - (a.type == shared.unitTypeEnum.Fleet)
+      || this.get_province(a.province).name.localeCompare(this.get_province(b.province).name));
+  }
+
+  /**
+   * Get the minimum number of moves a unit of type `type` needs from any of `sources` to every province.
+   * Armies can use every route, crossing water as if they were convoyed. Fleets can only use water routes and can't change coasts on the way.
+   * @param {string[]} sources Province ID's at distance 0.
+   * @param {shared.unitTypeEnum} type
+   * @returns {Object.<string,number>} Distances keyed by province ID, or for fleets by the location from `distance_location`. Unreachable provinces are omitted.
+   */
+  distances_from(sources, type=shared.unitTypeEnum.Army) {
+    let fleet = type == shared.unitTypeEnum.Fleet;
+    let routes = this.mapInfo.routes
+      .flatMap(r => [r, { p0: r.p1, p1: r.p0, c0: r.c1, c1: r.c0, water: r.water }])
+      .filter(r => !fleet || r.water);
+
+    let distances = Object.fromEntries(sources.map(p => [p, 0]));
+    let queue = sources.map(p => ({ province: p, coast: "" }));
+    while (queue.length > 0) {
+      let { province, coast } = queue.shift();
+      let distance = distances[fleet ? this.distance_location(province, coast) : province];
+      for (let route of routes.filter(r => r.p0 == province && (!fleet || !coast || !r.c0 || r.c0 == coast))) {
+        let next_coast = fleet ? route.c1 || "" : "";
+        let location = fleet ? this.distance_location(route.p1, next_coast) : route.p1;
+        if (distances[location] === undefined) {
+          distances[location] = distance + 1;
+          queue.push({ province: route.p1, coast: next_coast });
+        }
+      }
     }
+    return distances;
+  }
+
+  /**
+   * Get the key `distances_from` uses for a fleet's location. Coasts are only part of the key in provinces with several of them, since that's the only place a fleet's coast limits where it can go.
+   * @param {string} province
+   * @param {string} coast
+   * @returns {string}
+   */
+  distance_location(province, coast) {
+    let p = this.get_province(province);
+    return coast && p && p.coasts && p.coasts.length > 1 ? `${province}/${coast}` : province;
+  }
+
+  /**
+   * Get the provinces adjacent to each province through any route on the map, regardless of unit type or coast.
+   * @returns {Object.<string,string[]>} Adjacent province ID's keyed by province ID.
+   */
+  route_adjacencies() {
+    /** @type {Object.<string,string[]>} */
+    let adjacencies = {};
+    for (let route of this.mapInfo.routes) {
+      if (!adjacencies[route.p0]) adjacencies[route.p0] = [];
+      if (!adjacencies[route.p1]) adjacencies[route.p1] = [];
+      adjacencies[route.p0].push(route.p1);
+      adjacencies[route.p1].push(route.p0);
+    }
+    return adjacencies;
   }
 
   /**
@@ -730,9 +2011,16 @@ class ServerGameData extends shared.GameData {
   calculate_retreats() {
     if (this.phase != shared.phaseEnum.Retreating) throw Error(`Can only process retreats during retreating phase.`);
 
+    this.fill_retreats_with_disbands();
+
     let prev_state = this.history[this.history.length - 2];
     let retreats = Object.values(prev_state.retreats).flatMap(c => Object.values(c));
 
+    for (let disband of retreats.filter(r => r.type == shared.orderTypeEnum.disband)) {
+      disband.result = shared.orderResultEnum.success;
+    }
+    retreats = retreats.filter(r => r.type == shared.orderTypeEnum.retreat);
+
     for (let retreat of retreats) {
       retreat.result = retreats.some(r => r.id != retreat.id && r.dest == retreat.dest)
         ? shared.orderResultEnum.fail
@@ -761,11 +2049,22 @@ class ServerGameData extends shared.GameData {
   fill_orders_with_holds() {
     for (let c in this.state.nations) {
       for (let u of this.state.nations[c].units) {
-        if (!this.state.orders[c][u.province]) this.state.orders[c][u.province] = new shared.HoldOrder(u.province);
+        if (!this.state.orders[c][u.province]) this.state.orders[c][u.province] = automatic_order(new shared.HoldOrder(u.province));
       }
     }
   }
 
+  /**
+   * Disband every dislodged unit that doesn't have a retreat
+   */
+  fill_retreats_with_disbands() {
+    let prev_state = this.history[this.history.length - 2];
+    for (let d in prev_state.dislodgements) {
+      let country = prev_state.dislodgements[d].country;
+      if (!prev_state.retreats[country][d]) prev_state.retreats[country][d] = automatic_order(new shared.DisbandOrder(country, d));
+    }
+  }
+
   /**
    * Adjudicate and apply all currently placed orders and move on to retreat writing phase.
    */
@@ -774,487 +2073,51 @@ class ServerGameData extends shared.GameData {
 
     this.fill_orders_with_holds();
 
-    let orders = Object.values(this.state.orders).map(nation => Object.values(nation)).reduce((arr, val) => { arr.push(...val); return arr; });
-
-    /** @type {Object.<string,shared.Order[]>} */
-    let dependencies = {};
-    for (let order of orders) {
-      dependencies[order.id] = this.get_dependencies(order, orders);
-    }
-
-    /** @type {resolutionStateEnum[]} */
-    let resolutionStates = new Array(orders.length).fill(resolutionStateEnum.Unresolved);
-
-    /** @type {boolean[]} */
-    let resolutions = new Array(orders.length);
-
-    /** @type {number[]} */
-    let dep_list = [];
-
-    let tabsize = 0;
-
-    /**
-     * @param {number} orderIndex
-     */
-    let resolve = (orderIndex) => {
-      console.log(`${"  ".repeat(tabsize)}Resolving ${orders[orderIndex].id}`);
-      tabsize += 1;
-      // console.log("Resolution state for " + orders[orderIndex].id + ": " + resolutionStates[orderIndex]);
-      switch (resolutionStates[orderIndex]) {
-        case resolutionStateEnum.Resolved:
-          console.log(`${"  ".repeat(tabsize)}Already resolved as ${resolutions[orderIndex]}`);
-          tabsize -= 1;
-          return resolutions[orderIndex];
-        case resolutionStateEnum.Guessing:
-          dep_list.push(orderIndex);
-          console.log(`${"  ".repeat(tabsize)}Already guessed as ${resolutions[orderIndex]}`);
-          tabsize -= 1;
-          return resolutions[orderIndex];
-        case resolutionStateEnum.Unresolved: {
-          let old_dep_size = dep_list.length;
-
-          resolutions[orderIndex] = false;
-          resolutionStates[orderIndex] = resolutionStateEnum.Guessing;
-
-          console.log(`${"  ".repeat(tabsize)}Guessing ${resolutions[orderIndex]} for ${orders[orderIndex].id}`);
-
-          let adj_res = adjudicate(orderIndex);
-
-          console.log(`${"  ".repeat(tabsize)}Adjudication result for ${orders[orderIndex].id}: ${adj_res}`);
-
-          // No dependencies
-          if (old_dep_size == dep_list.length) {
-            console.log(`${"  ".repeat(tabsize)}No dependencies for ${orders[orderIndex].id}`);
-            resolutionStates[orderIndex] = resolutionStateEnum.Resolved;
-            resolutions[orderIndex] = adj_res;
-            console.log(`${"  ".repeat(tabsize)}Returning ${adj_res} for ${orders[orderIndex].id}`);
-            tabsize -= 1;
-            return adj_res;
-          }
-
-          // Dependency, but doesn't depend on itself
-          if (dep_list[old_dep_size] != orderIndex) {
-            dep_list.push(orderIndex);
-            resolutions[orderIndex] = adj_res;
-            tabsize -= 1;
-            return adj_res;
-          }
-
-          // Dependency on itself (cycle)
-
-          // Set all dependencies to unresolved
-          for (let i = dep_list.length - 1; i >= old_dep_size; i--) {
-            resolutionStates[dep_list[i]] = resolutionStateEnum.Unresolved;
-          }
-
-          // Try again with other guess
-          resolutions[orderIndex] = true;
-          resolutionStates[orderIndex] = resolutionStateEnum.Guessing;
-
-          console.log(`${"  ".repeat(tabsize)}Guessing ${resolutions[orderIndex]} for ${orders[orderIndex].id}`);
-
-          let adj_res_2 = adjudicate(orderIndex);
-
-          // Cycle only has one resolution
-          if (adj_res == adj_res_2) {
-            console.log(`${"  ".repeat(tabsize)}Cycle has only one resolution, where ${orders[orderIndex].id} resolves as ${adj_res}`);
-            // Set all dependencies to unresolved
-            for (let i = dep_list.length - 1; i >= old_dep_size; i--) {
-              resolutionStates[dep_list[i]] = resolutionStateEnum.Unresolved;
-            }
-
-            resolutions[orderIndex] = adj_res;
-            resolutionStates[orderIndex] = resolutionStateEnum.Resolved;
-            tabsize -= 1;
-            return adj_res;
-          }
-
-          // Cycle has two or no resolutions, pass to backup rule.
-          // Clean up dependencies so that dep_list.length == old_dep_size
-          // Dependencies should be set to Resolved or Unresolved.
-          console.log(`${"  ".repeat(tabsize)}Cycle has zero or two resolutions`);
-          backup_rule(old_dep_size);
-
-          // Start over in case backup rule leaves some orders unresolved.
-          tabsize -= 1;
-          return resolve(orderIndex);
-        }
-      }
-    };
-
-    /** Return whether any convoy route succeeds for a convoy move order `order`. Also returns true if order is not a convoy movement. */
-    let any_convoy_route = (order) => {
-      // Convoys fail if any of the fleets can't convoy
-      if (order.isConvoy) {
-        for (let route of this.all_convoy_routes(orders, order.province, order.dest)) {
-          let routeworks = true;
-          for (let i of route) {
-            if (!resolve(i)) {
-              routeworks = false;
-              break;
-            }
-          }
-          if (routeworks) return true;
-        }
-        return false;
-      }
-      return true;
-    }
-
-    /**
-     * @param {number} orderIndex
-     */
-    let adjudicate = (orderIndex) => {
-      let order = orders[orderIndex];
-      switch (order.type) {
-        case shared.orderTypeEnum.hold:
-          return true;
-        case shared.orderTypeEnum["support hold"]:
-        case shared.orderTypeEnum["support move"]:
-          for (let i = 0; i < orders.length; i++) {
-            let o = orders[i];
-            // Cut support if attacked by a foreign power from any province other than the one being supported, except if the cutting unit is unsuccessfully convoyed
-            if (o.type == shared.orderTypeEnum.move && o.dest == order.province && !this.same_team(o.province, order.province) && (o.province != order.supporting || resolve(i)) && any_convoy_route(o)) {
-              return false;
-            }
-          }
-          return true;
-        case shared.orderTypeEnum.move: {
-          if (!any_convoy_route(order)) return false;
-
-          if (!contested.includes(order.dest)) contested.push(order.dest);
-
-          /**
-           * @param {shared.Order} ord
-           */
-          let strength = ord => orders.filter((o, i) => this.move_supports(ord, o) && resolve(i)).length;
-          let strength_ignore_teams = ord => orders.filter((o, i) => this.move_supports_ignore_teams(ord, o) && resolve(i)).length;
-          let def_strength = p => orders.filter((o, i) => this.hold_supports(p, o) && resolve(i)).length;
-
-          // Hold strength is 0 if the destination is empty or contains a unit that successfully moves.
-          // Hold strength is 1 if the destination contains a unit that is ordered to move but fails.
-          // Otherwise, hold strength is 1 plus the number of units that support the unit to hold.
-          let holding_unit = this.get_unit(order.dest);
-          let holding_unit_move_order = orders.findIndex(o => o.type == shared.orderTypeEnum.move && o.province == order.dest);
-          let hold_strength = !holding_unit || (holding_unit_move_order != -1 && resolve(holding_unit_move_order))
-            ? 0 // Either no holding unit or the holding unit successfully moves
-            : (holding_unit_move_order != -1
-              ? 1 // Holding unit unsuccessfully moves
-              : 1 + def_strength(order.dest)); // Hold strength is 1 plus number of supports to hold
-
-          // Attack strength is 1 plus the number of movement supports if the destination is empty or there's no head-to-head battle and the destination unit successfully moves
-          // Otherwise, attack strength is 0 if the unit at the destination is of the same nationality
-          // Otherwise, attack strength is 1 plus the number of successfully supporting units that aren't the same nationality as the destination unit
-          let is_hth_battle = holding_unit_move_order != -1 && !order.isConvoy && !orders[holding_unit_move_order].isConvoy && orders[holding_unit_move_order].dest == order.province;
-          let attack_strength = !holding_unit || (!is_hth_battle && holding_unit_move_order != -1 && resolve(holding_unit_move_order))
-            ? 1 + strength_ignore_teams(order) // Destination is empty or there's no head-to-head battle and the destination unit moves
-            : (this.same_team(order.province, order.dest) && !(holding_unit_move_order != -1 && resolve(holding_unit_move_order))
-              ? 0 // Attacking and defending units are on the same team
-              : 1 + strength(order)); // Attack strength is 1 plus number of supports
-
-          // Get orders that are competing for the same territory
-          let other_attacks = orders.filter((o, i) => i != orderIndex && o.type == shared.orderTypeEnum.move && o.dest == order.dest);
-
-          console.log(`${"  ".repeat(tabsize)}Attack strength: ${attack_strength}`);
-          console.log(`${"  ".repeat(tabsize)}Hold strength: ${hold_strength}`);
-          console.log(`${"  ".repeat(tabsize)}Is head-to-head battle? ${is_hth_battle}`);
-
-          // If there's a head-to-head battle, calculate defend strength
-          if (is_hth_battle) {
-            // Defend strength is 1 plus the number of support orders
-            let defend_strength = 1 + strength_ignore_teams(orders[holding_unit_move_order]);
-            if (defend_strength >= attack_strength) return false;
-          } else if (hold_strength >= attack_strength) {
-            return false;
-          }
-
-          console.log(`${"  ".repeat(tabsize)}Other attacks from: ${other_attacks.map(o => o.province).join(", ")}`);
-
-          for (let attack of other_attacks) {
-            // Prevent strength is 0 if part of a head-to-head battle with a unit that successfully moves
-            // Otherwise, prevent strength is 1 plus the number of successfully supporting units
-            let successful_hth_order = orders.find((o, i) => o.type == shared.orderTypeEnum.move && o.province == attack.dest && o.dest == attack.province && !o.isConvoy && !attack.isConvoy && resolve(i));
-            let prevent_strength = successful_hth_order || !any_convoy_route(attack) ? 0 : 1 + strength_ignore_teams(attack);
-            console.log(`${"  ".repeat(tabsize)}Prevent strength for ${attack.id}: ${prevent_strength}`)
-            if (prevent_strength >= attack_strength) return false;
-          }
-
-          return true;
-        }
-        case shared.orderTypeEnum.convoy:
-          for (let i = 0; i < orders.length; i++) {
-            let o = orders[i];
-            if (o.type == shared.orderTypeEnum.move && o.dest == order.province && !this.same_team(o.province, order.province) && resolve(i)) {
-              return false;
-            }
-          }
-          return true;
-      }
-    };
-
-    let backup_rule_type = (_dep_start_index) => {
-      for (let i_dep = _dep_start_index; i_dep < dep_list.length; i_dep++) {
-        let i = dep_list[i_dep];
-        if (orders[i].type == shared.orderTypeEnum.move && orders.find(o => o.type == shared.orderTypeEnum.convoy && o.province == orders[i].dest)) {
-          return backupRuleType.convoy;
-        }
-      }
-      return backupRuleType.circle;
-    }
+    let orders = Object.values(this.state.orders).flatMap(nation => Object.values(nation));
+    let result = adjudicator.adjudicate({ nations: this.state.nations, players: this.players }, this.mapInfo, orders, {
+      log: config.LOG_ADJUDICATION == "true",
+      rules: this.rules
+    });
 
-    /**
-     * @param {number} dep_start_index Index of first dependency in this cycle.
-     */
-    let backup_rule = (_dep_start_index) => {
-      console.log(`${"  ".repeat(tabsize)}Entering backup rule`);
-      console.log(`${"  ".repeat(tabsize)}Paradoxical cycle dependencies: ${dep_list.slice(_dep_start_index).map(i => orders[i].id).join(", ")}`);
-      let type = backup_rule_type(_dep_start_index);
-      for (let i_dep = dep_list.length - 1; i_dep >= _dep_start_index; i_dep--) {
-        let i = dep_list[i_dep];
-        if (type == backupRuleType.convoy && (orders[i].type == shared.orderTypeEnum.convoy || (orders[i].type == shared.orderTypeEnum.move && orders[i].isConvoy))) {
-          resolutions[i] = false;
-          resolutionStates[i] = resolutionStateEnum.Resolved;
-          console.log(`${"  ".repeat(tabsize)}Setting ${orders[i].id} to fail to resolve paradox`);
-        } else if (type == backupRuleType.circle && orders[i].type == shared.orderTypeEnum.move) {
-          resolutions[i] = true;
-          resolutionStates[i] = resolutionStateEnum.Resolved;
-          console.log(`${"  ".repeat(tabsize)}Setting ${orders[i].id} to succeed to resolve paradox`);
-        } else {
-          resolutionStates[i] = resolutionStateEnum.Unresolved;
-        }
-        dep_list.pop();
-      }
-    }
+    orders.forEach((order, i) => order.result = result.results[i]);
 
-    // Create new state object and prepare for applying adjudications.
+    // Create new state object and apply the adjudication to it.
     this.start_retreat_writing();
 
-    console.log("\n----------Starting adjudication----------\n");
-
-    /** Units to be dislodged. */
-    let to_dislodge = [];
-
-    /** Units that shouldn't be dislodged because they're moving. */
-    let cannot_dislodge = [];
-
-    /** Successful move orders to be executed simultaneously. */
-    let successful_moves = [];
-
-    /**
-     * List of provinces that are contested.
-     * @type {Array<string>}
-     */
-    let contested = [];
-
-    for (let i = 0; i < orders.length; i++) {
-      let order = orders[i];
-      let success = resolve(i);
-
-      if (success && order.type == shared.orderTypeEnum.move) {
-        to_dislodge.push({ unit: order.dest, attacker: order.isConvoy ? "" : order.province });
-        cannot_dislodge.push(order.province);
-
-        successful_moves.push({
-          unit: this.get_unit(order.province),
-          dest: order.dest,
-          coast: order.coast 
-        });
-      }
-
-      order.result = success ? shared.orderResultEnum.success : shared.orderResultEnum.fail;
-
-      console.log(`${"  ".repeat(tabsize + 1)}Does ${order.id} succeed? ${success}\n`);
-    }
-
-    let any_retreats = false;
-    to_dislodge = to_dislodge.filter(d => !cannot_dislodge.includes(d.unit));
-    for (let d of to_dislodge) {
-      let dislodged_order = orders.find(o => o.province == d.unit);
-      if (dislodged_order) {
-        dislodged_order.result = shared.orderResultEnum.dislodged;
-
-        this.make_unit_retreat(d.unit, d.attacker);
-
-        any_retreats = true;
-      }
+    let prev_state = this.history[this.history.length - 2];
+    for (let c in this.state.nations) {
+      this.state.nations[c].units = result.nations[c].units;
     }
 
-    for (let move of successful_moves) {
-      move.unit.province = move.dest;
-      move.unit.coast = move.coast;
+    prev_state.dislodgements = result.dislodgements;
+    for (let d in result.dislodgements) {
+      let country = result.dislodgements[d].country;
+      if (!prev_state.retreats[country]) prev_state.retreats[country] = {};
     }
 
-    // Contested provinces are unoccupied provinces where at least one order satisfies the following:
-    //   - The order is not a convoy that failed because it didn't have a route (i.e. the province is already in "contested" array)
-    //   - The order is a move order that failed to move
-    //   - The order was not dislodged from where it was attempting to move
-    let failed_moves = orders.filter(o => o.type == shared.orderTypeEnum.move && o.result != shared.orderResultEnum.success);
-    contested = contested.filter(p => {
-      if (this.get_unit(p)) return false;
-      for (let o of failed_moves) {
-        if (o.result != shared.orderResultEnum.dislodged || !to_dislodge.some(d => d.unit == o.province && d.attacker == o.dest)) {
-          return true;
-        }
-      }
-      return false;
-    });
-    this.history[this.history.length - 2].contested = contested;
-
-    console.log("Ended adjudication");
-
-    if (!any_retreats) this.start_creating_and_disbanding();
-  }
-
-  /**
-   * Return whether `support` is an order supporting `order`.
-   * @param {shared.Order} order Order to be supported.
-   * @param {shared.Order} support Supporting order.
-   * @returns {boolean} Whether `support` is a valid support order for `order`.
-   */
-  order_supports(order, support) {
-    return (support.type == shared.orderTypeEnum["support hold"] && order.type != shared.orderTypeEnum.move && order.province == support.supporting)
-      || (support.type == shared.orderTypeEnum["support move"] && order.type == shared.orderTypeEnum.move && order.dest == support.supporting && order.province == support.from && !this.same_team(order.dest, support.province));
-  }
-
-  /**
-   * Return whether `support` is an order supporting a move order `move`.
-   * @param {shared.Order} move Move order to be supported. This is assumed to be a move order.
-   * @param {shared.Order} support Supporting order.
-   * @returns {boolean} Whether `support` is a valid support order for `move`.
-   */
-  move_supports(move, support) {
-    return this.move_supports_ignore_teams(move, support) && !this.same_team(move.dest, support.province);
-  }
-
-  /**
-   * Return whether `support` is an order supporting a move order `move` without considering the teams of both units.
-   * @param {shared.Order} move Move order to be supported. This is assumed to be a move order.
-   * @param {shared.Order} support Supporting order.
-   * @returns {boolean} Whether `support` is a valid support order for `move`.
-   */
-  move_supports_ignore_teams(move, support) {
-    return support.type == shared.orderTypeEnum["support move"] && move.dest == support.supporting && move.province == support.from;
-  }
-
-  /**
-   * Return whether `support` is an order supporting the unit in `province` to hold.
-   * @param {string} province Province of unit to be supported.
-   * @param {shared.Order} support Supporting order.
-   * @returns {boolean} Whether `support` is a valid hold support for the unit at `province`.
-   */
-  hold_supports(province, support) {
-    return support.type == shared.orderTypeEnum["support hold"] && province == support.supporting;
-  }
-
-  /**
-   * Find all distinct convoy routes from `start` to `end`, assuming all convoy orders in `orders` are successful.
-   * @param {shared.Order[]} orders All convoy orders are assumed to succeed.
-   * @param {string} start Starting province.
-   * @param {string} end Ending province.
-   * @returns {number[][]} A list of routes where each route is a list of order indices for orders that must succeed for the route to succeed.
-   */
-  all_convoy_routes(orders, start, end) {
-    /** @type {string[]} */
-    let provinces = orders.filter(o => o.type == shared.orderTypeEnum.convoy && o.start == start && o.end == end).map(o => o.province);
-    provinces.push(end);
-
-    /**
-     * All routes from `from` to `to` that don't pass through provinces in `ignore`.
-     * @param {string} from
-     * @param {string} to
-     * @param {string[]} ignore
-     */
-    let routes = (from, ignore) => {
-      if (from == end) return [[]];
-
-      let filtered = provinces.filter(p => !ignore.includes(p));
-
-      if (filtered.length == 0) return [];
-
-      // Get all adjacencies
-      let adj = this.get_adjacencies_ignore_coasts(from);
-
-      // Filter them to only include unignored valid convoys.
-      let filtered_adj = adj.filter(p => filtered.includes(p));
-
-      // For each, find the routes from the adjacency to end and prepend the adjacency to each route unless the adjacency is the destination of the route.
-      let adj_routes = filtered_adj.map(p => routes(p, ignore.concat(p)).map(r => p == end ? r : [p].concat(...r)));
-
-      // Flatten the list of lists of routes to get a list of routes.
-      let flattened = adj_routes.flat();
-
-      return flattened;
-    };
-
-    /** @type {number[]} */
-    let indices = provinces.map(p => orders.findIndex(o => o.province == p));
-
-    // Return the routes, replacing province strings with corresponding order indices
-    return routes(start, []).filter(r => r.length).map(route => route.map(p => indices[provinces.indexOf(p)]));
-  }
+    prev_state.contested = result.contested;
+    prev_state.trace = result.trace;
 
-  /**
-   * Return whether the units at `provinceA` and `provinceB` are on the same team (i.e. unable to attack each other).
-   * @param {string} provinceA ID of province for first unit.
-   * @param {string} provinceB ID of province for second unit.
-   * @returns {boolean} Whether the units are on the same time.
-   */
-  same_team(provinceA, provinceB) {
-    return this.get_unit_owner_player(provinceA) == this.get_unit_owner_player(provinceB);
-  }
-
-  /**
-   * Get a list of orders for which the resolution of `order` depends on the resolution of that order.
-   * @param {shared.Order} order A single order, also presumably a member of `all`.
-   * @param {shared.Order[]} all All orders on which `order` can depend.
-   * @returns {shared.Order[]} Orders whose resolution affects the resolution of `order`.
-   */
-  get_dependencies(order, all) {
-    return all.filter(o => this.order_depends(order, o));
-  }
-
-  /**
-   * Return whether or not the resolution of `order` depends on the resolution of `dependency`.
-   * @param {shared.Order} order
-   * @param {shared.Order} dependency
-   * @returns {boolean}
-   */
-  order_depends(order, dependency) {
-    return order != dependency && (
-      order.type == shared.orderTypeEnum.move && (
-        dependency.type == shared.orderTypeEnum.move && (
-          order.dest == dependency.dest // Dependency is moving into the same province as order
-          || order.dest == dependency.province // Order is moving into the same province as dependency is moving out of
-        )
-        || dependency.type == shared.orderTypeEnum.convoy && (
-          order.isconvoy && this.fleets_required(order.province, order.dest).includes(dependency.province) // Dependency is convoying order
-          || order.dest == dependency.end // Dependency is convoying unit to the province order is moving to
-        )
-        || dependency.type == shared.orderTypeEnum["support move"] && (
-          order.province == dependency.from && order.dest == dependency.supporting // Dependency is supporting order
-        )
-      )
-      || order.type == shared.orderTypeEnum.convoy && (
-        dependency.type == shared.orderTypeEnum.move && (
-          order.province == dependency.dest // Dependency is attacking order, which is convoying
-        )
-      )
-      || order.type == shared.orderTypeEnum["support move"] && (
-        dependency.type == shared.orderTypeEnum.move && (
-          order.province == dependency.dest && order.supporting == dependency.province // Dependency is attacking order from the square order is supporting a move to
-        )
-      )
-    );
+    if (Object.keys(result.dislodgements).length == 0) this.start_creating_and_disbanding();
   }
 }
 
 exports.ServerGameData = ServerGameData;
 exports.get_game_list = get_game_list;
+exports.get_game_ids = get_game_ids;
+exports.get_overdue_game_ids = get_overdue_game_ids;
+exports.get_game_overviews = get_game_overviews;
 exports.new_game = new_game;
+exports.import_game = import_game;
 exports.gamedata_from_id = gamedata_from_id;
 exports.get_map_list = get_map_list;
 exports.get_test_list = get_test_list;
 exports.get_datc_list = get_datc_list;
 exports.get_map_overview = get_map_overview;
 exports.get_map_info = get_map_info;
-exports.config = config;
\ No newline at end of file
+exports.config = config;
+exports.storage = storage;
+exports.pressTypeEnum = pressTypeEnum;
+exports.orderErrorEnum = orderErrorEnum;
+exports.OrderError = OrderError;
+exports.ConflictError = ConflictError;
\ No newline at end of file
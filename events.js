@@ -0,0 +1,114 @@
+/**
+ * Enum for the kinds of events pushed to clients watching a game.
+ * @readonly
+ * @enum {string}
+ */
+const gameEventEnum = {
+  /** The game moved on to a new phase. */
+  Phase: "phase",
+  /** A phase was adjudicated. */
+  Adjudicated: "adjudicated",
+  /** A country marked its orders as ready or took that back. */
+  Ready: "ready",
+  /** A press message was sent. */
+  Press: "press",
+  /** A country was claimed. */
+  Claim: "claim",
+  /** Someone won or the game was drawn. */
+  GameOver: "game-over"
+}
+
+/**
+ * An event waiting to be pushed to the clients watching a game.
+ * @typedef {Object} GameEvent
+ * @property {gameEventEnum} type
+ * @property {(view:Object,username:string)=>Object} data Get the event's data for a user from the game as returned by `sanitized(username)`, or null if the user can't see the event.
+ */
+
+/**
+ * Seconds between comments sent to keep idle connections open.
+ */
+const heartbeatInterval = 30;
+
+/**
+ * Open event streams keyed by game ID.
+ * @type {Object.<number,{username:string,res:express.Response}[]>}
+ */
+const subscribers = {};
+
+/**
+ * Functions called with every batch of a game's events, keyed by game ID. These are for servers in the same process that push events over other protocols.
+ * @type {Object.<number,((gameData:Object,gameEvents:GameEvent[])=>void)[]>}
+ */
+const listeners = {};
+
+/**
+ * Start streaming a game's events to a response as Server-Sent Events until the client disconnects.
+ * @param {number} id ID of the game.
+ * @param {string} username User the response belongs to.
+ * @param {express.Request} req
+ * @param {express.Response} res
+ */
+function subscribe(id, username, req, res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  });
+  res.flushHeaders();
+
+  let subscriber = { username: username, res: res };
+  if (!subscribers[id]) subscribers[id] = [];
+  subscribers[id].push(subscriber);
+
+  let heartbeat = setInterval(() => res.write(": heartbeat\n\n"), heartbeatInterval * 1000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    subscribers[id] = subscribers[id].filter(s => s != subscriber);
+    if (subscribers[id].length == 0) delete subscribers[id];
+  });
+}
+
+/**
+ * Call a function with every batch of a game's events until the returned function is called.
+ * Listeners get the whole game and have to filter events for their users themselves.
+ * @param {number} id ID of the game.
+ * @param {(gameData:Object,gameEvents:GameEvent[])=>void} listener
+ * @returns {()=>void} Stops calling the listener.
+ */
+function listen(id, listener) {
+  if (!listeners[id]) listeners[id] = [];
+  listeners[id].push(listener);
+  return () => {
+    listeners[id] = listeners[id].filter(l => l != listener);
+    if (listeners[id].length == 0) delete listeners[id];
+  };
+}
+
+/**
+ * Push events to everyone watching a game, filtered for each user.
+ * @param {Object} gameData The game after the events happened, with a `sanitized(username)` method.
+ * @param {GameEvent[]} gameEvents
+ */
+function publish(gameData, gameEvents) {
+  if (gameEvents.length == 0) return;
+  for (let subscriber of subscribers[gameData.id] || []) {
+    let view = gameData.sanitized(subscriber.username, false);
+    for (let event of gameEvents) {
+      let data = event.data(view, subscriber.username);
+      if (data) subscriber.res.write(`event: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  }
+  for (let listener of listeners[gameData.id] || []) {
+    try {
+      listener(gameData, gameEvents);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+}
+
+exports.gameEventEnum = gameEventEnum;
+exports.subscribe = subscribe;
+exports.listen = listen;
+exports.publish = publish;
@@ -0,0 +1,150 @@
+const sql = require("./bankbook-server-utils/sql-utils.js");
+const utils = require("./diplomacy-server-utils.js");
+const storage_utils = require("./storage.js");
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Directory with the migration scripts. Each script is named `<number>-<description>.js` and exports async `up(query, transaction)` and `down(query, transaction)` functions.
+ */
+const migrationsDirectory = path.join(__dirname, "migrations");
+
+/**
+ * A migration script.
+ * @typedef {Object} Migration
+ * @property {string} id File name without the extension.
+ * @property {(query:Query,transaction:Transaction)=>Promise} up Apply the migration.
+ * @property {(query:Query,transaction:Transaction)=>Promise} down Undo the migration.
+ */
+
+/**
+ * Run a statement outside of any transaction.
+ * @typedef {(sql:string,values?:any)=>Promise<any>} Query
+ */
+
+/**
+ * Run `task` in a transaction, which is rolled back if `task` throws. Statements that change tables (like `ALTER TABLE`) commit right away, so only use it for rows.
+ * @typedef {<T>(task:(query:Query)=>Promise<T>)=>Promise<T>} Transaction
+ */
+
+/**
+ * @type {Transaction}
+ */
+function transaction(task) {
+  return utils.storage.transaction(task);
+}
+
+/**
+ * Throw an error unless games are stored in MySQL, which is the only storage with a schema.
+ */
+function check_storage() {
+  if (!(utils.storage instanceof storage_utils.MysqlStorage)) throw Error("Migrations can only be run with MySQL storage.");
+}
+
+/**
+ * Create the table that records which migrations have been applied.
+ */
+async function create_migrations_table() {
+  await sql.query(`CREATE TABLE IF NOT EXISTS diplomacy_migrations (
+    id VARCHAR(255) NOT NULL PRIMARY KEY,
+    applied_at BIGINT NOT NULL
+  )`);
+}
+
+/**
+ * Get every migration script in order.
+ * @returns {Promise<Migration[]>}
+ */
+async function get_migrations() {
+  let filenames = (await fs.readdir(migrationsDirectory)).filter(f => /^\d+-.*\.js$/.test(f)).sort();
+  return filenames.map(filename => {
+    let script = require(path.join(migrationsDirectory, filename));
+    return { id: path.basename(filename, ".js"), up: script.up, down: script.down };
+  });
+}
+
+/**
+ * Get the ID's of the migrations that have been applied, oldest first.
+ * @returns {Promise<string[]>}
+ */
+async function get_applied_migrations() {
+  await create_migrations_table();
+  return (await sql.query("SELECT id FROM diplomacy_migrations ORDER BY id")).map(row => row.id);
+}
+
+/**
+ * Get whether each migration has been applied.
+ * @returns {Promise<{id:string,applied:boolean}[]>}
+ */
+async function migration_status() {
+  check_storage();
+  let applied = await get_applied_migrations();
+  return (await get_migrations()).map(m => ({ id: m.id, applied: applied.includes(m.id) }));
+}
+
+/**
+ * Apply every migration that hasn't been applied yet, in order.
+ * @returns {Promise<string[]>} ID's of the migrations that were applied.
+ */
+async function migrate() {
+  check_storage();
+  let applied = await get_applied_migrations();
+  let done = [];
+  for (let migration of await get_migrations()) {
+    if (applied.includes(migration.id)) continue;
+    console.log(`Applying migration ${migration.id}`);
+    await migration.up(sql.query, transaction);
+    await sql.query("INSERT INTO diplomacy_migrations (id, applied_at) VALUES (?, ?)", [migration.id, Date.now()]);
+    done.push(migration.id);
+  }
+  return done;
+}
+
+/**
+ * Undo the most recently applied migrations.
+ * @param {number} steps Number of migrations to undo.
+ * @returns {Promise<string[]>} ID's of the migrations that were undone.
+ */
+async function rollback(steps=1) {
+  check_storage();
+  let applied = await get_applied_migrations();
+  let migrations = await get_migrations();
+  let done = [];
+  for (let id of applied.slice(-steps).reverse()) {
+    let migration = migrations.find(m => m.id == id);
+    if (!migration) throw Error(`Migration ${id} was applied but its script is missing.`);
+    console.log(`Rolling back migration ${id}`);
+    await migration.down(sql.query, transaction);
+    await sql.query("DELETE FROM diplomacy_migrations WHERE id=?", [id]);
+    done.push(id);
+  }
+  return done;
+}
+
+exports.migration_status = migration_status;
+exports.migrate = migrate;
+exports.rollback = rollback;
+
+// Command line usage: node migrations.js [up|down [steps]|status]
+if (require.main === module) {
+  let [command="up", steps="1"] = process.argv.slice(2);
+  (async () => {
+    await utils.storage.connect();
+    switch (command) {
+      case "up":
+        console.log(`Applied ${(await migrate()).length} migrations.`);
+        break;
+      case "down":
+        console.log(`Rolled back ${(await rollback(Number(steps))).length} migrations.`);
+        break;
+      case "status":
+        for (let migration of await migration_status()) console.log(`${migration.applied ? "applied" : "pending"}  ${migration.id}`);
+        break;
+      default:
+        throw Error(`Unknown command ${command}. Use up, down, or status.`);
+    }
+  })().then(() => process.exit(0), error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
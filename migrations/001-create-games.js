@@ -0,0 +1,36 @@
+/**
+ * Create the games table, plus the Bankbook tables the server reads users from if they don't exist yet.
+ * Bankbook's tables are shared with other apps, so they are never dropped.
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function up(query) {
+  await query(`CREATE TABLE IF NOT EXISTS users (
+    username VARCHAR(255) NOT NULL PRIMARY KEY,
+    first_name VARCHAR(255) NOT NULL DEFAULT '',
+    last_name VARCHAR(255) NOT NULL DEFAULT '',
+    type VARCHAR(255) NOT NULL DEFAULT '',
+    email VARCHAR(255) NOT NULL DEFAULT ''
+  )`);
+  if ((await query("SHOW COLUMNS FROM users LIKE 'diplomacy'")).length == 0) {
+    await query("ALTER TABLE users ADD COLUMN diplomacy BOOLEAN NOT NULL DEFAULT FALSE");
+  }
+  await query(`CREATE TABLE IF NOT EXISTS tokens (
+    token VARCHAR(255) NOT NULL PRIMARY KEY,
+    username VARCHAR(255) NOT NULL
+  )`);
+  await query(`CREATE TABLE IF NOT EXISTS diplomacy_games (
+    id INT NOT NULL PRIMARY KEY,
+    json LONGTEXT NOT NULL,
+    archived BOOLEAN NOT NULL DEFAULT FALSE
+  )`);
+}
+
+/**
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function down(query) {
+  await query("DROP TABLE diplomacy_games");
+}
+
+exports.up = up;
+exports.down = down;
@@ -0,0 +1,19 @@
+/**
+ * Count how many times each game has been saved, so that saves can detect concurrent changes.
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function up(query) {
+  if ((await query("SHOW COLUMNS FROM diplomacy_games LIKE 'version'")).length == 0) {
+    await query("ALTER TABLE diplomacy_games ADD COLUMN version INT NOT NULL DEFAULT 0");
+  }
+}
+
+/**
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function down(query) {
+  await query("ALTER TABLE diplomacy_games DROP COLUMN version");
+}
+
+exports.up = up;
+exports.down = down;
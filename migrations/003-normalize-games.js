@@ -0,0 +1,125 @@
+/**
+ * Keys of a game that get their own columns or tables instead of being kept in `settings`.
+ */
+const normalizedGameKeys = ["id", "name", "map", "phase", "users", "players", "history"];
+
+/**
+ * Columns added to `diplomacy_games`, keyed by name.
+ */
+const gameColumns = {
+  name: "VARCHAR(255) NULL",
+  map: "VARCHAR(255) NULL",
+  phase: "VARCHAR(255) NULL",
+  settings: "LONGTEXT NULL"
+};
+
+/**
+ * Split each game stored as a single `json` blob into players, turns and orders.
+ * The `json` column is kept so that nothing is lost; new games leave it null.
+ * Each game is moved in its own transaction, and `settings` marks it as moved, so it's written last. If the migration fails partway,
+ * the game it failed on is left as it was and running the migration again picks up from there.
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ * @param {<T>(task:(query:(sql:string,values?:any)=>Promise<any>)=>Promise<T>)=>Promise<T>} transaction
+ */
+async function up(query, transaction) {
+  await query(`CREATE TABLE IF NOT EXISTS diplomacy_game_players (
+    game_id INT NOT NULL,
+    username VARCHAR(255) NOT NULL,
+    country VARCHAR(255) NULL,
+    seat INT NULL,
+    INDEX (game_id),
+    INDEX (username)
+  )`);
+  await query(`CREATE TABLE IF NOT EXISTS diplomacy_turns (
+    game_id INT NOT NULL,
+    turn INT NOT NULL,
+    json LONGTEXT NOT NULL,
+    PRIMARY KEY (game_id, turn)
+  )`);
+  await query(`CREATE TABLE IF NOT EXISTS diplomacy_orders (
+    game_id INT NOT NULL,
+    turn INT NOT NULL,
+    country VARCHAR(255) NOT NULL,
+    province VARCHAR(255) NOT NULL,
+    json TEXT NOT NULL,
+    PRIMARY KEY (game_id, turn, country, province)
+  )`);
+  for (let column in gameColumns) {
+    if ((await query("SHOW COLUMNS FROM diplomacy_games LIKE ?", [column])).length == 0) {
+      await query(`ALTER TABLE diplomacy_games ADD COLUMN ${column} ${gameColumns[column]}`);
+    }
+  }
+  await query("ALTER TABLE diplomacy_games MODIFY json LONGTEXT NULL");
+
+  for (let row of await query("SELECT id, json FROM diplomacy_games WHERE settings IS NULL AND json IS NOT NULL")) {
+    let game = JSON.parse(row.json);
+
+    let settings = {};
+    for (let key in game) {
+      if (!normalizedGameKeys.includes(key)) settings[key] = game[key];
+    }
+
+    let players = [];
+    game.users.forEach((username, seat) => {
+      let countries = Object.keys(game.players).filter(c => game.players[c] == username);
+      if (countries.length == 0) players.push([row.id, username, null, seat]);
+      for (let country of countries) players.push([row.id, username, country, seat]);
+    });
+    for (let country in game.players) {
+      if (!game.users.includes(game.players[country])) players.push([row.id, game.players[country], country, null]);
+    }
+
+    let turns = [];
+    let orders = [];
+    game.history.forEach((state, turn) => {
+      state = Object.assign({}, state);
+      if (state.orders) {
+        for (let country in state.orders) {
+          for (let province in state.orders[country]) orders.push([row.id, turn, country, province, JSON.stringify(state.orders[country][province])]);
+        }
+        state.orders = Object.fromEntries(Object.keys(state.orders).map(c => [c, {}]));
+      }
+      turns.push([row.id, turn, JSON.stringify(state)]);
+    });
+
+    await transaction(async query => {
+      if (players.length > 0) await query("INSERT INTO diplomacy_game_players (game_id, username, country, seat) VALUES ?", [players]);
+      if (turns.length > 0) await query("INSERT INTO diplomacy_turns (game_id, turn, json) VALUES ?", [turns]);
+      if (orders.length > 0) await query("INSERT INTO diplomacy_orders (game_id, turn, country, province, json) VALUES ?", [orders]);
+      await query("UPDATE diplomacy_games SET name=?, map=?, phase=?, settings=? WHERE id=?", [game.name, game.map, game.phase, JSON.stringify(settings), row.id]);
+    });
+  }
+}
+
+/**
+ * Put every game back into a single `json` blob, including games created after the migration.
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function down(query) {
+  for (let row of await query("SELECT id, name, map, phase, settings FROM diplomacy_games WHERE settings IS NOT NULL")) {
+    let game = Object.assign({ id: row.id, name: row.name, map: row.map, phase: row.phase }, JSON.parse(row.settings));
+
+    let players = await query("SELECT username, country, seat FROM diplomacy_game_players WHERE game_id=? ORDER BY seat", [row.id]);
+    game.users = [...new Set(players.filter(p => p.seat !== null).map(p => p.username))];
+    game.players = {};
+    for (let player of players) {
+      if (player.country !== null) game.players[player.country] = player.username;
+    }
+
+    game.history = (await query("SELECT json FROM diplomacy_turns WHERE game_id=? ORDER BY turn", [row.id])).map(turn => JSON.parse(turn.json));
+    for (let order of await query("SELECT turn, country, province, json FROM diplomacy_orders WHERE game_id=?", [row.id])) {
+      game.history[order.turn].orders[order.country][order.province] = JSON.parse(order.json);
+    }
+
+    await query("UPDATE diplomacy_games SET json=? WHERE id=?", [JSON.stringify(game), row.id]);
+  }
+
+  await query("ALTER TABLE diplomacy_games MODIFY json LONGTEXT NOT NULL");
+  for (let column in gameColumns) await query(`ALTER TABLE diplomacy_games DROP COLUMN ${column}`);
+  await query("DROP TABLE diplomacy_orders");
+  await query("DROP TABLE diplomacy_turns");
+  await query("DROP TABLE diplomacy_game_players");
+}
+
+exports.up = up;
+exports.down = down;
@@ -0,0 +1,37 @@
+/**
+ * Create the tables for webhooks and their queue of payloads to deliver.
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function up(query) {
+  await query(`CREATE TABLE IF NOT EXISTS diplomacy_webhooks (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(255) NOT NULL,
+    game_id INT NULL,
+    url TEXT NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    events TEXT NOT NULL,
+    INDEX (username),
+    INDEX (game_id)
+  )`);
+  await query(`CREATE TABLE IF NOT EXISTS diplomacy_webhook_deliveries (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    webhook_id INT NOT NULL,
+    payload LONGTEXT NOT NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt BIGINT NOT NULL,
+    status VARCHAR(16) NOT NULL,
+    last_error TEXT NULL,
+    INDEX (status, next_attempt)
+  )`);
+}
+
+/**
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function down(query) {
+  await query("DROP TABLE diplomacy_webhook_deliveries");
+  await query("DROP TABLE diplomacy_webhooks");
+}
+
+exports.up = up;
+exports.down = down;
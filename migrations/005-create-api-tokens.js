@@ -0,0 +1,27 @@
+/**
+ * Create the table of API tokens. Tokens are stored as SHA-256 hashes.
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function up(query) {
+  await query(`CREATE TABLE IF NOT EXISTS diplomacy_api_tokens (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(255) NOT NULL,
+    hash CHAR(64) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL DEFAULT '',
+    scope VARCHAR(16) NOT NULL,
+    game_id INT NULL,
+    created_at BIGINT NOT NULL,
+    last_used BIGINT NOT NULL DEFAULT 0,
+    INDEX (username)
+  )`);
+}
+
+/**
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function down(query) {
+  await query("DROP TABLE diplomacy_api_tokens");
+}
+
+exports.up = up;
+exports.down = down;
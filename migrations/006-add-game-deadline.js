@@ -0,0 +1,33 @@
+/**
+ * Give each game's deadline its own column, so that the scheduler can find overdue games without loading every game.
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function up(query) {
+  if ((await query("SHOW COLUMNS FROM diplomacy_games LIKE 'deadline'")).length == 0) {
+    await query("ALTER TABLE diplomacy_games ADD COLUMN deadline BIGINT NOT NULL DEFAULT 0, ADD INDEX (deadline)");
+  }
+
+  for (let row of await query("SELECT id, settings FROM diplomacy_games WHERE settings IS NOT NULL")) {
+    let settings = JSON.parse(row.settings);
+    // Games already moved by an earlier run that failed partway don't have it in `settings` anymore
+    if (!("deadline" in settings)) continue;
+    let deadline = settings.deadline || 0;
+    delete settings.deadline;
+    await query("UPDATE diplomacy_games SET deadline=?, settings=? WHERE id=?", [deadline, JSON.stringify(settings), row.id]);
+  }
+}
+
+/**
+ * Put each game's deadline back into `settings`.
+ * @param {(sql:string,values?:any)=>Promise<any>} query
+ */
+async function down(query) {
+  for (let row of await query("SELECT id, deadline, settings FROM diplomacy_games WHERE settings IS NOT NULL")) {
+    let settings = Object.assign(JSON.parse(row.settings), { deadline: Number(row.deadline) });
+    await query("UPDATE diplomacy_games SET settings=? WHERE id=?", [JSON.stringify(settings), row.id]);
+  }
+  await query("ALTER TABLE diplomacy_games DROP COLUMN deadline");
+}
+
+exports.up = up;
+exports.down = down;
@@ -0,0 +1,410 @@
+const shared = require("./diplomacy-shared-utils/utils.js");
+
+/**
+ * Enum for the keywords of standard order notation.
+ * @readonly
+ * @enum {string}
+ */
+const keywordEnum = {
+  Hold: "H",
+  Move: "-",
+  Support: "S",
+  Convoy: "C",
+  Retreat: "R",
+  Disband: "D",
+  Build: "BUILD",
+  Waive: "WAIVE",
+  Via: "VIA"
+}
+
+/**
+ * Words that can be written for each keyword, in upper case.
+ * @type {Object.<keywordEnum,string[]>}
+ */
+const keywordSpellings = {
+  [keywordEnum.Hold]: ["H", "HOLD", "HOLDS"],
+  [keywordEnum.Move]: ["-", "->", "=>"],
+  [keywordEnum.Support]: ["S", "SUP", "SUPPORT", "SUPPORTS"],
+  [keywordEnum.Convoy]: ["C", "CVY", "CONVOY", "CONVOYS"],
+  [keywordEnum.Retreat]: ["R", "RETREAT", "RETREATS"],
+  [keywordEnum.Disband]: ["D", "DISBAND", "DISBANDS", "REMOVE", "REM"],
+  [keywordEnum.Build]: ["B", "BUILD", "BUILDS"],
+  [keywordEnum.Waive]: ["WAIVE", "WAIVES", "PASS"],
+  [keywordEnum.Via]: ["VIA"]
+};
+
+/**
+ * Common abbreviations of provinces whose ID is different, keyed by the abbreviation. They're only used on maps that have the province.
+ */
+const provinceAbbreviations = { nwy: "nor", gob: "bot", ech: "eng", gol: "lyo", nat: "nao", mid: "mao", mat: "mao", nrg: "nwg", tyn: "tys" };
+
+/**
+ * A unit or location written in an order, like `F STP/NC`, `Mid-Atlantic Ocean`, or `A Munich`.
+ * @typedef {Object} UnitTerm
+ * @property {shared.unitTypeEnum} type Unit type written before the location, or null if there wasn't one.
+ * @property {string} text The location as written.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string} Lower case text with everything but letters and digits removed, for comparing names.
+ */
+function normalize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Find a province from its ID, a common abbreviation, its full name, or the start of its full name.
+ * @param {Object} mapInfo
+ * @param {string} text
+ * @returns {Object} The province.
+ */
+function find_province(mapInfo, text) {
+  let name = normalize(text);
+  let provinces = mapInfo.provinces;
+  let by_id = id => provinces.find(p => p.id.toLowerCase() == id);
+  let found = by_id(name) || (provinceAbbreviations[name] && by_id(provinceAbbreviations[name])) || provinces.find(p => normalize(p.name) == name);
+  if (found) return found;
+
+  let matches = name.length >= 3 ? provinces.filter(p => normalize(p.name).startsWith(name)) : [];
+  if (matches.length == 1) return matches[0];
+  if (matches.length > 1) throw Error(`"${text}" could be any of ${matches.map(p => p.name).join(", ")}.`);
+  throw Error(`There is no province called "${text}".`);
+}
+
+/**
+ * Read a location like `STP/NC`, `Spain (south coast)`, or `London`.
+ * @param {Object} mapInfo
+ * @param {string} text
+ * @returns {{province:Object,coast:string}} The province and the ID of the coast, or "" if none was written.
+ */
+function read_location(mapInfo, text) {
+  let match = /^(.*?)\s*(?:\/\s*([^/()]+)|\(\s*([^()]+)\))$/.exec(text.trim());
+  let province = find_province(mapInfo, match ? match[1] : text);
+  if (!match) return { province: province, coast: "" };
+
+  let written = normalize(match[2] || match[3]);
+  let coast = province.coasts.find(c => [normalize(c.id), normalize(c.name), normalize(c.name.split(/\s+/)[0])].includes(written));
+  if (!coast) throw Error(`${province.name} has no coast "${(match[2] || match[3]).trim()}".`);
+  return { province: province, coast: coast.id };
+}
+
+/**
+ * @param {string} word
+ * @returns {keywordEnum} The keyword the word is a spelling of, or null if it isn't one.
+ */
+function keyword(word) {
+  let upper = word.toUpperCase();
+  let found = Object.keys(keywordSpellings).find(k => keywordSpellings[k].includes(upper));
+  return found === undefined ? null : found;
+}
+
+/**
+ * Split a line into keywords and the units and locations between them.
+ * @param {Object} mapInfo
+ * @param {string} line
+ * @returns {(keywordEnum|UnitTerm)[]}
+ */
+function tokenize(mapInfo, line) {
+  let names = mapInfo.provinces.map(p => normalize(p.name));
+  let words = [];
+  for (let word of line.replace(/(->|=>)/g, " $1 ").trim().split(/\s+/)) {
+    // Hyphens are moves unless they're part of a province's name, like Mid-Atlantic
+    if (word.length > 1 && word.includes("-") && !names.some(n => n.startsWith(normalize(word)))) {
+      words.push(...word.split(/(-)/).filter(w => w));
+    } else {
+      words.push(word);
+    }
+  }
+
+  let tokens = [];
+  let term = null;
+  for (let word of words) {
+    let key = keyword(word);
+    if (key) {
+      tokens.push(key);
+      term = null;
+      continue;
+    }
+    if (!term) {
+      term = { type: null, text: "" };
+      tokens.push(term);
+      if (/^(A|ARMY)$/i.test(word)) {
+        term.type = shared.unitTypeEnum.Army;
+        continue;
+      }
+      if (/^(F|FLEET)$/i.test(word)) {
+        term.type = shared.unitTypeEnum.Fleet;
+        continue;
+      }
+    }
+    term.text = term.text ? `${term.text} ${word}` : word;
+  }
+
+  for (let token of tokens) {
+    if (typeof token == "object" && !token.text) throw Error("A unit type must be followed by a province.");
+  }
+  return tokens;
+}
+
+/**
+ * @param {shared.unitTypeEnum} type
+ * @returns {string} `an army` or `a fleet`.
+ */
+function type_name(type) {
+  return type == shared.unitTypeEnum.Fleet ? "a fleet" : "an army";
+}
+
+/**
+ * Find the unit a term refers to and check that it's of the type written.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {UnitTerm} term
+ * @param {boolean} dislodged Whether to look for a unit dislodged this turn rather than one on the board.
+ * @returns {{province:Object,coast:string}}
+ */
+function read_unit(gameData, term, dislodged=false) {
+  let location = read_location(gameData.mapInfo, term.text);
+  let unit = null;
+  if (dislodged) {
+    let dislodgement = gameData.history[gameData.history.length - 2].dislodgements[location.province.id];
+    unit = dislodgement ? dislodgement.unit : null;
+  } else {
+    unit = gameData.get_unit(location.province.id);
+  }
+  if (unit && term.type !== null && unit.type != term.type) throw Error(`The unit in ${location.province.name} is ${type_name(unit.type)}, not ${type_name(term.type)}.`);
+  return location;
+}
+
+/**
+ * Get the coast of a fleet's destination that can be left out because the province has only one.
+ * @param {Object} province
+ * @param {string} coast Coast that was written.
+ * @param {shared.unitTypeEnum} type Type of the unit going there.
+ * @returns {string}
+ */
+function destination_coast(province, coast, type) {
+  if (coast || type != shared.unitTypeEnum.Fleet || province.coasts.length != 1) return coast;
+  return province.coasts[0].id;
+}
+
+/**
+ * Find the country a term refers to by its ID or name.
+ * @param {Object} mapInfo
+ * @param {UnitTerm} term
+ * @returns {string} ID of the country.
+ */
+function find_country(mapInfo, term) {
+  let name = normalize(term.text);
+  let country = mapInfo.countries.find(c => normalize(c.id) == name || normalize(c.name) == name);
+  if (!country) throw Error(`There is no country called "${term.text}".`);
+  return country.id;
+}
+
+/**
+ * Read an order written in standard notation, like `A PAR - BUR`, `F NTH C A LON - NWY`, `A MUN S A BER - SIL`, `F SPA/SC - WES`, `A BRE R PIC`, or `BUILD F STP/NC`.
+ * Provinces can be written with their ID, a common abbreviation, their full name, or enough of the start of their full name to tell it apart from the others.
+ * Coasts are written after a slash or in brackets, and can be left out when a province has only one. Unit types can be left out everywhere except builds.
+ * @param {Object} gameData ServerGameData of the game. Used to decide between moves and retreats, and between removing a unit and disbanding a dislodged one.
+ * @param {string} line
+ * @param {string[]} countries ID's of the countries of the player writing the order. Used to tell which country waives a build when no country is written.
+ * @returns {shared.Order}
+ */
+function parse_order(gameData, line, countries=[]) {
+  let tokens = tokenize(gameData.mapInfo, line);
+  if (tokens.length == 0) throw Error("The order is empty.");
+  let pattern = tokens.map(t => typeof t == "object" ? "U" : t).join(" ");
+  let [first, , second, , third] = tokens;
+  let retreating = gameData.phase == shared.phaseEnum.Retreating;
+  let adjusting = gameData.phase == shared.phaseEnum["Creating/Disbanding"];
+  let unit_type = (term, province) => {
+    let unit = retreating ? gameData.history[gameData.history.length - 2].dislodgements[province.id] : null;
+    if (unit) return unit.unit.type;
+    let on_board = gameData.get_unit(province.id);
+    if (on_board) return on_board.type;
+    return term.type;
+  };
+
+  switch (pattern) {
+    case "U":
+    case "U H": {
+      let unit = read_unit(gameData, first);
+      return new shared.HoldOrder(unit.province.id);
+    }
+    case "U - U":
+    case "U R U":
+    case "U - U VIA C": {
+      if (retreating && pattern != "U - U VIA C") {
+        let unit = read_unit(gameData, first, true);
+        let dest = read_location(gameData.mapInfo, second.text);
+        return new shared.RetreatOrder(unit.province.id, dest.province.id, destination_coast(dest.province, dest.coast, unit_type(first, unit.province)));
+      }
+      if (pattern == "U R U") throw Error("Retreats can only be ordered in a retreat phase.");
+
+      let unit = read_unit(gameData, first);
+      let dest = read_location(gameData.mapInfo, second.text);
+      let coast = destination_coast(dest.province, dest.coast, unit_type(first, unit.province));
+      let convoy = pattern == "U - U VIA C";
+      if (!convoy) {
+        // An army can be convoyed without saying so when it can't get there by land
+        let on_board = gameData.get_unit(unit.province.id);
+        let moves = on_board ? gameData.get_valid_orders(on_board).filter(o => o.type == shared.orderTypeEnum.move && o.dest == dest.province.id) : [];
+        convoy = moves.length > 0 && moves.every(o => o.isConvoy);
+      }
+      return new shared.MoveOrder(unit.province.id, dest.province.id, coast, convoy);
+    }
+    case "U S U":
+    case "U S U H": {
+      let unit = read_unit(gameData, first);
+      let supported = read_unit(gameData, second);
+      return new shared.SupportHoldOrder(unit.province.id, supported.province.id);
+    }
+    case "U S U - U": {
+      let unit = read_unit(gameData, first);
+      let supported = read_unit(gameData, second);
+      let dest = read_location(gameData.mapInfo, third.text);
+      return new shared.SupportMoveOrder(unit.province.id, dest.province.id, supported.province.id);
+    }
+    case "U C U - U": {
+      let unit = read_unit(gameData, first);
+      let convoyed = read_unit(gameData, second);
+      let dest = read_location(gameData.mapInfo, third.text);
+      return new shared.ConvoyOrder(unit.province.id, convoyed.province.id, dest.province.id);
+    }
+    case "U D":
+    case "D U": {
+      let term = pattern == "U D" ? first : tokens[1];
+      if (retreating) {
+        // Dislodged units without a retreat are disbanded, so disbanding one takes back its retreat
+        return new shared.CancelOrder(read_unit(gameData, term, true).province.id);
+      }
+      let unit = read_unit(gameData, term);
+      let country = gameData.get_unit_owner_id(unit.province.id);
+      if (!country) throw Error(`There is no unit in ${unit.province.name}.`);
+      return new shared.DisbandOrder(country, unit.province.id);
+    }
+    case "U BUILD":
+    case "BUILD U": {
+      let term = pattern == "U BUILD" ? first : tokens[1];
+      if (term.type === null) throw Error("Builds need a unit type.");
+      let location = read_location(gameData.mapInfo, term.text);
+      let home = gameData.mapInfo.countries.find(c => c.supplyCenters.includes(location.province.id));
+      if (!home) throw Error(`${location.province.name} isn't anyone's home supply center.`);
+      return new shared.BuildOrder(home.id, location.province.id, term.type, destination_coast(location.province, location.coast, term.type));
+    }
+    case "WAIVE":
+    case "WAIVE U":
+    case "U WAIVE": {
+      let term = tokens.find(t => typeof t == "object");
+      if (term) return new shared.PassOrder(find_country(gameData.mapInfo, term));
+
+      let prev_state = gameData.history[gameData.history.length - 2];
+      let building = adjusting ? countries.filter(c => prev_state.nations[c] && prev_state.nations[c].toBuild > 0) : [];
+      if (building.length != 1) throw Error("Write which country waives its build, like \"WAIVE France\".");
+      return new shared.PassOrder(building[0]);
+    }
+    default:
+      throw Error(`Couldn't read "${line.trim()}" as an order.`);
+  }
+}
+
+/**
+ * Read a block of orders in standard notation, one per line. Blank lines and lines starting with `#` are skipped.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} text
+ * @param {string[]} countries ID's of the countries of the player writing the orders.
+ * @returns {{line:number,text:string,order?:shared.Order,error?:string}[]} Each line that was read, numbered from 1, with its order or why it couldn't be read.
+ */
+function parse_orders(gameData, text, countries=[]) {
+  let lines = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    line = line.trim();
+    if (!line || line.startsWith("#")) return;
+    try {
+      lines.push({ line: i + 1, text: line, order: parse_order(gameData, line, countries) });
+    } catch (error) {
+      lines.push({ line: i + 1, text: line, error: error.message });
+    }
+  });
+  return lines;
+}
+
+/**
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} province ID of the province.
+ * @param {string} coast ID of the coast, or "".
+ * @returns {string} A location in standard notation, like `STP/NC`. The coast is only written for provinces with more than one.
+ */
+function format_location(gameData, province, coast) {
+  let written = province.toUpperCase();
+  return coast && gameData.get_province(province).coasts.length > 1 ? `${written}/${coast}` : written;
+}
+
+/**
+ * Write a unit in standard notation, like `F STP/SC`.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {shared.Unit} unit
+ * @returns {string}
+ */
+function format_unit(gameData, unit) {
+  return `${unit.type == shared.unitTypeEnum.Fleet ? "F" : "A"} ${format_location(gameData, unit.province, unit.coast)}`;
+}
+
+/**
+ * Write an order in standard notation, like `A MUN S A BER - SIL`.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {number} turn Index in `history` of the state the order is stored on, which is used to find the units the order refers to.
+ * @param {shared.Order} order
+ * @returns {string}
+ */
+function format_order(gameData, turn, order) {
+  let state = gameData.history[turn];
+  // Units disbanded in an adjustment phase are only in the states before it, and moved units are only in the states after their move
+  let unit_at = province => {
+    for (let s of [state, gameData.history[turn + 1]].filter(s => s)) {
+      for (let c in s.nations) {
+        let unit = s.nations[c].units.find(u => u.province == province);
+        if (unit) return format_unit(gameData, unit);
+      }
+    }
+    let type = gameData.get_province(province).water ? shared.unitTypeEnum.Fleet : shared.unitTypeEnum.Army;
+    return format_unit(gameData, { type: type, province: province, coast: "" });
+  };
+  let dislodged_at = province => {
+    let dislodgement = state.dislodgements && state.dislodgements[province];
+    return dislodgement ? format_unit(gameData, dislodgement.unit) : unit_at(province);
+  };
+  let location = province => province.toUpperCase();
+
+  switch (order.type) {
+    case shared.orderTypeEnum.hold:
+      return `${unit_at(order.province)} H`;
+    case shared.orderTypeEnum.move:
+      return `${unit_at(order.province)} - ${format_location(gameData, order.dest, order.coast)}${order.isConvoy ? " VIA C" : ""}`;
+    case shared.orderTypeEnum["support hold"]:
+      return `${unit_at(order.province)} S ${unit_at(order.supporting)}`;
+    case shared.orderTypeEnum["support move"]:
+      return `${unit_at(order.province)} S ${unit_at(order.from)} - ${location(order.supporting)}`;
+    case shared.orderTypeEnum.convoy:
+      return `${unit_at(order.province)} C ${unit_at(order.start)} - ${location(order.end)}`;
+    case shared.orderTypeEnum.retreat:
+      return `${dislodged_at(order.province)} R ${format_location(gameData, order.dest, order.coast)}`;
+    case shared.orderTypeEnum.build:
+      return `BUILD ${format_unit(gameData, { type: order.unitType, province: order.province, coast: order.coast })}`;
+    case shared.orderTypeEnum.disband: {
+      let retreat = state.retreats && state.retreats[order.country] && state.retreats[order.country][order.province] == order;
+      return `${retreat ? dislodged_at(order.province) : unit_at(order.province)} D`;
+    }
+    case shared.orderTypeEnum.pass:
+      return `WAIVE ${order.country}`;
+    case shared.orderTypeEnum.cancel:
+      // Taking back a retreat leaves the unit to be disbanded
+      return `${dislodged_at(order.province)} D`;
+    default:
+      throw Error(`Orders of type ${order.type} can't be written in standard notation.`);
+  }
+}
+
+exports.parse_order = parse_order;
+exports.parse_orders = parse_orders;
+exports.format_unit = format_unit;
+exports.format_order = format_order;
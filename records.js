@@ -0,0 +1,265 @@
+const shared = require("./diplomacy-shared-utils/utils.js");
+const notation = require("./notation.js");
+
+/**
+ * Value of `format` in every game record.
+ */
+const recordFormat = "diplomacy-game-record";
+
+/**
+ * Version of the game record format written by `export_record`. Records with a higher version can't be imported.
+ */
+const recordVersion = 1;
+
+/**
+ * A portable record of a game, turn by turn. See the Game Records section of the README.
+ * @typedef {Object} GameRecord
+ * @property {string} format Always `recordFormat`.
+ * @property {number} version
+ * @property {string} name
+ * @property {string} map Path of the game's `.dipmap` file.
+ * @property {Object} rules
+ * @property {Object.<string,string>} players Usernames keyed by country ID, or null for players hidden in anonymous games.
+ * @property {shared.phaseEnum} phase Phase the game was in when it was exported.
+ * @property {shared.winStateEnum} won
+ * @property {string[]} winners ID's of the countries that won or share the draw.
+ * @property {RecordTurn[]} turns
+ */
+
+/**
+ * One entry of `history` in a game record. Only phases that have been adjudicated have their orders.
+ * @typedef {Object} RecordTurn
+ * @property {number} date
+ * @property {shared.seasonEnum} season
+ * @property {Object.<string,{units:shared.Unit[],supplyCenters:string[],neutral?:boolean,eliminated?:boolean}>} nations Positions and supply centers at the start of the turn, keyed by country ID.
+ * @property {Object.<string,Object[]>} [orders] Movement orders with their results, keyed by country ID.
+ * @property {Object} [dislodgements] Units dislodged by the movement orders, keyed by province ID.
+ * @property {Object.<string,Object[]>} [retreats] Retreats and disbands of dislodged units with their results, keyed by country ID.
+ * @property {Object.<string,Object[]>} [adjustments] Builds, disbands, and waived builds after the turn, keyed by country ID.
+ */
+
+/**
+ * @param {shared.Order} order
+ * @returns {Object} The order as JSON, keeping the `automatic` flag of orders the server wrote on a player's behalf.
+ */
+function export_order(order) {
+  let exported = order.export();
+  if (order.automatic) exported.automatic = true;
+  return exported;
+}
+
+/**
+ * @param {Object} enumeration
+ * @param {any} value
+ * @returns {string} Name of the enum key with `value`.
+ */
+function enum_name(enumeration, value) {
+  return Object.keys(enumeration).find(key => enumeration[key] == value);
+}
+
+/**
+ * @param {RecordTurn} turn
+ * @returns {string} Like `Spring 1901`.
+ */
+function turn_name(turn) {
+  return `${enum_name(shared.seasonEnum, turn.season)} ${turn.date}`;
+}
+
+/**
+ * Get a record of a game as `username` can see it. The orders of the phase being written aren't included.
+ * @param {Object} gameData ServerGameData of the game.
+ * @param {string} username
+ * @returns {GameRecord}
+ */
+function export_record(gameData, username) {
+  if (gameData.fogOfWar && gameData.won == shared.winStateEnum.Playing) throw Error("Fog of war games can't be exported until they end.");
+
+  let view = gameData.sanitized(username, false);
+  let last = gameData.history.length - 1;
+  let winners = gameData.winner ? gameData.winner.split(",") : [];
+
+  let turns = gameData.history.map((state, i) => {
+    /** @type {RecordTurn} */
+    let turn = {
+      date: state.date,
+      season: state.season,
+      nations: Object.fromEntries(Object.entries(state.nations).map(([c, nation]) => {
+        let recorded = { units: nation.units, supplyCenters: nation.supplyCenters };
+        if (nation.neutral) recorded.neutral = true;
+        if (nation.eliminated) recorded.eliminated = true;
+        return [c, recorded];
+      }))
+    };
+
+    let orders = lists => Object.fromEntries(Object.entries(lists).map(([c, list]) => [c, Object.values(list).map(export_order)]));
+    if (state.orders && !(i == last && gameData.phase == shared.phaseEnum["Order Writing"])) turn.orders = orders(state.orders);
+    if (state.retreats && !(i == last - 1 && gameData.phase == shared.phaseEnum.Retreating)) {
+      turn.dislodgements = state.dislodgements;
+      turn.retreats = orders(state.retreats);
+    }
+    if (state.adjustments && !(i == last - 1 && gameData.phase == shared.phaseEnum["Creating/Disbanding"])) turn.adjustments = orders(state.adjustments);
+    return turn;
+  });
+
+  return JSON.parse(JSON.stringify({
+    format: recordFormat,
+    version: recordVersion,
+    name: gameData.name,
+    map: gameData.map,
+    rules: gameData.rules,
+    players: view.players,
+    phase: gameData.phase,
+    won: gameData.won,
+    winners: Object.keys(gameData.players).filter(c => winners.includes(gameData.players[c])),
+    turns: turns
+  }));
+}
+
+/**
+ * Write a game record as a transcript that is easy to read, with orders in standard notation.
+ * @param {Object} gameData ServerGameData of the game the record is from, used to write the orders.
+ * @param {GameRecord} record
+ * @returns {string}
+ */
+function format_transcript(gameData, record) {
+  let country_name = c => {
+    let country = gameData.get_country(c);
+    return country ? country.name : c;
+  };
+  let lines = [
+    `Game: ${record.name}`,
+    `Map: ${gameData.mapInfo.info.name}`,
+    `Rules: ${Object.entries(record.rules).map(([option, value]) => `${option}=${value}`).join(", ")}`,
+    "Players:",
+    ...Object.keys(record.players).map(c => `  ${country_name(c)}: ${record.players[c] || "(hidden)"}`)
+  ];
+  switch (record.won) {
+    case shared.winStateEnum.Won:
+      lines.push(`Result: ${country_name(record.winners[0])} wins`);
+      break;
+    case shared.winStateEnum.Draw:
+      lines.push(`Result: draw between ${record.winners.map(country_name).join(", ")}`);
+      break;
+    default:
+      lines.push(`Result: still playing (${enum_name(shared.phaseEnum, record.phase)})`);
+  }
+
+  let section = (title, lists, turn_index) => {
+    lines.push(`${title}:`);
+    for (let c in lists) {
+      if (lists[c].length == 0) continue;
+      lines.push(`  ${country_name(c)}:`);
+      for (let json of lists[c]) {
+        let text = notation.format_order(gameData, turn_index, shared.import_order(json));
+        let result = enum_name(shared.orderResultEnum, json.result);
+        lines.push(`    ${text}${result ? ` (${result})` : ""}${json.automatic ? " [automatic]" : ""}`);
+      }
+    }
+  };
+
+  record.turns.forEach((turn, i) => {
+    lines.push("", turn_name(turn));
+    lines.push("Units:");
+    for (let c in turn.nations) {
+      let units = turn.nations[c].units.map(u => notation.format_unit(gameData, u));
+      if (units.length > 0) lines.push(`  ${country_name(c)}: ${units.join(", ")}`);
+    }
+    lines.push("Supply centers:");
+    for (let c in turn.nations) {
+      let centers = [...turn.nations[c].supplyCenters].sort().map(p => p.toUpperCase());
+      if (centers.length > 0) lines.push(`  ${country_name(c)}: ${centers.join(", ")}`);
+    }
+    if (turn.orders) section("Orders", turn.orders, i);
+    if (turn.retreats && Object.values(turn.retreats).some(list => list.length > 0)) section("Retreats", turn.retreats, i);
+    if (turn.adjustments && Object.keys(turn.adjustments).length > 0) section("Adjustments", turn.adjustments, i);
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * @param {Object.<string,{units:shared.Unit[],supplyCenters:string[]}>} nations
+ * @returns {Object.<string,string>} Each country's units and supply centers written so that they can be compared.
+ */
+function position_keys(nations) {
+  return Object.fromEntries(Object.entries(nations).map(([c, nation]) => [c, [
+    nation.units.map(u => `${u.type}:${u.province}:${u.coast || ""}`).sort().join(","),
+    [...nation.supplyCenters].sort().join(",")
+  ].join(" / ")]));
+}
+
+/**
+ * Replay a game record on a game that has been set up with the record's first positions, checking that every adjudicated phase
+ * has the results, positions, and supply centers the record says it had. Orders the server wrote on a player's behalf are written again by the server.
+ * The game is left in the phase the record was exported in.
+ * @param {Object} gameData ServerGameData of the game, in the Country Claiming phase.
+ * @param {GameRecord} record
+ */
+function replay_record(gameData, record) {
+  let turns = record.turns;
+  let keys = {
+    [shared.phaseEnum["Order Writing"]]: "orders",
+    [shared.phaseEnum.Retreating]: "retreats",
+    [shared.phaseEnum["Creating/Disbanding"]]: "adjustments"
+  };
+
+  gameData.start_order_writing();
+  while (gameData.won == shared.winStateEnum.Playing) {
+    let phase = gameData.phase;
+    let index = gameData.history.length - (phase == shared.phaseEnum["Order Writing"] ? 1 : 2);
+    let turn = turns[index];
+    let recorded = turn && turn[keys[phase]];
+    if (!recorded) break;
+
+    let name = `${turn_name(turn)} (${phase})`;
+    for (let c in recorded) {
+      for (let json of recorded[c].filter(o => !o.automatic)) {
+        try {
+          gameData.place_order(gameData.country_owner(c), shared.import_order(json));
+        } catch (error) {
+          throw Error(`${name}: ${notation.format_order(gameData, index, shared.import_order(json))} can't be ordered: ${error.message}`);
+        }
+      }
+    }
+    gameData.force_adjudication();
+
+    let state = gameData.history[index];
+    for (let c in recorded) {
+      for (let json of recorded[c]) {
+        let adjudicated = phase == shared.phaseEnum["Creating/Disbanding"]
+          ? (state.adjustments[c] || []).find(o => o.id == json.id)
+          : (state[keys[phase]][c] || {})[json.province];
+        let written = notation.format_order(gameData, index, shared.import_order(json));
+        if (!adjudicated) throw Error(`${name}: ${written} isn't one of the orders the resolver used.`);
+        if (adjudicated.result != json.result) {
+          throw Error(`${name}: ${written} was recorded as ${enum_name(shared.orderResultEnum, json.result)} but the resolver says ${enum_name(shared.orderResultEnum, adjudicated.result)}.`);
+        }
+      }
+    }
+  }
+
+  if (gameData.won == shared.winStateEnum.Playing && record.won == shared.winStateEnum.Draw) {
+    gameData.end_game(shared.winStateEnum.Draw, [...new Set(record.winners.map(c => gameData.country_owner(c)))].join(","));
+  }
+
+  if (gameData.history.length != turns.length) throw Error(`The record has ${turns.length} turns but replaying it gives ${gameData.history.length}.`);
+  gameData.history.forEach((state, i) => {
+    let actual = position_keys(state.nations);
+    let expected = position_keys(turns[i].nations);
+    for (let c of new Set([...Object.keys(actual), ...Object.keys(expected)])) {
+      if (actual[c] != expected[c]) throw Error(`${turn_name(turns[i])}: the units or supply centers of ${c} don't match the record.`);
+    }
+  });
+
+  if (gameData.won != record.won) throw Error(`The record says the game ${record.won == shared.winStateEnum.Playing ? "is still being played" : "ended"}, but replaying it gives a different result.`);
+  if (gameData.won == shared.winStateEnum.Won && gameData.winner != gameData.country_owner(record.winners[0])) throw Error("Replaying the record gives a different winner.");
+
+  // The replayed phases already happened, so nobody needs to hear about them
+  gameData.events = [];
+}
+
+exports.recordFormat = recordFormat;
+exports.recordVersion = recordVersion;
+exports.export_record = export_record;
+exports.format_transcript = format_transcript;
+exports.replay_record = replay_record;
@@ -0,0 +1,63 @@
+const utils = require("./diplomacy-server-utils.js");
+const webhooks = require("./webhooks.js");
+
+/**
+ * Default number of seconds between checks for passed deadlines.
+ */
+const defaultInterval = 60;
+
+/** @type {NodeJS.Timeout} */
+var timeout;
+
+/**
+ * Adjudicate every game whose current phase's deadline has passed.
+ * Deadlines are stored with each game, so games whose deadlines passed while the server was down get adjudicated on the first check.
+ * Only the overdue games are loaded.
+ * @returns {Promise<number[]>} ID's of the games that were adjudicated.
+ */
+async function process_deadlines() {
+  let now = Date.now();
+  let adjudicated = [];
+  for (let id of await utils.get_overdue_game_ids(now)) {
+    try {
+      let gameData = await utils.gamedata_from_id(id);
+      // Another request may have moved the game on since the ID's were listed
+      if (!gameData.deadline_passed(now)) continue;
+      gameData.pass_deadline();
+      await gameData.save();
+      adjudicated.push(gameData.id);
+    } catch (error) {
+      console.error(`Failed to adjudicate game ${id} after its deadline passed.`);
+      console.error(error);
+    }
+  }
+  return adjudicated;
+}
+
+/**
+ * Start checking for passed deadlines and retrying webhook deliveries periodically.
+ * @param {number} interval Number of seconds between checks.
+ */
+function start_scheduler(interval=Number(utils.config.SCHEDULER_INTERVAL) || defaultInterval) {
+  let tick = async () => {
+    try {
+      await process_deadlines();
+      await webhooks.process_deliveries(utils.storage, webhooks.allowed_hosts(utils.config));
+    } catch (error) {
+      console.error(error);
+    }
+    timeout = setTimeout(tick, interval * 1000);
+  };
+  tick();
+}
+
+/**
+ * Stop checking for passed deadlines.
+ */
+function stop_scheduler() {
+  clearTimeout(timeout);
+}
+
+exports.process_deadlines = process_deadlines;
+exports.start_scheduler = start_scheduler;
+exports.stop_scheduler = stop_scheduler;
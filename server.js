@@ -2,27 +2,56 @@ const express = require("express");
 const cookieParser = require("cookie-parser");
 const path = require("path");
 const shared = require("./diplomacy-shared-utils/utils.js");
-const sql = require("./bankbook-server-utils/sql-utils.js");
 const utils = require("./diplomacy-server-utils.js");
+const adjudicator = require("./adjudicator.js");
 const tests = require("./tests.js");
+const scheduler = require("./scheduler.js");
+const migrations = require("./migrations.js");
+const events = require("./events.js");
+const webhooks = require("./webhooks.js");
+const api_tokens = require("./api-tokens.js");
+const bots = require("./bots.js");
+const daide_server = require("./daide-server.js");
+const records = require("./records.js");
 
 const app = express();
 app.use(cookieParser());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
-sql.mysql_connect(process.env.DB_UPSTREAM, utils.config.SQL_USER, utils.config.SQL_PASSWORD, utils.config.SQL_DATABASE);
+
+/**
+ * Error thrown when a request's parameters can't be read. The request gets status 400 (Bad Request).
+ */
+class BadRequestError extends Error {}
+
+/**
+ * Read a query parameter that has to be a whole number.
+ * @param {express.Request} req
+ * @param {string} key
+ * @param {number} fallback Value to use if the parameter is missing.
+ * @param {number} min Smallest allowed value.
+ * @returns {number}
+ */
+function query_integer(req, key, fallback, min=-Infinity) {
+  if (req.query[key] === undefined || req.query[key] === "") return fallback;
+  let value = Number(req.query[key]);
+  if (!Number.isInteger(value) || value < min) throw new BadRequestError(`Query parameter ${key} must be a whole number of at least ${min}.`);
+  return value;
+}
 
 /**
  * @param {(username:string,req:express.Request,res:express.Response,)=>} authenticated
  * @param {(req:express.Request,res:express.Response)=>} denied
  * @param {string[]} body_params List of required body parameters.
+ * @param {api_tokens.tokenScopeEnum} scope Scope an API token needs to make this request, or null for `read` on GET requests and `admin` on anything else.
  * @returns {(req:express.Request,res:express.Response)=>Promise} Calls `authenticated` if user is authenticated, `denied` otherwise.
  */
-function generic_auth_func(authenticated, denied=default_deny, body_params=[]) {
+function generic_auth_func(authenticated, denied=default_deny, body_params=[], scope=null) {
   return async (req, res) => {
     try {
-      let [auth, username] = await sql.authenticate(req, "diplomacy");
+      let required = scope || (req.method == "GET" ? api_tokens.tokenScopeEnum.Read : api_tokens.tokenScopeEnum.Admin);
+      let [auth, username] = await api_tokens.authenticate(utils.storage, req, "diplomacy", required);
       for (let param of body_params) {
         if (!Object.keys(req.body).includes(param)) {
           throw Error(`Missing required POST param ${param}.`);
@@ -35,26 +64,36 @@ function generic_auth_func(authenticated, denied=default_deny, body_params=[]) {
       }
     } catch (error) {
       console.error(error);
-      res.status(500).send({error: error.message});
+      let status = error instanceof utils.ConflictError ? 409 : error instanceof BadRequestError ? 400 : 500;
+      res.status(status).send({error: error.message});
     }
   };
 }
 
+/**
+ * Number of times a request is retried when another request saves the same game first.
+ */
+const maxConflictRetries = 3;
+
 /**
  * Same as `generic_auth_func` but also makes sure user has permission to view/edit this particular game and passes the ServerGameData object to `authenticated`
+ * If saving the game fails because another request saved it first, the game is reloaded and `authenticated` is called again, so it must save before sending a response.
  * @param {(username:string,gameData:utils.ServerGameData,req:express.Request,res:express.Response)=>} authenticated 
  * @param {(req:express.Request,res:express.Response)=>} denied 
  * @returns {(req:express.Request,res:express.Response)=>Promise}
  */
-function generic_game_auth_func(authenticated, denied=default_deny, body_params=[]) {
+function generic_game_auth_func(authenticated, denied=default_deny, body_params=[], scope=null) {
   return generic_auth_func(async (username, req, res) => {
-    let gameData = await utils.gamedata_from_id(req.params.id);
-    if (gameData.users.includes(username)) {
-      await authenticated(username, gameData, req, res);
-    } else {
-      await denied(req, res);
+    for (let attempt = 0; ; attempt++) {
+      let gameData = await utils.gamedata_from_id(req.params.id);
+      if (!gameData.users.includes(username)) return await denied(req, res);
+      try {
+        return await authenticated(username, gameData, req, res);
+      } catch (error) {
+        if (!(error instanceof utils.ConflictError) || attempt >= maxConflictRetries || res.headersSent) throw error;
+      }
     }
-  }, denied, body_params);
+  }, denied, body_params, scope);
 }
 
 /**
@@ -110,54 +149,171 @@ app.get("/games", generic_auth_func(async (username, req, res) => {
 }));
 
 app.get("/games/list", generic_auth_func(async (username, req, res) => {
-  res.send((await utils.get_game_list(username)).map((gameData) => gameData.id));
+  res.send(await utils.get_game_ids(username));
 }));
 
 app.get("/games/list-details", generic_auth_func(async (username, req, res) => {
-  let arr = [];
-  for await (let details of (await utils.get_game_list(username)).map(async (gameData) => gameData.get_game_overview())) {
-    arr.push(details);
-  }
-  res.send(arr);
+  res.send(await utils.get_game_overviews(username));
 }));
 
 app.post("/games/new", generic_auth_func(async (username, req, res) => {
-  let gameData = await utils.new_game(username, req.body.name, req.body.map, req.body.users.split(","));
-  gameData.save();
+  let deadlines = {};
+  for (let key of ["movement", "retreat", "adjustment"]) {
+    if (req.body[`${key}Deadline`]) deadlines[key] = Number(req.body[`${key}Deadline`]);
+  }
+  let gameData = await utils.new_game(username, req.body.name, req.body.map, req.body.users.split(","), true, true, {
+    deadlines: deadlines,
+    pressType: req.body.press,
+    anonymous: req.body.anonymous == "true",
+    fogOfWar: req.body.fogOfWar == "true",
+    rules: adjudicator.rules_from_strings(req.body.rules ? req.body.rules.split(",") : []),
+    bots: req.body.bots ? Object.fromEntries(req.body.bots.split(",").map(bot => bot.split("="))) : {}
+  });
+  await gameData.save();
   res.send(gameData.id.toString());
 }, default_deny, ["name", "map", "users"]));
 
+app.post("/games/import", generic_auth_func(async (username, req, res) => {
+  // The body is either the record itself or an object with the record and the players to use
+  let record = req.body.record || req.body;
+  let gameData = await utils.import_game(username, record, req.body.record ? req.body.players || {} : {});
+  await gameData.save();
+  res.send(gameData.id.toString());
+}));
+
 app.get("/games/:id", generic_auth_func(async (username, req, res) => {
   res.redirect(`/games/${req.params.id}/view`);
 }));
 
 app.get("/games/:id/view", generic_game_auth_func(async (username, gameData, req, res) => {
+  let etag = `"${gameData.version}"`;
+  // The view depends on who is asking, so shared caches must not hand it to anyone else
+  res.set({ "ETag": etag, "Cache-Control": "private", "Vary": "Cookie, Authorization" });
+  if (req.get("If-None-Match") == etag) return res.status(304).end();
   res.send(gameData.sanitized(username));
 }));
 
+app.get("/games/:id/events", generic_game_auth_func(async (username, gameData, req, res) => {
+  events.subscribe(gameData.id, username, req, res);
+}));
+
+app.post("/games/:id/webhooks", generic_game_auth_func(async (username, gameData, req, res) => {
+  res.send(await webhooks.register_webhook(utils.storage, username, gameData.id, req.body.url, req.body.events ? req.body.events.split(",") : [], webhooks.allowed_hosts(utils.config)));
+}, default_deny, ["url"]));
+
 app.post("/games/:id/delete", generic_game_auth_func(async (username, gameData, req, res) => {
-  gameData.archive();
+  await gameData.archive();
   res.send("true");
 }));
 
 app.post("/games/:id/claim-country", generic_game_auth_func(async (username, gameData, req, res) => {
   gameData.claim_country(username, req.body.country);
-  gameData.save();
+  await gameData.save();
+  res.send("true");
+}, default_deny, ["country"]));
+
+app.post("/games/:id/assign-bot", generic_game_auth_func(async (username, gameData, req, res) => {
+  gameData.assign_bot(username, req.body.country, req.body.strength || bots.botStrengthEnum.Heuristic);
+  await gameData.save();
   res.send("true");
 }, default_deny, ["country"]));
 
+app.post("/games/:id/propose-draw", generic_game_auth_func(async (username, gameData, req, res) => {
+  gameData.propose_draw(username, req.body.countries ? req.body.countries.split(",") : []);
+  await gameData.save();
+  res.send("true");
+}));
+
+app.post("/games/:id/vote-draw", generic_game_auth_func(async (username, gameData, req, res) => {
+  gameData.vote_draw(username, req.body.accept == "true");
+  await gameData.save();
+  res.send("true");
+}, default_deny, ["accept"]));
+
+app.get("/games/:id/press", generic_game_auth_func(async (username, gameData, req, res) => {
+  let before = query_integer(req, "before", -1);
+  // get_press caps the limit at maxPressPageSize
+  let limit = query_integer(req, "limit", undefined, 1);
+  res.send(gameData.get_press(username, before, limit));
+}));
+
+app.post("/games/:id/press/send", generic_game_auth_func(async (username, gameData, req, res) => {
+  let message = gameData.send_press(username, req.body.from, req.body.to ? req.body.to.split(",") : [], req.body.text);
+  await gameData.save();
+  res.send(message);
+}, default_deny, ["from", "text"]));
+
 app.post("/games/:id/submit-orders", generic_game_auth_func(async (username, gameData, req, res) => {
-  for (let order of req.body) gameData.submit_order(username, shared.import_order(order));
-  gameData.save();
+  let orders = Array.isArray(req.body) ? req.body : req.body.orders;
+  let result = gameData.submit_orders(username, orders.map(order => shared.import_order(order)), String(req.body.replace) == "true");
+  if (result.success) await gameData.save();
+  res.send(result);
+}, default_deny, [], api_tokens.tokenScopeEnum.Submit));
+
+app.post("/games/:id/submit-text-orders", generic_game_auth_func(async (username, gameData, req, res) => {
+  let result = gameData.submit_text_orders(username, req.body.orders, req.body.replace == "true");
+  if (result.success) await gameData.save();
+  res.send(result);
+}, default_deny, ["orders"], api_tokens.tokenScopeEnum.Submit));
+
+app.post("/games/:id/ready", generic_game_auth_func(async (username, gameData, req, res) => {
+  gameData.set_ready(username, req.body.ready == "true", req.body.countries ? req.body.countries.split(",") : []);
+  gameData.try_advance();
+  await gameData.save();
   res.send("true");
+}, default_deny, ["ready"], api_tokens.tokenScopeEnum.Submit));
+
+app.post("/games/:id/what-if", generic_game_auth_func(async (username, gameData, req, res) => {
+  res.send(gameData.what_if(username, req.body.map(order => shared.import_order(order))));
+}, default_deny, [], api_tokens.tokenScopeEnum.Read));
+
+app.get("/games/:id/export", generic_game_auth_func(async (username, gameData, req, res) => {
+  let record = records.export_record(gameData, username);
+  if (req.query.format == "text") {
+    res.type("text/plain").send(records.format_transcript(gameData, record));
+  } else {
+    res.send(record);
+  }
+}));
+
+app.get("/games/:id/trace/:turn", generic_game_auth_func(async (username, gameData, req, res) => {
+  res.send(gameData.get_trace(username, Number(req.params.turn)));
 }));
 
 app.get("/games/:id/valid-orders/:province", generic_game_auth_func(async (username, gameData, req, res) => {
-  res.send(gameData.get_valid_orders(gameData.get_unit(req.params.province)).map(order => order.export()));
+  // Provinces hidden by fog of war are answered as if they were empty
+  let unit = gameData.hidden_from(username, req.params.province) ? null : gameData.get_unit(req.params.province);
+  res.send(unit ? gameData.get_valid_orders(unit).map(order => order.export()) : []);
+}));
+
+app.get("/webhooks", generic_auth_func(async (username, req, res) => {
+  res.send((await utils.storage.list_webhooks(username)).map(webhook => ({ id: webhook.id, game: webhook.game, url: webhook.url, events: webhook.events })));
+}));
+
+app.post("/webhooks/new", generic_auth_func(async (username, req, res) => {
+  res.send(await webhooks.register_webhook(utils.storage, username, null, req.body.url, req.body.events ? req.body.events.split(",") : [], webhooks.allowed_hosts(utils.config)));
+}, default_deny, ["url"]));
+
+app.post("/webhooks/:webhook/delete", generic_auth_func(async (username, req, res) => {
+  if (!(await utils.storage.delete_webhook(Number(req.params.webhook), username))) throw Error(`No webhook found with ID ${req.params.webhook}.`);
+  res.send("true");
+}));
+
+app.get("/tokens", generic_auth_func(async (username, req, res) => {
+  res.send(await utils.storage.list_api_tokens(username));
+}, default_deny, [], api_tokens.tokenScopeEnum.Admin));
+
+app.post("/tokens/new", generic_auth_func(async (username, req, res) => {
+  res.send(await api_tokens.create_token(utils.storage, username, req.body.name, req.body.scope, req.body.game ? Number(req.body.game) : null));
+}, default_deny, ["scope"]));
+
+app.post("/tokens/:token/revoke", generic_auth_func(async (username, req, res) => {
+  if (!(await utils.storage.revoke_api_token(Number(req.params.token), username))) throw Error(`No API token found with ID ${req.params.token}.`);
+  res.send("true");
 }));
 
 app.get("/users/:username", generic_auth_func(async (username, req, res) => {
-  res.send(await sql.user_data(req.params.username));
+  res.send(await utils.storage.user_data(req.params.username));
 }));
 
 app.get("/tests/run/:test(*)", generic_auth_func(async (username, req, res) => {
@@ -192,4 +348,14 @@ app.get("/tests/list", generic_auth_func(async (username, req, res) => {
   res.send(await utils.get_test_list());
 }));
 
-app.listen(process.env.SERVER_PORT, () => { console.log(`Listening on port ${process.env.SERVER_PORT}`); });
\ No newline at end of file
+utils.storage.connect().then(async () => {
+  if (utils.config.MIGRATE_ON_STARTUP == "true") await migrations.migrate();
+
+  app.listen(process.env.SERVER_PORT, () => { console.log(`Listening on port ${process.env.SERVER_PORT}`); });
+
+  scheduler.start_scheduler();
+
+  if (utils.config.DAIDE_PORT && utils.config.DAIDE_GAME) {
+    daide_server.start_daide_server(Number(utils.config.DAIDE_GAME), Number(utils.config.DAIDE_PORT)).catch(console.error);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,1024 @@
+const sql = require("./bankbook-server-utils/sql-utils.js");
+const fs = require("fs").promises;
+const path = require("path");
+const util = require("util");
+
+/**
+ * Enum for the kinds of storage backends that can be selected with `STORAGE` in ./config.
+ * @readonly
+ * @enum {string}
+ */
+const storageTypeEnum = {
+  /** The Bankbook MySQL database. */
+  MySQL: "mysql",
+  /** A directory of JSON files, for running without a database. */
+  File: "file"
+}
+
+/**
+ * A game as it is stored, with plain objects in place of orders.
+ * @typedef {Object} StoredGame
+ * @property {Object} game Every key in `storedGameKeys`.
+ * @property {number} version Number of times the game has been saved.
+ */
+
+/**
+ * The parts of a game needed to list it without loading its history.
+ * @typedef {Object} GameSummary
+ * @property {number} id
+ * @property {string} name
+ * @property {string} map
+ * @property {string[]} users
+ * @property {string} phase
+ * @property {boolean} anonymous
+ * @property {number} won
+ * @property {string} winner
+ * @property {Object} state The last entry in the game's history.
+ */
+
+/**
+ * A URL that game events are POSTed to.
+ * @typedef {Object} Webhook
+ * @property {number} id
+ * @property {string} username User who registered the webhook. Payloads only contain what this user can see.
+ * @property {number} game ID of the game the webhook is for, or null for every game the user plays.
+ * @property {string} url
+ * @property {string} secret Key used to sign payloads.
+ * @property {string[]} events Event types to send, or empty for all of them.
+ */
+
+/**
+ * A payload waiting to be delivered to a webhook.
+ * @typedef {Object} WebhookDelivery
+ * @property {number} id
+ * @property {Webhook} webhook
+ * @property {string} payload
+ * @property {number} attempts Number of failed attempts so far.
+ */
+
+/**
+ * Enum for the states of a webhook delivery.
+ * @readonly
+ * @enum {string}
+ */
+const deliveryStatusEnum = {
+  Pending: "pending",
+  Delivered: "delivered",
+  /** Every attempt failed, so delivery was abandoned. */
+  Failed: "failed"
+}
+
+/**
+ * A user's profile as returned by `user_data`.
+ * @typedef {Object} UserData
+ * @property {string} username
+ * @property {string} firstname
+ * @property {string} lastname
+ * @property {string} type
+ * @property {string} email
+ */
+
+/**
+ * Keys of a game that are stored in their own columns or tables by `MysqlStorage` rather than in `settings`.
+ */
+const normalizedGameKeys = ["id", "name", "map", "phase", "deadline", "users", "players", "history"];
+
+/**
+ * Number of turns at the end of a game's history that can still change, since retreats and adjustments are stored on the turn before the current one.
+ */
+const mutableTurns = 2;
+
+/**
+ * Get a summary of a game.
+ * @param {Object} game
+ * @returns {GameSummary}
+ */
+function summarize_game(game) {
+  return {
+    id: game.id,
+    name: game.name,
+    map: game.map,
+    users: game.users,
+    phase: game.phase,
+    anonymous: !!game.anonymous,
+    won: game.won,
+    winner: game.winner,
+    state: game.history[game.history.length - 1]
+  };
+}
+
+/**
+ * Storage backed by the Bankbook MySQL database, with each game split into these tables:
+ *  - `diplomacy_games` has a row per game with the rest of its data in `settings`.
+ *  - `diplomacy_game_players` has a row per user and country. `seat` is the user's index in `users`, or null for countries no user controls.
+ *  - `diplomacy_turns` has a row per entry in `history`, without its orders.
+ *  - `diplomacy_orders` has a row per order.
+ */
+class MysqlStorage {
+  /**
+   * @param {Object.<string,string>} config
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Connect to the database. Must be called before anything else.
+   */
+  async connect() {
+    sql.mysql_connect(process.env.DB_UPSTREAM, this.config.SQL_USER, this.config.SQL_PASSWORD, this.config.SQL_DATABASE);
+  }
+
+  /**
+   * Run `task` in a transaction, which is rolled back if `task` throws.
+   * @template T
+   * @param {(query:(sql:string,values?:any)=>Promise<any>)=>Promise<T>} task Gets a query function that runs inside the transaction.
+   * @returns {Promise<T>}
+   */
+  async transaction(task) {
+    let connection = await util.promisify(sql.pool.getConnection).bind(sql.pool)();
+    let query = util.promisify(connection.query).bind(connection);
+    try {
+      await query("START TRANSACTION");
+      let result = await task(query);
+      await query("COMMIT");
+      return result;
+    } catch (error) {
+      await query("ROLLBACK");
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get the `WHERE` clause and its values that select the games that haven't been archived.
+   * @param {string} username Only select games involving this user, or empty for every game.
+   * @returns {{where:string,values:any[]}}
+   */
+  unarchived_filter(username) {
+    return username
+      ? { where: "g.archived=FALSE AND g.id IN (SELECT game_id FROM diplomacy_game_players WHERE username=?)", values: [username] }
+      : { where: "g.archived=FALSE", values: [] };
+  }
+
+  /**
+   * Get every game that hasn't been archived. Each table is read once for all the games together.
+   * @param {string} username Only get games involving this user, or empty for every game.
+   * @returns {Promise<StoredGame[]>}
+   */
+  async list_games(username="") {
+    let filter = this.unarchived_filter(username);
+    return await this.transaction(async query => await this.read_games(query, filter.where, filter.values));
+  }
+
+  /**
+   * Get the ID's of every game that hasn't been archived.
+   * @param {string} username Only get games involving this user, or empty for every game.
+   * @returns {Promise<number[]>}
+   */
+  async list_game_ids(username="") {
+    let filter = this.unarchived_filter(username);
+    return (await sql.query(`SELECT g.id FROM diplomacy_games g WHERE ${filter.where}`, filter.values)).map(row => row.id);
+  }
+
+  /**
+   * Get a summary of every game that hasn't been archived. Only the last turn of each game is loaded.
+   * @param {string} username Only get games involving this user, or empty for every game.
+   * @returns {Promise<GameSummary[]>}
+   */
+  async list_game_summaries(username="") {
+    let filter = this.unarchived_filter(username);
+    let rows = await sql.query(
+      "SELECT g.id, g.name, g.map, g.phase, g.settings, t.json AS state, p.username, p.seat FROM diplomacy_games g"
+      + " JOIN diplomacy_turns t ON t.game_id=g.id AND t.turn=(SELECT MAX(turn) FROM diplomacy_turns WHERE game_id=g.id)"
+      + " LEFT JOIN diplomacy_game_players p ON p.game_id=g.id AND p.seat IS NOT NULL"
+      + ` WHERE ${filter.where} ORDER BY g.id, p.seat`, filter.values);
+
+    // There is a row per seated player, or a single row with a null username for a game without any
+    let summaries = new Map();
+    for (let row of rows) {
+      if (!summaries.has(row.id)) {
+        let settings = JSON.parse(row.settings);
+        summaries.set(row.id, {
+          id: row.id,
+          name: row.name,
+          map: row.map,
+          users: [],
+          phase: row.phase,
+          anonymous: !!settings.anonymous,
+          won: settings.won,
+          winner: settings.winner,
+          state: JSON.parse(row.state)
+        });
+      }
+      let users = summaries.get(row.id).users;
+      if (row.username !== null && !users.includes(row.username)) users.push(row.username);
+    }
+    return [...summaries.values()];
+  }
+
+  /**
+   * Get the ID's of the games that haven't been archived and whose current phase's deadline has passed.
+   * @param {number} now Timestamp in milliseconds.
+   * @returns {Promise<number[]>}
+   */
+  async list_overdue_game_ids(now) {
+    return (await sql.query("SELECT id FROM diplomacy_games WHERE archived=FALSE AND deadline>0 AND deadline<=?", [now])).map(row => row.id);
+  }
+
+  /**
+   * Get a game by ID, or null if there is no such game.
+   * The whole history is read, since a game's view, its record, and fog of war all need every turn. What the separate tables save is
+   * everywhere else: lists only read each game's last turn, saves only rewrite the last `mutableTurns` turns and their orders,
+   * and the scheduler finds overdue games from the `deadline` column.
+   * Everything is read in one transaction, so a game being saved at the same time is seen either before or after the save.
+   * @param {number} id
+   * @returns {Promise<StoredGame>}
+   */
+  async load_game(id) {
+    let games = await this.transaction(async query => await this.read_games(query, "g.id=?", [id]));
+    return games.length > 0 ? games[0] : null;
+  }
+
+  /**
+   * Read whole games, with one query per table however many games there are.
+   * @param {(sql:string,values?:any)=>Promise<any>} query Query function of the transaction to read in.
+   * @param {string} where `WHERE` clause selecting rows of `diplomacy_games g`.
+   * @param {any[]} values Values of the placeholders in `where`.
+   * @returns {Promise<StoredGame[]>}
+   */
+  async read_games(query, where, values) {
+    let rows = await query(`SELECT g.id, g.name, g.map, g.phase, g.deadline, g.settings, g.version FROM diplomacy_games g WHERE ${where}`, values);
+    if (rows.length == 0) return [];
+    let ids = rows.map(row => row.id);
+
+    let games = new Map();
+    for (let row of rows) {
+      let game = JSON.parse(row.settings);
+      game.id = row.id;
+      game.name = row.name;
+      game.map = row.map;
+      game.phase = row.phase;
+      game.deadline = Number(row.deadline);
+      game.users = [];
+      game.players = {};
+      game.history = [];
+      games.set(row.id, game);
+    }
+
+    for (let player of await query("SELECT game_id, username, country, seat FROM diplomacy_game_players WHERE game_id IN (?) ORDER BY seat", [ids])) {
+      let game = games.get(player.game_id);
+      if (player.seat !== null && !game.users.includes(player.username)) game.users.push(player.username);
+      if (player.country !== null) game.players[player.country] = player.username;
+    }
+    for (let turn of await query("SELECT game_id, json FROM diplomacy_turns WHERE game_id IN (?) ORDER BY game_id, turn", [ids])) {
+      games.get(turn.game_id).history.push(JSON.parse(turn.json));
+    }
+    for (let order of await query("SELECT game_id, turn, country, province, json FROM diplomacy_orders WHERE game_id IN (?)", [ids])) {
+      games.get(order.game_id).history[order.turn].orders[order.country][order.province] = JSON.parse(order.json);
+    }
+
+    return rows.map(row => ({ game: games.get(row.id), version: row.version }));
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async game_exists(id) {
+    return (await sql.query("SELECT id FROM diplomacy_games WHERE id=?", id)).length > 0;
+  }
+
+  /**
+   * Get the values of the columns of a game's row in `diplomacy_games` other than `id`.
+   * @param {Object} game
+   * @returns {{name:string,map:string,phase:string,deadline:number,settings:string}}
+   */
+  game_columns(game) {
+    let settings = {};
+    for (let key in game) {
+      if (!normalizedGameKeys.includes(key)) settings[key] = game[key];
+    }
+    return { name: game.name, map: game.map, phase: game.phase, deadline: game.deadline || 0, settings: JSON.stringify(settings) };
+  }
+
+  /**
+   * Replace a game's players, and the turns and orders that could have changed since it was last written.
+   * @param {(sql:string,values?:any)=>Promise<any>} query Query function of the transaction to write in.
+   * @param {Object} game
+   */
+  async write_game_rows(query, game) {
+    await query("DELETE FROM diplomacy_game_players WHERE game_id=?", [game.id]);
+    let players = [];
+    game.users.forEach((username, seat) => {
+      let countries = Object.keys(game.players).filter(c => game.players[c] == username);
+      if (countries.length == 0) players.push([game.id, username, null, seat]);
+      for (let country of countries) players.push([game.id, username, country, seat]);
+    });
+    for (let country in game.players) {
+      if (!game.users.includes(game.players[country])) players.push([game.id, game.players[country], country, null]);
+    }
+    if (players.length > 0) await query("INSERT INTO diplomacy_game_players (game_id, username, country, seat) VALUES ?", [players]);
+
+    // Earlier turns never change, so only the last few are rewritten
+    let stored = (await query("SELECT COUNT(*) AS count FROM diplomacy_turns WHERE game_id=?", [game.id]))[0].count;
+    let from = Math.max(0, Math.min(stored, game.history.length) - mutableTurns);
+    await query("DELETE FROM diplomacy_turns WHERE game_id=? AND turn>=?", [game.id, from]);
+    await query("DELETE FROM diplomacy_orders WHERE game_id=? AND turn>=?", [game.id, from]);
+
+    let turns = [];
+    let orders = [];
+    for (let turn = from; turn < game.history.length; turn++) {
+      let state = Object.assign({}, game.history[turn]);
+      if (state.orders) {
+        for (let country in state.orders) {
+          for (let province in state.orders[country]) orders.push([game.id, turn, country, province, JSON.stringify(state.orders[country][province])]);
+        }
+        // Keep which countries had orders so that loading can put them back
+        state.orders = Object.fromEntries(Object.keys(state.orders).map(c => [c, {}]));
+      }
+      turns.push([game.id, turn, JSON.stringify(state)]);
+    }
+    if (turns.length > 0) await query("INSERT INTO diplomacy_turns (game_id, turn, json) VALUES ?", [turns]);
+    if (orders.length > 0) await query("INSERT INTO diplomacy_orders (game_id, turn, country, province, json) VALUES ?", [orders]);
+  }
+
+  /**
+   * Store a new game.
+   * @param {Object} game
+   * @param {number} version
+   * @returns {Promise<boolean>} Whether the game was stored, which it isn't if a game with the same ID already exists.
+   */
+  async insert_game(game, version) {
+    let columns = this.game_columns(game);
+    try {
+      await this.transaction(async query => {
+        await query("INSERT INTO diplomacy_games (id, name, map, phase, deadline, settings, version) VALUES (?, ?, ?, ?, ?, ?, ?)",
+          [game.id, columns.name, columns.map, columns.phase, columns.deadline, columns.settings, version]);
+        await this.write_game_rows(query, game);
+      });
+      return true;
+    } catch (error) {
+      // The primary key rejects the game even if another request inserted the same ID a moment ago
+      if (error.code == "ER_DUP_ENTRY") return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Overwrite a game, but only if its stored version is still `version`.
+   * @param {Object} game
+   * @param {number} version Version the game was loaded with.
+   * @returns {Promise<boolean>} Whether the game was overwritten.
+   */
+  async update_game(game, version) {
+    let columns = this.game_columns(game);
+    return await this.transaction(async query => {
+      let result = await query("UPDATE diplomacy_games SET name=?, map=?, phase=?, deadline=?, settings=?, version=version+1 WHERE id=? AND version=?",
+        [columns.name, columns.map, columns.phase, columns.deadline, columns.settings, game.id, version]);
+      if (result.affectedRows == 0) return false;
+      await this.write_game_rows(query, game);
+      return true;
+    });
+  }
+
+  /**
+   * Tag a game as archived so that it no longer gets listed.
+   * @param {number} id
+   */
+  async archive_game(id) {
+    await sql.query("UPDATE diplomacy_games SET archived=TRUE WHERE id=?", [id]);
+  }
+
+  /**
+   * @param {Object} row Row of `diplomacy_webhooks`.
+   * @returns {Webhook}
+   */
+  webhook_from_row(row) {
+    return { id: row.id, username: row.username, game: row.game_id, url: row.url, secret: row.secret, events: row.events ? row.events.split(",") : [] };
+  }
+
+  /**
+   * Register a webhook.
+   * @param {Webhook} webhook Everything but `id`.
+   * @returns {Promise<number>} ID of the new webhook.
+   */
+  async add_webhook(webhook) {
+    let result = await sql.query("INSERT INTO diplomacy_webhooks (username, game_id, url, secret, events) VALUES (?, ?, ?, ?, ?)",
+      [webhook.username, webhook.game, webhook.url, webhook.secret, webhook.events.join(",")]);
+    return result.insertId;
+  }
+
+  /**
+   * Get the webhooks a user has registered.
+   * @param {string} username
+   * @returns {Promise<Webhook[]>}
+   */
+  async list_webhooks(username) {
+    return (await sql.query("SELECT * FROM diplomacy_webhooks WHERE username=? ORDER BY id", [username])).map(row => this.webhook_from_row(row));
+  }
+
+  /**
+   * Remove a webhook and any deliveries to it that are still pending.
+   * @param {number} id
+   * @param {string} username User who registered the webhook.
+   * @returns {Promise<boolean>} Whether the webhook existed.
+   */
+  async delete_webhook(id, username) {
+    let result = await sql.query("DELETE FROM diplomacy_webhooks WHERE id=? AND username=?", [id, username]);
+    if (result.affectedRows == 0) return false;
+    await sql.query("DELETE FROM diplomacy_webhook_deliveries WHERE webhook_id=? AND status=?", [id, deliveryStatusEnum.Pending]);
+    return true;
+  }
+
+  /**
+   * Get the webhooks that should hear about a game: those registered for the game and those its users registered for all their games.
+   * @param {number} id ID of the game.
+   * @param {string[]} usernames The game's users.
+   * @returns {Promise<Webhook[]>}
+   */
+  async webhooks_for_game(id, usernames) {
+    let rows = await sql.query("SELECT * FROM diplomacy_webhooks WHERE game_id=? OR (game_id IS NULL AND username IN (?))", [id, usernames.length > 0 ? usernames : [""]]);
+    return rows.map(row => this.webhook_from_row(row));
+  }
+
+  /**
+   * Add payloads to the delivery queue.
+   * @param {{webhook:number,payload:string}[]} deliveries
+   * @param {number} now Time to first attempt the deliveries at.
+   */
+  async enqueue_deliveries(deliveries, now) {
+    if (deliveries.length == 0) return;
+    await sql.query("INSERT INTO diplomacy_webhook_deliveries (webhook_id, payload, attempts, next_attempt, status) VALUES ?",
+      [deliveries.map(d => [d.webhook, d.payload, 0, now, deliveryStatusEnum.Pending])]);
+  }
+
+  /**
+   * Get the pending deliveries whose next attempt is due, oldest first.
+   * @param {number} now
+   * @param {number} limit
+   * @returns {Promise<WebhookDelivery[]>}
+   */
+  async due_deliveries(now, limit) {
+    let rows = await sql.query(
+      "SELECT d.id AS delivery_id, d.payload, d.attempts, w.* FROM diplomacy_webhook_deliveries d JOIN diplomacy_webhooks w ON w.id=d.webhook_id"
+      + " WHERE d.status=? AND d.next_attempt<=? ORDER BY d.id LIMIT ?", [deliveryStatusEnum.Pending, now, limit]);
+    return rows.map(row => ({ id: row.delivery_id, webhook: this.webhook_from_row(row), payload: row.payload, attempts: row.attempts }));
+  }
+
+  /**
+   * Record the outcome of an attempt to deliver a payload.
+   * @param {number} id
+   * @param {deliveryStatusEnum} status
+   * @param {number} attempts
+   * @param {number} nextAttempt
+   * @param {string} error Why the last attempt failed, or empty.
+   */
+  async update_delivery(id, status, attempts, nextAttempt, error="") {
+    await sql.query("UPDATE diplomacy_webhook_deliveries SET status=?, attempts=?, next_attempt=?, last_error=? WHERE id=?", [status, attempts, nextAttempt, error || null, id]);
+  }
+
+  /**
+   * @param {Object} row Row of `diplomacy_api_tokens`.
+   * @returns {Object} See `ApiToken` in api-tokens.js.
+   */
+  api_token_from_row(row) {
+    return { id: row.id, username: row.username, name: row.name, scope: row.scope, game: row.game_id, createdAt: row.created_at, lastUsed: row.last_used };
+  }
+
+  /**
+   * Store a new API token.
+   * @param {Object} token See `ApiToken` in api-tokens.js, plus `hash`, without `id`.
+   * @returns {Promise<number>} ID of the new token.
+   */
+  async add_api_token(token) {
+    let result = await sql.query("INSERT INTO diplomacy_api_tokens (username, hash, name, scope, game_id, created_at, last_used) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [token.username, token.hash, token.name, token.scope, token.game, token.createdAt, token.lastUsed]);
+    return result.insertId;
+  }
+
+  /**
+   * Get a user's API tokens.
+   * @param {string} username
+   * @returns {Promise<Object[]>} See `ApiToken` in api-tokens.js.
+   */
+  async list_api_tokens(username) {
+    return (await sql.query("SELECT * FROM diplomacy_api_tokens WHERE username=? ORDER BY id", [username])).map(row => this.api_token_from_row(row));
+  }
+
+  /**
+   * Get the API token with a hash, or null if there isn't one.
+   * @param {string} hash
+   * @returns {Promise<Object>} See `ApiToken` in api-tokens.js.
+   */
+  async find_api_token(hash) {
+    let rows = await sql.query("SELECT * FROM diplomacy_api_tokens WHERE hash=?", [hash]);
+    return rows.length > 0 ? this.api_token_from_row(rows[0]) : null;
+  }
+
+  /**
+   * Record that an API token was used.
+   * @param {number} id
+   * @param {number} now
+   */
+  async touch_api_token(id, now) {
+    await sql.query("UPDATE diplomacy_api_tokens SET last_used=? WHERE id=?", [now, id]);
+  }
+
+  /**
+   * Delete an API token so that it can't be used anymore.
+   * @param {number} id
+   * @param {string} username User the token belongs to.
+   * @returns {Promise<boolean>} Whether the token existed.
+   */
+  async revoke_api_token(id, username) {
+    return (await sql.query("DELETE FROM diplomacy_api_tokens WHERE id=? AND username=?", [id, username])).affectedRows > 0;
+  }
+
+  /**
+   * @param {express.Request} req Request object with auth_token cookie.
+   * @param {string} app String ID of app to check permissions or empty for no permission checking.
+   * @returns {Promise<[boolean, string?]>} Whether the user is authenticated and the username or reason for not being authenticated.
+   */
+  async authenticate(req, app="") {
+    return await sql.authenticate(req, app);
+  }
+
+  /**
+   * @param {string} username
+   * @param {string} app
+   * @returns {Promise<boolean>}
+   */
+  async user_app_permission(username, app) {
+    return await sql.user_app_permission(username, app);
+  }
+
+  /**
+   * @param {string} username
+   * @returns {Promise<UserData>}
+   */
+  async user_data(username) {
+    return await sql.user_data(username);
+  }
+}
+
+/**
+ * Storage in a directory of JSON files:
+ *  - `games/<id>.json` holds each game as `{json, version, archived, deadline}`, with `deadline` copied out of the game so that overdue games can be found without parsing every game.
+ *  - `users.json` maps usernames to `{firstname, lastname, type, email, apps, tokens}`, where `apps` lists the apps the user can use and `tokens` lists their auth tokens.
+ *  - `webhooks.json`, `deliveries.json` and `api-tokens.json` hold webhooks, their pending deliveries, and API tokens as `{nextId, records}`.
+ *
+ * Writes are serialized within the process, so only one server should use a directory at a time.
+ */
+class FileStorage {
+  /**
+   * @param {Object.<string,string>} config
+   */
+  constructor(config) {
+    /** @type {string} */
+    this.directory = config.STORAGE_PATH || "data";
+
+    /**
+     * Pending write for each game or records file, so that writes to the same file happen one after another.
+     * @type {Object.<number|string,Promise>}
+     */
+    this.locks = {};
+  }
+
+  /**
+   * Create the storage directory if it doesn't exist yet.
+   */
+  async connect() {
+    await fs.mkdir(path.join(this.directory, "games"), { recursive: true });
+  }
+
+  /**
+   * @param {number} id
+   * @returns {string}
+   */
+  game_path(id) {
+    return path.join(this.directory, "games", `${Number(id)}.json`);
+  }
+
+  /**
+   * Read a game's file, or get null if it doesn't exist.
+   * @param {number} id
+   * @returns {Promise<{json:string,version:number,archived:boolean,deadline:number}>}
+   */
+  async read_game(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.game_path(id)));
+    } catch (error) {
+      if (error.code == "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a game's file. The file is written next to the old one and renamed over it, so it's never left half written.
+   * @param {number} id
+   * @param {{json:string,version:number,archived:boolean,deadline:number}} game
+   */
+  async write_game(id, game) {
+    let temp = `${this.game_path(id)}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(game));
+    await fs.rename(temp, this.game_path(id));
+  }
+
+  /**
+   * Run `task` once every earlier task for the same game has finished.
+   * @template T
+   * @param {number} id
+   * @param {()=>Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  with_lock(id, task) {
+    let result = (this.locks[id] || Promise.resolve()).then(task);
+    this.locks[id] = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get every game that hasn't been archived.
+   * @param {string} username Only get games involving this user, or empty for every game.
+   * @returns {Promise<StoredGame[]>}
+   */
+  async list_games(username="") {
+    let list = [];
+    for (let filename of await fs.readdir(path.join(this.directory, "games"))) {
+      if (!filename.endsWith(".json")) continue;
+      let stored = await this.read_game(path.basename(filename, ".json"));
+      if (!stored || stored.archived) continue;
+      let game = JSON.parse(stored.json);
+      if (!username || game.users.includes(username)) list.push({ game: game, version: stored.version });
+    }
+    return list;
+  }
+
+  /**
+   * Get the ID's of every game that hasn't been archived.
+   * @param {string} username Only get games involving this user, or empty for every game.
+   * @returns {Promise<number[]>}
+   */
+  async list_game_ids(username="") {
+    return (await this.list_games(username)).map(stored => stored.game.id);
+  }
+
+  /**
+   * Get a summary of every game that hasn't been archived.
+   * @param {string} username Only get games involving this user, or empty for every game.
+   * @returns {Promise<GameSummary[]>}
+   */
+  async list_game_summaries(username="") {
+    return (await this.list_games(username)).map(stored => summarize_game(stored.game));
+  }
+
+  /**
+   * Get the ID's of the games that haven't been archived and whose current phase's deadline has passed.
+   * @param {number} now Timestamp in milliseconds.
+   * @returns {Promise<number[]>}
+   */
+  async list_overdue_game_ids(now) {
+    let ids = [];
+    for (let filename of await fs.readdir(path.join(this.directory, "games"))) {
+      if (!filename.endsWith(".json")) continue;
+      let stored = await this.read_game(path.basename(filename, ".json"));
+      if (!stored || stored.archived) continue;
+      // Files written before deadlines were copied out of the game only have them in the game itself
+      let deadline = stored.deadline === undefined ? JSON.parse(stored.json).deadline : stored.deadline;
+      if (deadline > 0 && deadline <= now) ids.push(Number(path.basename(filename, ".json")));
+    }
+    return ids;
+  }
+
+  /**
+   * Get a game by ID, or null if there is no such game.
+   * @param {number} id
+   * @returns {Promise<StoredGame>}
+   */
+  async load_game(id) {
+    let stored = await this.read_game(id);
+    return stored ? { game: JSON.parse(stored.json), version: stored.version } : null;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async game_exists(id) {
+    return !!(await this.read_game(id));
+  }
+
+  /**
+   * Store a new game.
+   * @param {Object} game
+   * @param {number} version
+   * @returns {Promise<boolean>} Whether the game was stored, which it isn't if a game with the same ID already exists.
+   */
+  async insert_game(game, version) {
+    return await this.with_lock(game.id, async () => {
+      let temp = `${this.game_path(game.id)}.tmp`;
+      await fs.writeFile(temp, JSON.stringify({ json: JSON.stringify(game), version: version, archived: false, deadline: game.deadline || 0 }));
+      try {
+        // Unlike renaming, linking fails if the file exists, so a game another process just created is never overwritten
+        await fs.link(temp, this.game_path(game.id));
+        return true;
+      } catch (error) {
+        if (error.code == "EEXIST") return false;
+        throw error;
+      } finally {
+        await fs.unlink(temp);
+      }
+    });
+  }
+
+  /**
+   * Overwrite a game, but only if its stored version is still `version`.
+   * @param {Object} game
+   * @param {number} version Version the game was loaded with.
+   * @returns {Promise<boolean>} Whether the game was overwritten.
+   */
+  async update_game(game, version) {
+    return await this.with_lock(game.id, async () => {
+      let stored = await this.read_game(game.id);
+      if (!stored || stored.version != version) return false;
+      await this.write_game(game.id, { json: JSON.stringify(game), version: version + 1, archived: stored.archived, deadline: game.deadline || 0 });
+      return true;
+    });
+  }
+
+  /**
+   * Tag a game as archived so that it no longer gets listed.
+   * @param {number} id
+   */
+  async archive_game(id) {
+    await this.with_lock(id, async () => {
+      let game = await this.read_game(id);
+      if (!game) throw Error(`No game found with ID ${id}.`);
+      game.archived = true;
+      await this.write_game(id, game);
+    });
+  }
+
+  /**
+   * Read one of the JSON files that hold a list of records, or get an empty list if it doesn't exist yet.
+   * @param {string} name File name without the extension.
+   * @returns {Promise<{nextId:number,records:Object[]}>}
+   */
+  async read_records(name) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.directory, `${name}.json`)));
+    } catch (error) {
+      if (error.code == "ENOENT") return { nextId: 1, records: [] };
+      throw error;
+    }
+  }
+
+  /**
+   * Read a list of records, let `task` change it, and write it back.
+   * @template T
+   * @param {string} name File name without the extension.
+   * @param {(file:{nextId:number,records:Object[]})=>T} task
+   * @returns {Promise<T>}
+   */
+  async update_records(name, task) {
+    return await this.with_lock(name, async () => {
+      let file = await this.read_records(name);
+      let result = task(file);
+      let target = path.join(this.directory, `${name}.json`);
+      await fs.writeFile(`${target}.tmp`, JSON.stringify(file));
+      await fs.rename(`${target}.tmp`, target);
+      return result;
+    });
+  }
+
+  /**
+   * Register a webhook.
+   * @param {Webhook} webhook Everything but `id`.
+   * @returns {Promise<number>} ID of the new webhook.
+   */
+  async add_webhook(webhook) {
+    return await this.update_records("webhooks", file => {
+      let id = file.nextId++;
+      file.records.push(Object.assign({ id: id }, webhook));
+      return id;
+    });
+  }
+
+  /**
+   * Get the webhooks a user has registered.
+   * @param {string} username
+   * @returns {Promise<Webhook[]>}
+   */
+  async list_webhooks(username) {
+    return (await this.read_records("webhooks")).records.filter(w => w.username == username);
+  }
+
+  /**
+   * Remove a webhook and any deliveries to it that are still pending.
+   * @param {number} id
+   * @param {string} username User who registered the webhook.
+   * @returns {Promise<boolean>} Whether the webhook existed.
+   */
+  async delete_webhook(id, username) {
+    let existed = await this.update_records("webhooks", file => {
+      let length = file.records.length;
+      file.records = file.records.filter(w => !(w.id == id && w.username == username));
+      return file.records.length < length;
+    });
+    if (existed) {
+      await this.update_records("deliveries", file => {
+        file.records = file.records.filter(d => d.webhook != id);
+      });
+    }
+    return existed;
+  }
+
+  /**
+   * Get the webhooks that should hear about a game: those registered for the game and those its users registered for all their games.
+   * @param {number} id ID of the game.
+   * @param {string[]} usernames The game's users.
+   * @returns {Promise<Webhook[]>}
+   */
+  async webhooks_for_game(id, usernames) {
+    return (await this.read_records("webhooks")).records.filter(w => w.game == id || (w.game === null && usernames.includes(w.username)));
+  }
+
+  /**
+   * Add payloads to the delivery queue.
+   * @param {{webhook:number,payload:string}[]} deliveries
+   * @param {number} now Time to first attempt the deliveries at.
+   */
+  async enqueue_deliveries(deliveries, now) {
+    if (deliveries.length == 0) return;
+    await this.update_records("deliveries", file => {
+      for (let delivery of deliveries) {
+        file.records.push({ id: file.nextId++, webhook: delivery.webhook, payload: delivery.payload, attempts: 0, nextAttempt: now, status: deliveryStatusEnum.Pending });
+      }
+    });
+  }
+
+  /**
+   * Get the pending deliveries whose next attempt is due, oldest first.
+   * @param {number} now
+   * @param {number} limit
+   * @returns {Promise<WebhookDelivery[]>}
+   */
+  async due_deliveries(now, limit) {
+    let webhooks = (await this.read_records("webhooks")).records;
+    return (await this.read_records("deliveries")).records
+      .filter(d => d.status == deliveryStatusEnum.Pending && d.nextAttempt <= now && webhooks.some(w => w.id == d.webhook))
+      .slice(0, limit)
+      .map(d => ({ id: d.id, webhook: webhooks.find(w => w.id == d.webhook), payload: d.payload, attempts: d.attempts }));
+  }
+
+  /**
+   * Record the outcome of an attempt to deliver a payload. Delivered payloads are removed so that the file doesn't keep growing.
+   * @param {number} id
+   * @param {deliveryStatusEnum} status
+   * @param {number} attempts
+   * @param {number} nextAttempt
+   * @param {string} error Why the last attempt failed, or empty.
+   */
+  async update_delivery(id, status, attempts, nextAttempt, error="") {
+    await this.update_records("deliveries", file => {
+      if (status == deliveryStatusEnum.Delivered) {
+        file.records = file.records.filter(d => d.id != id);
+        return;
+      }
+      let delivery = file.records.find(d => d.id == id);
+      if (delivery) Object.assign(delivery, { status: status, attempts: attempts, nextAttempt: nextAttempt, lastError: error });
+    });
+  }
+
+  /**
+   * Store a new API token.
+   * @param {Object} token See `ApiToken` in api-tokens.js, plus `hash`, without `id`.
+   * @returns {Promise<number>} ID of the new token.
+   */
+  async add_api_token(token) {
+    return await this.update_records("api-tokens", file => {
+      let id = file.nextId++;
+      file.records.push(Object.assign({ id: id }, token));
+      return id;
+    });
+  }
+
+  /**
+   * Get a user's API tokens.
+   * @param {string} username
+   * @returns {Promise<Object[]>} See `ApiToken` in api-tokens.js.
+   */
+  async list_api_tokens(username) {
+    return (await this.read_records("api-tokens")).records
+      .filter(t => t.username == username)
+      .map(t => ({ id: t.id, username: t.username, name: t.name, scope: t.scope, game: t.game, createdAt: t.createdAt, lastUsed: t.lastUsed }));
+  }
+
+  /**
+   * Get the API token with a hash, or null if there isn't one.
+   * @param {string} hash
+   * @returns {Promise<Object>} See `ApiToken` in api-tokens.js.
+   */
+  async find_api_token(hash) {
+    return (await this.read_records("api-tokens")).records.find(t => t.hash == hash) || null;
+  }
+
+  /**
+   * Record that an API token was used.
+   * @param {number} id
+   * @param {number} now
+   */
+  async touch_api_token(id, now) {
+    await this.update_records("api-tokens", file => {
+      let token = file.records.find(t => t.id == id);
+      if (token) token.lastUsed = now;
+    });
+  }
+
+  /**
+   * Delete an API token so that it can't be used anymore.
+   * @param {number} id
+   * @param {string} username User the token belongs to.
+   * @returns {Promise<boolean>} Whether the token existed.
+   */
+  async revoke_api_token(id, username) {
+    return await this.update_records("api-tokens", file => {
+      let length = file.records.length;
+      file.records = file.records.filter(t => !(t.id == id && t.username == username));
+      return file.records.length < length;
+    });
+  }
+
+  /**
+   * Read the users file.
+   * @returns {Promise<Object.<string,{firstname:string,lastname:string,type:string,email:string,apps:string[],tokens:string[]}>>}
+   */
+  async read_users() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.directory, "users.json")));
+    } catch (error) {
+      if (error.code == "ENOENT") return {};
+      throw error;
+    }
+  }
+
+  /**
+   * @param {express.Request} req Request object with auth_token cookie.
+   * @param {string} app String ID of app to check permissions or empty for no permission checking.
+   * @returns {Promise<[boolean, string?]>} Whether the user is authenticated and the username or reason for not being authenticated.
+   */
+  async authenticate(req, app="") {
+    if (!req.cookies.auth_token) return [false, "No auth_token cookie found."];
+
+    let users = await this.read_users();
+    let username = Object.keys(users).find(u => (users[u].tokens || []).includes(req.cookies.auth_token));
+    if (!username) return [false, `No matching auth token found on server for ${req.cookies.auth_token}.`];
+    if (app && !(await this.user_app_permission(username, app))) return [false, `User ${username} doesn't have permission to use app ${app}.`];
+    return [true, username];
+  }
+
+  /**
+   * @param {string} username
+   * @param {string} app
+   * @returns {Promise<boolean>}
+   */
+  async user_app_permission(username, app) {
+    let user = (await this.read_users())[username];
+    if (!user) throw Error(`No user found with username ${username}`);
+    return (user.apps || []).includes(app);
+  }
+
+  /**
+   * @param {string} username
+   * @returns {Promise<UserData>}
+   */
+  async user_data(username) {
+    let user = (await this.read_users())[username];
+    if (!user) throw Error(`No user found with username ${username}`);
+    return { username: username, firstname: user.firstname, lastname: user.lastname, type: user.type, email: user.email };
+  }
+}
+
+/**
+ * Create the storage backend selected by `STORAGE` in the config (MySQL by default).
+ * @param {Object.<string,string>} config
+ * @returns {MysqlStorage|FileStorage}
+ */
+function create_storage(config) {
+  switch (config.STORAGE || storageTypeEnum.MySQL) {
+    case storageTypeEnum.MySQL:
+      return new MysqlStorage(config);
+    case storageTypeEnum.File:
+      return new FileStorage(config);
+    default:
+      throw Error(`Unknown storage type ${config.STORAGE}.`);
+  }
+}
+
+exports.storageTypeEnum = storageTypeEnum;
+exports.deliveryStatusEnum = deliveryStatusEnum;
+exports.MysqlStorage = MysqlStorage;
+exports.FileStorage = FileStorage;
+exports.create_storage = create_storage;
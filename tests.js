@@ -1,6 +1,18 @@
 const utils = require("./diplomacy-server-utils.js");
+const adjudicator = require("./adjudicator.js");
 const shared = require("./diplomacy-shared-utils/utils.js");
+const notation = require("./notation.js");
+const records = require("./records.js");
+const events = require("./events.js");
+const webhooks = require("./webhooks.js");
+const bots = require("./bots.js");
+const daide = require("./daide.js");
+const daide_server = require("./daide-server.js");
+const storage_utils = require("./storage.js");
 const fs = require("fs").promises;
+const http = require("http");
+const net = require("net");
+const os = require("os");
 const path = require("path");
 
 /**
@@ -40,6 +52,34 @@ const logLevelsEnum = {
  * @property {string} raw
  */
 
+/**
+ * Local HTTP server that a test's webhook sends payloads to, with its own storage for the webhook and its queue.
+ * @typedef {Object} WebhookReceiver
+ * @property {http.Server} server
+ * @property {string} directory Temporary directory of `storage`.
+ * @property {storage_utils.FileStorage} storage
+ * @property {string} secret The webhook's secret.
+ * @property {number} failures Number of requests left to respond to with an error.
+ * @property {number} delay Milliseconds the test has moved the webhook queue's clock forward.
+ * @property {{body:string,signature:string}[]} received Requests that were responded to successfully.
+ */
+
+/**
+ * A DAIDE client connected to a server for a test's game.
+ * @typedef {Object} DaideConnection
+ * @property {net.Server} server
+ * @property {daide_server.DaideGame} game
+ * @property {net.Socket} socket The client's end of the connection.
+ * @property {Buffer} buffer Bytes received that don't make up a whole message yet.
+ * @property {daide.Representation} representation The representation the server sent, or null before it arrives.
+ * @property {daide.Message[]} received Messages from the server that haven't been asserted yet.
+ */
+
+/**
+ * Seconds a test waits for a message from the DAIDE server before failing.
+ */
+const daideTimeout = 5;
+
 /**
  * Data required to define a single instruction set parameter.
  * @typedef {object} InstructionParamSpec
@@ -142,7 +182,11 @@ const instructionSpecs = [
       { key: "countryClaiming", type: instructionParamTypeEnum.boolean, default: true },
       { key: "users", type: instructionParamTypeEnum.stringList, default: [] },
       { key: "date", type: instructionParamTypeEnum.number, default: -1 },
-      { key: "season", type: instructionParamTypeEnum.string, default: "" }
+      { key: "season", type: instructionParamTypeEnum.string, default: "" },
+      { key: "rules", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "anonymous", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "press", default: utils.pressTypeEnum.Full },
+      { key: "fogOfWar", type: instructionParamTypeEnum.boolean, default: false }
     ],
     async (test, params) => {
       if (params.users.length == 0) {
@@ -158,7 +202,12 @@ const instructionSpecs = [
         params.userCount = params.users.length;
       }
 
-      test.gameData = await utils.new_game(params.users[0], params.name, params.map, params.users, false, false);
+      test.gameData = await utils.new_game(params.users[0], params.name, params.map, params.users, false, false, {
+        rules: adjudicator.rules_from_strings(params.rules),
+        anonymous: params.anonymous,
+        pressType: params.press,
+        fogOfWar: params.fogOfWar
+      });
 
       if (params.date != -1) test.gameData.state.date = params.date;
       if (params.season) switch (params.season.toLowerCase()) {
@@ -263,12 +312,14 @@ const instructionSpecs = [
   new InstructionSpec("order-hold", [
       { key: "country", required: true },
       { key: "unit", required: true },
-      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "code", default: "" }
     ],
     async (test, params) => {
       conditional_expect_error(
         () => test.gameData.submit_order(test.gameData.country_owner(params.country), new shared.HoldOrder(params.unit)),
-        params.shouldfail
+        params.shouldfail,
+        params.code
       );
     }
   ),
@@ -278,14 +329,17 @@ const instructionSpecs = [
       { key: "dest", required: true },
       { key: "coast", default: "" },
       { key: "convoy", type: instructionParamTypeEnum.boolean, default: false },
-      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "code", default: "" }
     ],
     async (test, params) => {
       let province = test.gameData.get_province(params.dest);
-      if (province.coasts.length == 1 && test.gameData.get_unit(params.unit).type == shared.unitTypeEnum.Fleet) params.coast = province.coasts[0].id;
+      let unit = test.gameData.get_unit(params.unit);
+      if (province.coasts.length == 1 && unit && unit.type == shared.unitTypeEnum.Fleet) params.coast = province.coasts[0].id;
       conditional_expect_error(
         () => test.gameData.submit_order(test.gameData.country_owner(params.country), new shared.MoveOrder(params.unit, params.dest, params.coast, params.convoy)),
-        params.shouldfail
+        params.shouldfail,
+        params.code
       );
     }
   ),
@@ -294,12 +348,14 @@ const instructionSpecs = [
       { key: "unit", required: true },
       { key: "from", required: true },
       { key: "to", required: true },
-      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "code", default: "" }
     ],
     async (test, params) => {
       conditional_expect_error(
         () => test.gameData.submit_order(test.gameData.country_owner(params.country), new shared.ConvoyOrder(params.unit, params.from, params.to)),
-        params.shouldfail
+        params.shouldfail,
+        params.code
       );
     }
   ),
@@ -308,7 +364,8 @@ const instructionSpecs = [
       { key: "unit", required: true },
       { key: "supporting", required: true },
       { key: "from", default: "" },
-      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "code", default: "" }
     ],
     async (test, params) => {
       conditional_expect_error(
@@ -316,7 +373,8 @@ const instructionSpecs = [
             params.from
               ? new shared.SupportMoveOrder(params.unit, params.supporting, params.from)
               : new shared.SupportHoldOrder(params.unit, params.supporting)),
-        params.shouldfail
+        params.shouldfail,
+        params.code
       );
     }
   ),
@@ -325,7 +383,8 @@ const instructionSpecs = [
       { key: "unit", required: true },
       { key: "dest", required: true },
       { key: "coast", default: "" },
-      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "code", default: "" }
     ],
     async (test, params) => {
       let province = test.gameData.get_province(params.dest);
@@ -338,7 +397,8 @@ const instructionSpecs = [
         ) params.coast = province.coasts[0].id;
       conditional_expect_error(
         () => test.gameData.submit_order(test.gameData.country_owner(params.country), new shared.RetreatOrder(params.unit, params.dest, params.coast)),
-        params.shouldfail
+        params.shouldfail,
+        params.code
       );
     }
   ),
@@ -347,7 +407,8 @@ const instructionSpecs = [
       { key: "province", required: true },
       { key: "coast", default: "" },
       { key: "fleet", type: instructionParamTypeEnum.boolean, default: false },
-      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "code", default: "" }
     ],
     async (test, params) => {
       conditional_expect_error(
@@ -361,36 +422,121 @@ const instructionSpecs = [
               : shared.unitTypeEnum.Army, params.coast
           )
         ),
-        params.shouldfail
+        params.shouldfail,
+        params.code
       );
     }
   ),
   new InstructionSpec("order-disband", [
       { key: "country", required: true },
       { key: "unit", required: true },
-      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "code", default: "" }
     ],
     async (test, params) => {
       conditional_expect_error(
         () => test.gameData.submit_order(test.gameData.country_owner(params.country), new shared.DisbandOrder(params.country, params.unit)),
-        params.shouldfail
+        params.shouldfail,
+        params.code
       );
     }
   ),
   new InstructionSpec("order-pass", [
       { key: "country", required: true },
-      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "code", default: "" }
     ],
     async (test, params) => {
       conditional_expect_error(
         () => test.gameData.submit_order(test.gameData.country_owner(params.country), new shared.PassOrder(params.country)),
+        params.shouldfail,
+        params.code
+      );
+    }
+  ),
+  new InstructionSpec("order-text", [
+      { key: "country", required: true },
+      { key: "text", required: true },
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "code", default: "" }
+    ],
+    async (test, params) => {
+      conditional_expect_error(
+        () => test.gameData.submit_order(test.gameData.country_owner(params.country), notation.parse_order(test.gameData, params.text, [params.country])),
+        params.shouldfail,
+        params.code
+      );
+    }
+  ),
+  new InstructionSpec("assert-order-text", [
+      { key: "country", required: true },
+      { key: "unit", required: true },
+      { key: "text", required: true }
+    ],
+    async (test, params) => {
+      let order = test.gameData.state.orders[params.country][params.unit];
+      if (!order) throw Error(`Assert failed: no order for the unit at ${params.unit}`);
+      let text = notation.format_order(test.gameData, test.gameData.history.length - 1, order);
+      if (text != params.text) throw Error(`Assert failed: order for the unit at ${params.unit} is written ${text} not ${params.text}`);
+    }
+  ),
+  new InstructionSpec("order-batch", [
+      { key: "country", required: true },
+      { key: "orders", type: instructionParamTypeEnum.stringList, required: true },
+      { key: "replace", type: instructionParamTypeEnum.boolean, default: false },
+      { key: "success", type: instructionParamTypeEnum.boolean, default: true }
+    ],
+    async (test, params) => {
+      // Orders are written in standard notation and submitted together like /games/{id}/submit-orders
+      let orders = params.orders.map(text => notation.parse_order(test.gameData, text, [params.country]));
+      let result = test.gameData.submit_orders(test.gameData.country_owner(params.country), orders, params.replace);
+      if (result.success != params.success) {
+        let errors = result.results.filter(r => !r.success).map(r => `${r.id}: ${r.error}`);
+        throw Error(`Assert failed: the batch ${result.success ? "was placed" : `was rejected (${errors.join(", ")})`}`);
+      }
+    }
+  ),
+  new InstructionSpec("assert-no-order", [
+      { key: "country", required: true },
+      { key: "unit", required: true }
+    ],
+    async (test, params) => {
+      let order = test.gameData.state.orders[params.country][params.unit];
+      if (order) throw Error(`Assert failed: the unit at ${params.unit} has order ${order.id}`);
+    }
+  ),
+  new InstructionSpec("ready", [
+      { key: "country", required: true },
+      { key: "ready", type: instructionParamTypeEnum.boolean, default: true },
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+    ],
+    async (test, params) => {
+      conditional_expect_error(
+        () => {
+          test.gameData.set_ready(test.gameData.country_owner(params.country), params.ready, [params.country]);
+          test.gameData.try_advance();
+        },
         params.shouldfail
       );
     }
   ),
-  new InstructionSpec("adjudicate", [],
-    async (test, _params) => {
-      if (test.gameData.phase == shared.phaseEnum["Order Writing"]) test.gameData.calculate_orders();
+  new InstructionSpec("adjudicate", [
+      { key: "logged", default: "" }
+    ],
+    async (test, params) => {
+      if (test.gameData.phase != shared.phaseEnum["Order Writing"]) return;
+      if (!params.logged) return test.gameData.calculate_orders();
+
+      // Check whether the trace was printed to the console, which depends on LOG_ADJUDICATION in the config
+      let printed = [];
+      let log = console.log;
+      console.log = (...args) => printed.push(args.join(" "));
+      try {
+        test.gameData.calculate_orders();
+      } finally {
+        console.log = log;
+      }
+      if ((printed.length > 0) != (params.logged == "true")) throw Error(`Assert failed: ${printed.length} lines of the trace were printed`);
     }
   ),
   new InstructionSpec("process-retreats", [],
@@ -403,6 +549,430 @@ const instructionSpecs = [
       if (test.gameData.phase == shared.phaseEnum["Creating/Disbanding"]) test.gameData.calculate_adjustments();
     }
   ),
+  new InstructionSpec("pass-deadline", [],
+    async (test, _params) => {
+      // Like the scheduler finding the phase overdue, whether or not the game has deadlines
+      test.gameData.pass_deadline();
+    }
+  ),
+  new InstructionSpec("assign-bot", [
+      { key: "country", required: true },
+      { key: "strength", default: bots.botStrengthEnum.Heuristic },
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+    ],
+    async (test, params) => {
+      conditional_expect_error(
+        () => test.gameData.assign_bot(test.gameData.country_owner(params.country), params.country, params.strength),
+        params.shouldfail
+      );
+    }
+  ),
+  new InstructionSpec("assert-ready", [
+      { key: "country", required: true },
+      { key: "ready", type: instructionParamTypeEnum.boolean, default: true },
+      { key: "orders", type: instructionParamTypeEnum.number, default: -1 }
+    ],
+    async (test, params) => {
+      if (!!test.gameData.ready[params.country] != params.ready) throw Error(`Assert failed: ${params.country} is ${params.ready ? "not " : ""}ready`);
+
+      // Only counts movement orders, which are stored on the current state
+      let count = Object.keys(test.gameData.state.orders[params.country] || {}).length;
+      if (params.orders != -1 && count != params.orders) throw Error(`Assert failed: ${params.country} has ${count} orders not ${params.orders}`);
+    }
+  ),
+  new InstructionSpec("assert-won", [
+      { key: "won", default: "won" },
+      { key: "winner", type: instructionParamTypeEnum.stringList, default: [] }
+    ],
+    async (test, params) => {
+      let state = Object.keys(shared.winStateEnum).find(key => key.toLowerCase() == params.won.toLowerCase());
+      if (!state) throw Error(`Unknown win state ${params.won}`);
+      if (test.gameData.won != shared.winStateEnum[state]) throw Error(`Assert failed: game is ${Object.keys(shared.winStateEnum).find(key => shared.winStateEnum[key] == test.gameData.won)} not ${state}`);
+
+      // Winners are written as countries but stored as the usernames of their players
+      let expected = [...new Set(params.winner.map(c => test.gameData.country_owner(c)))].sort().join(",");
+      let actual = test.gameData.winner.split(",").filter(u => u).sort().join(",");
+      if (params.winner.length > 0 && actual != expected) throw Error(`Assert failed: winner is ${actual} not ${expected}`);
+    }
+  ),
+  new InstructionSpec("propose-draw", [
+      { key: "country", required: true },
+      { key: "countries", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+    ],
+    async (test, params) => {
+      conditional_expect_error(
+        () => test.gameData.propose_draw(test.gameData.country_owner(params.country), params.countries),
+        params.shouldfail
+      );
+    }
+  ),
+  new InstructionSpec("vote-draw", [
+      { key: "country", required: true },
+      { key: "accept", type: instructionParamTypeEnum.boolean, default: true },
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+    ],
+    async (test, params) => {
+      conditional_expect_error(
+        () => test.gameData.vote_draw(test.gameData.country_owner(params.country), params.accept),
+        params.shouldfail
+      );
+    }
+  ),
+  new InstructionSpec("assert-draw", [
+      { key: "countries", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "voted", type: instructionParamTypeEnum.stringList, default: [] }
+    ],
+    async (test, params) => {
+      let proposal = test.gameData.drawProposal;
+      if (params.countries.length == 0) {
+        if (proposal) throw Error(`Assert failed: a draw between ${proposal.countries.join(",")} is proposed`);
+        return;
+      }
+      if (!proposal) throw Error("Assert failed: no draw is proposed");
+
+      let countries = [...proposal.countries].sort().join(",");
+      if (countries != [...params.countries].sort().join(",")) throw Error(`Assert failed: the proposed draw is between ${countries} not ${params.countries.join(",")}`);
+      for (let c of proposal.countries) {
+        let voted = !!proposal.votes[test.gameData.country_owner(c)];
+        if (voted != params.voted.includes(c)) throw Error(`Assert failed: ${c} has ${voted ? "" : "not "}voted for the draw`);
+      }
+    }
+  ),
+  new InstructionSpec("send-press", [
+      { key: "country", required: true },
+      { key: "to", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "text", default: "Test message" },
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+    ],
+    async (test, params) => {
+      conditional_expect_error(
+        () => test.gameData.send_press(test.gameData.country_owner(params.country), params.country, params.to, params.text),
+        params.shouldfail
+      );
+    }
+  ),
+  new InstructionSpec("assert-press", [
+      { key: "country", required: true },
+      { key: "messages", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "before", type: instructionParamTypeEnum.number, default: -1 },
+      { key: "limit", type: instructionParamTypeEnum.number, default: 50 },
+      { key: "more", type: instructionParamTypeEnum.boolean, default: false }
+    ],
+    async (test, params) => {
+      // Messages are written as their ID's, newest first
+      let page = test.gameData.get_press(test.gameData.country_owner(params.country), params.before, params.limit);
+      let ids = page.messages.map(m => m.id).join(",");
+      if (ids != params.messages.join(",")) throw Error(`Assert failed: ${params.country} reads messages ${ids} not ${params.messages.join(",")}`);
+      if (page.more != params.more) throw Error(`Assert failed: ${params.country} ${page.more ? "has" : "doesn't have"} older messages`);
+    }
+  ),
+  new InstructionSpec("assert-view", [
+      { key: "country", required: true },
+      { key: "province", required: true },
+      { key: "item", required: true },
+      { key: "turn", type: instructionParamTypeEnum.number, default: -1 },
+      { key: "visible", type: instructionParamTypeEnum.boolean, default: true }
+    ],
+    async (test, params) => {
+      // Looks for another country's unit, supply center, order, dislodgement, or retreat in the view the server sends to `country`'s player
+      let view = test.gameData.sanitized(test.gameData.country_owner(params.country), false);
+      let turn = params.turn < 0 ? view.history.length + params.turn : params.turn;
+      if (!view.history[turn]) throw Error(`Unknown turn ${params.turn}`);
+
+      let find = state => {
+        let others = Object.keys(state.nations).filter(c => c != params.country);
+        switch (params.item) {
+          case "unit":
+            return others.some(c => state.nations[c].units.some(u => u.province == params.province));
+          case "supply-center":
+            return others.some(c => state.nations[c].supplyCenters.includes(params.province));
+          case "order":
+            return others.some(c => state.orders && state.orders[c] && state.orders[c][params.province]);
+          case "dislodgement":
+            return !!(state.dislodgements && state.dislodgements[params.province]);
+          case "retreat":
+            return others.some(c => state.retreats && state.retreats[c] && state.retreats[c][params.province]);
+          default:
+            throw Error(`Unknown item ${params.item}`);
+        }
+      };
+
+      if (!find(test.gameData.history[turn])) throw Error(`Invalid test instruction. There is no ${params.item} in ${params.province} on turn ${turn}.`);
+      let seen = find(view.history[turn]);
+      if (seen != params.visible) throw Error(`Assert failed: ${params.country} ${seen ? "can" : "can't"} see the ${params.item} in ${params.province} on turn ${turn}`);
+    }
+  ),
+  new InstructionSpec("what-if", [
+      { key: "country", required: true },
+      { key: "orders", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "succeeds", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "fails", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "holds", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+    ],
+    async (test, params) => {
+      // Orders are written in standard notation, and `succeeds`, `fails`, and `holds` are the provinces of units in the result
+      let before = JSON.stringify(test.gameData.history);
+      let result = null;
+      conditional_expect_error(
+        () => {
+          let orders = params.orders.map(text => notation.parse_order(test.gameData, text, [params.country]));
+          result = test.gameData.what_if(test.gameData.country_owner(params.country), orders);
+        },
+        params.shouldfail
+      );
+      if (JSON.stringify(test.gameData.history) != before) throw Error("Assert failed: testing orders changed the game");
+      if (!result) return;
+
+      let result_order = province => {
+        let order = result.orders.find(o => o.province == province);
+        if (!order) throw Error(`Assert failed: the result has no order for the unit at ${province}`);
+        return order;
+      };
+      for (let province of params.succeeds) {
+        if (result_order(province).result != shared.orderResultEnum.success) throw Error(`Assert failed: the order for the unit at ${province} doesn't succeed`);
+      }
+      for (let province of params.fails) {
+        if (result_order(province).result == shared.orderResultEnum.success) throw Error(`Assert failed: the order for the unit at ${province} succeeds`);
+      }
+      for (let province of params.holds) {
+        if (result_order(province).type != shared.orderTypeEnum.hold) throw Error(`Assert failed: the unit at ${province} doesn't hold`);
+      }
+    }
+  ),
+  new InstructionSpec("set-config", [
+      { key: "key", required: true },
+      { key: "value", default: "" }
+    ],
+    async (test, params) => {
+      // Restored when the test finishes
+      if (!(params.key in test.config)) test.config[params.key] = utils.config[params.key];
+      utils.config[params.key] = params.value;
+    }
+  ),
+  new InstructionSpec("assert-trace", [
+      { key: "country", required: true },
+      { key: "turn", type: instructionParamTypeEnum.number, required: true },
+      { key: "unit", default: "" },
+      { key: "success", default: "" },
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+    ],
+    async (test, params) => {
+      let trace = null;
+      conditional_expect_error(
+        () => trace = test.gameData.get_trace(test.gameData.country_owner(params.country), params.turn),
+        params.shouldfail
+      );
+      if (!trace || !params.unit) return;
+
+      let state = test.gameData.history[params.turn];
+      let order = Object.values(state.orders).map(orders => orders[params.unit]).find(o => o);
+      if (!order) throw Error(`Invalid test instruction. No unit at ${params.unit} was ordered on turn ${params.turn}.`);
+
+      let result = trace.find(entry => entry.order == order.id && entry.step == adjudicator.traceStepEnum.Result);
+      if (!result) throw Error(`Assert failed: the trace of turn ${params.turn} has no result for ${order.id}`);
+      if (params.success && result.success != (params.success == "true")) throw Error(`Assert failed: the trace of turn ${params.turn} has ${order.id} ${result.success ? "succeeding" : "failing"}`);
+    }
+  ),
+  new InstructionSpec("assert-players", [
+      { key: "user", required: true },
+      { key: "hidden", type: instructionParamTypeEnum.boolean, default: true }
+    ],
+    async (test, params) => {
+      let view = test.gameData.sanitized(params.user, false);
+      let shown = {
+        "the game view": view.players,
+        "the game record": records.export_record(test.gameData, params.user).players
+      };
+      // Claim events are pushed with the data they get from the same view
+      test.gameData.events.filter(e => e.type == events.gameEventEnum.Claim).forEach((event, i) => {
+        shown[`claim event ${i + 1}`] = event.data(view, params.user).players;
+      });
+
+      for (let where in shown) {
+        for (let c in test.gameData.players) {
+          let player = test.gameData.players[c];
+          let expected = params.hidden && player != params.user ? null : player;
+          if (shown[where][c] !== expected) throw Error(`Assert failed: ${where} shows ${shown[where][c]} playing ${c} to ${params.user} not ${expected}`);
+        }
+      }
+    }
+  ),
+  new InstructionSpec("clear-events", [],
+    async (test, _params) => {
+      // Like saving the game, which sends the queued events
+      test.gameData.events = [];
+    }
+  ),
+  new InstructionSpec("assert-event", [
+      { key: "type", required: true },
+      { key: "number", type: instructionParamTypeEnum.number, default: 1 },
+      { key: "phase", default: "" },
+      { key: "turn", type: instructionParamTypeEnum.number, default: -1 }
+    ],
+    async (test, params) => {
+      let matching = test.gameData.events.filter(e => e.type == params.type);
+      let event = matching[params.number - 1];
+      if (!event) throw Error(`Assert failed: only ${matching.length} ${params.type} events were queued`);
+
+      let data = event.data(test.gameData.sanitized("", false), "");
+      if (params.phase) {
+        if (!(params.phase in shared.phaseEnum)) throw Error(`Unknown phase ${params.phase}`);
+        if (data.phase != shared.phaseEnum[params.phase]) throw Error(`Assert failed: ${params.type} event ${params.number} has phase ${data.phase} not ${shared.phaseEnum[params.phase]}`);
+      }
+      if (params.turn != -1 && data.turn != params.turn) throw Error(`Assert failed: ${params.type} event ${params.number} has turn ${data.turn} not ${params.turn}`);
+    }
+  ),
+  new InstructionSpec("webhook-receiver", [
+      { key: "country", required: true },
+      { key: "events", type: instructionParamTypeEnum.stringList, default: [] },
+      { key: "fail", type: instructionParamTypeEnum.number, default: 0 },
+      { key: "shouldfail", type: instructionParamTypeEnum.boolean, default: false }
+    ],
+    async (test, params) => {
+      if (test.webhook) throw Error("Invalid test instruction. The test already has a webhook receiver.");
+
+      let directory = await fs.mkdtemp(path.join(os.tmpdir(), "diplomacy-webhooks-"));
+      let receiver = { directory: directory, storage: new storage_utils.FileStorage({ STORAGE_PATH: directory }), failures: params.fail, delay: 0, received: [] };
+      receiver.server = http.createServer((req, res) => {
+        let body = [];
+        req.on("data", chunk => body.push(chunk));
+        req.on("end", () => {
+          if (receiver.failures > 0) {
+            receiver.failures--;
+            res.statusCode = 500;
+          } else {
+            receiver.received.push({ body: Buffer.concat(body).toString(), signature: req.headers[webhooks.signatureHeader.toLowerCase()] });
+          }
+          res.end();
+        });
+      });
+      test.webhook = receiver;
+      await new Promise(resolve => receiver.server.listen(0, "127.0.0.1", resolve));
+
+      // The receiver is on the loopback address, so it can only be registered if WEBHOOK_ALLOWED_HOSTS allows it
+      let url = `http://127.0.0.1:${receiver.server.address().port}/`;
+      let registered = null;
+      try {
+        registered = await webhooks.register_webhook(receiver.storage, test.gameData.country_owner(params.country), test.gameData.id, url, params.events, webhooks.allowed_hosts(utils.config));
+      } catch (error) {
+        await close_webhook_receiver(test);
+        if (!params.shouldfail) throw error;
+        return;
+      }
+      if (params.shouldfail) throw Error("Expected error but none was thrown.");
+      receiver.secret = registered.secret;
+    }
+  ),
+  new InstructionSpec("deliver-webhooks", [
+      { key: "after", type: instructionParamTypeEnum.number, default: 0 },
+      { key: "delivered", type: instructionParamTypeEnum.number, default: -1 }
+    ],
+    async (test, params) => {
+      if (!test.webhook) throw Error("Invalid test instruction. The test has no webhook receiver.");
+
+      // Like saving the game, which queues payloads for the events and sends them
+      await webhooks.queue_deliveries(test.webhook.storage, test.gameData, test.gameData.events);
+      test.gameData.events = [];
+
+      // `after` is the number of seconds to pretend have passed, so that failed deliveries are due again
+      test.webhook.delay += params.after * 1000;
+      let delivered = await webhooks.process_deliveries(test.webhook.storage, webhooks.allowed_hosts(utils.config), Date.now() + test.webhook.delay);
+      if (params.delivered != -1 && delivered != params.delivered) throw Error(`Assert failed: ${delivered} payloads were delivered not ${params.delivered}`);
+    }
+  ),
+  new InstructionSpec("assert-webhook", [
+      { key: "type", required: true },
+      { key: "phase", default: "" },
+      { key: "turn", type: instructionParamTypeEnum.number, default: -1 },
+      { key: "count", type: instructionParamTypeEnum.number, default: 1 }
+    ],
+    async (test, params) => {
+      if (!test.webhook) throw Error("Invalid test instruction. The test has no webhook receiver.");
+      if (params.phase && !(params.phase in shared.phaseEnum)) throw Error(`Unknown phase ${params.phase}`);
+
+      let payloads = test.webhook.received.map(request => {
+        if (request.signature != webhooks.sign(test.webhook.secret, request.body)) throw Error(`Assert failed: a payload was signed ${request.signature}`);
+        return JSON.parse(request.body);
+      });
+      let matching = payloads.filter(payload => payload.event == params.type && payload.game == test.gameData.id
+        && (!params.phase || payload.data.phase == shared.phaseEnum[params.phase])
+        && (params.turn == -1 || payload.data.turn == params.turn));
+      if (matching.length != params.count) throw Error(`Assert failed: ${matching.length} matching ${params.type} payloads were received not ${params.count}`);
+    }
+  ),
+  new InstructionSpec("daide-connect", [],
+    async (test, _params) => {
+      if (test.daide) throw Error("Invalid test instruction. The test is already connected over DAIDE.");
+
+      // The game is served from the test rather than storage, and saving it sends its events to the clients straight away
+      let game = daide_server.create_daide_game(test.gameData, async () => test.gameData, async gameData => {
+        daide_server.publish_events(game, gameData, gameData.events);
+        gameData.events = [];
+      });
+      let connection = { game: game, buffer: Buffer.alloc(0), representation: null, received: [] };
+      connection.server = net.createServer(socket => daide_server.handle_connection(game, socket));
+      test.daide = connection;
+      await new Promise(resolve => connection.server.listen(0, "127.0.0.1", resolve));
+
+      connection.socket = net.connect(connection.server.address().port, "127.0.0.1", () => connection.socket.write(daide.initial_message()));
+      connection.socket.on("data", data => {
+        let frames;
+        [frames, connection.buffer] = daide.split_frames(Buffer.concat([connection.buffer, data]));
+        for (let frame of frames) {
+          if (frame.type == daide.messageTypeEnum.Representation) connection.representation = daide.read_representation(frame.body);
+          if (frame.type == daide.messageTypeEnum.Diplomacy) connection.received.push(daide.decode_tokens(frame.body, connection.representation));
+          if (frame.type == daide.messageTypeEnum.Error) test.error(`The DAIDE server sent error ${frame.body.readUInt16BE(0)}`);
+        }
+      });
+      connection.socket.on("error", error => test.error(error.message));
+
+      if (!(await wait_for(() => connection.representation))) throw Error("Assert failed: the DAIDE server didn't send its representation");
+    }
+  ),
+  new InstructionSpec("daide-send", [
+      { key: "text", required: true }
+    ],
+    async (test, params) => {
+      if (!test.daide) throw Error("Invalid test instruction. The test isn't connected over DAIDE.");
+      test.daide.socket.write(daide.diplomacy_message(daide.parse_message(params.text), test.daide.representation));
+    }
+  ),
+  new InstructionSpec("assert-daide", [
+      { key: "text", required: true },
+      { key: "with", default: "" }
+    ],
+    async (test, params) => {
+      if (!test.daide) throw Error("Invalid test instruction. The test isn't connected over DAIDE.");
+
+      // Like saving the game after other instructions changed it
+      if (test.gameData.events.length > 0) await test.daide.game.save(test.gameData);
+
+      // `text` is the start of the message in text form and `with` is any part of it
+      let find = () => test.daide.received.findIndex(message => {
+        let text = daide.format_message(message);
+        return text.startsWith(params.text) && text.includes(params.with);
+      });
+      if (!(await wait_for(() => find() != -1))) {
+        let received = test.daide.received.map(message => daide.format_message(message)).join(" | ");
+        throw Error(`Assert failed: no DAIDE message ${params.text} was received${received ? `, only ${received}` : ""}`);
+      }
+      test.daide.received.splice(find(), 1);
+    }
+  ),
+  new InstructionSpec("daide-disconnect", [],
+    async (test, _params) => {
+      if (!test.daide) throw Error("Invalid test instruction. The test isn't connected over DAIDE.");
+      await close_daide_connection(test);
+    }
+  ),
+  new InstructionSpec("assert-replay", [],
+    async (test, _params) => {
+      // Fails if replaying the game's record gives different results, positions, or supply centers
+      await utils.import_game(test.gameData.users[0], records.export_record(test.gameData, ""), {}, false);
+    }
+  ),
   new InstructionSpec("todo", [],
     async (_test, _params) => {
       throw Error("Encountered \"todo\" instruction");
@@ -410,16 +980,63 @@ const instructionSpecs = [
   )
 ];
 
-function conditional_expect_error(tocall, expect_error) {
+/**
+ * Call a function and check whether it throws.
+ * @param {()=>any} tocall
+ * @param {boolean} expect_error Whether it should throw. Always true if `code` is set.
+ * @param {utils.orderErrorEnum} code Code the thrown error should have, or empty to accept any error.
+ */
+function conditional_expect_error(tocall, expect_error, code="") {
+  if (code) expect_error = true;
   try {
     tocall();
   } catch (error) {
     if (!expect_error) throw error;
+    if (code && error.code != code) throw Error(`Expected error ${code} but got ${error.code || "an error without a code"}: ${error.message}`);
     return;
   }
   if (expect_error) throw Error("Expected error but none was thrown.");
 }
 
+/**
+ * Stop a test's webhook receiver and delete its storage.
+ * @param {Test} test
+ */
+async function close_webhook_receiver(test) {
+  let receiver = test.webhook;
+  test.webhook = null;
+  receiver.server.closeAllConnections();
+  await new Promise(resolve => receiver.server.close(resolve));
+  await fs.rm(receiver.directory, { recursive: true, force: true });
+}
+
+/**
+ * Wait for a condition to hold, or for `daideTimeout` seconds to pass.
+ * @param {()=>any} check
+ * @returns {Promise<any>} What `check` returned the last time it was called.
+ */
+async function wait_for(check) {
+  let end = Date.now() + daideTimeout * 1000;
+  let result = check();
+  while (!result && Date.now() < end) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    result = check();
+  }
+  return result;
+}
+
+/**
+ * Disconnect a test's DAIDE client and stop its server.
+ * @param {Test} test
+ */
+async function close_daide_connection(test) {
+  let connection = test.daide;
+  test.daide = null;
+  if (connection.socket) connection.socket.destroy();
+  for (let client of connection.game.clients) client.socket.destroy();
+  await new Promise(resolve => connection.server.close(resolve));
+}
+
 /**
  * Get the instruction spec with a given keyword.
  * @param {string} keyword
@@ -525,11 +1142,25 @@ class Test {
      */
     this.lastLogs = [];
 
+    /**
+     * Config values changed by the test, keyed by name, with the values to restore when it finishes.
+     * @type {Object.<string,string>}
+     */
+    this.config = {};
+
     /* For documentation only. These properties may or may not be undefined at runtime. */
     /**
      * @type {utils.ServerGameData}
      */
     this.gameData;
+    /**
+     * @type {WebhookReceiver}
+     */
+    this.webhook;
+    /**
+     * @type {DaideConnection}
+     */
+    this.daide;
   }
 
   /**
@@ -595,10 +1226,22 @@ class Test {
    * @returns {Generator<Promise<TestInstruction>,void,any>}
    */
   async* get_generator() {
-    for (let instruction of this.instructions) {
-      this.log(instruction.raw, logLevelsEnum.Instruction);
-      await this.execute(instruction);
-      yield instruction;
+    try {
+      for (let instruction of this.instructions) {
+        this.log(instruction.raw, logLevelsEnum.Instruction);
+        await this.execute(instruction);
+        yield instruction;
+      }
+    } finally {
+      if (this.webhook) await close_webhook_receiver(this);
+      if (this.daide) await close_daide_connection(this);
+      for (let key in this.config) {
+        if (this.config[key] === undefined) {
+          delete utils.config[key];
+        } else {
+          utils.config[key] = this.config[key];
+        }
+      }
     }
     this.log("Finished test.");
     return;
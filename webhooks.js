@@ -0,0 +1,254 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const events = require("./events.js");
+const storage_utils = require("./storage.js");
+
+/**
+ * Event types that are sent to webhooks.
+ */
+const webhookEvents = [events.gameEventEnum.Phase, events.gameEventEnum.Adjudicated, events.gameEventEnum.GameOver];
+
+/**
+ * Number of attempts to deliver a payload before giving up.
+ */
+const maxAttempts = 8;
+
+/**
+ * Seconds to wait after the first failed attempt. The wait doubles after every attempt.
+ */
+const retryDelay = 30;
+
+/**
+ * Seconds to wait for a webhook to respond.
+ */
+const requestTimeout = 10;
+
+/**
+ * Maximum number of deliveries attempted each time the queue is processed.
+ */
+const batchSize = 50;
+
+/**
+ * Name of the header with the payload's signature.
+ */
+const signatureHeader = "X-Diplomacy-Signature";
+
+/**
+ * Addresses webhooks can't be sent to unless their host is allowed in the config: loopback, private, link-local, shared, and multicast ranges,
+ * so that webhooks can't be used to reach the server's own network. IPv4 addresses mapped to IPv6 are checked against the IPv4 ranges.
+ */
+const blockedAddresses = new net.BlockList();
+for (let [address, prefix] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3]]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv4");
+}
+for (let [address, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv6");
+}
+
+/**
+ * Storages whose queues are being processed, so that deliveries aren't attempted twice at once.
+ * @type {Set<storage_utils.MysqlStorage|storage_utils.FileStorage>}
+ */
+const processing = new Set();
+
+/**
+ * Generate a secret for signing a new webhook's payloads.
+ * @returns {string}
+ */
+function generate_secret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Sign a payload so that its receiver can check it came from this server.
+ * @param {string} secret The webhook's secret.
+ * @param {string} payload
+ * @returns {string} `sha256=` followed by the hex HMAC-SHA256 of the payload.
+ */
+function sign(secret, payload) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(payload).digest("hex")}`;
+}
+
+/**
+ * Get whether webhooks may be sent to an address.
+ * @param {string} address IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+function public_address(address) {
+  return !blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/**
+ * Get whether a URL can be used as a webhook. Hosts that are IP addresses have to be public unless they are in `allowedHosts`.
+ * Host names are checked when they are looked up for each delivery, since what they point to can change.
+ * @param {string} url
+ * @param {string[]} allowedHosts Hosts that may be private, from `WEBHOOK_ALLOWED_HOSTS` in the config.
+ * @returns {boolean}
+ */
+function valid_url(url, allowedHosts=[]) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_error) {
+    return false;
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return false;
+
+  let host = parsed.hostname.replace(/^\[(.*)\]$/, "$1");
+  return allowedHosts.includes(host) || !net.isIP(host) || public_address(host);
+}
+
+/**
+ * Get a function for `http.request` to look up host names with, which fails for names that point to addresses `public_address` rejects.
+ * Checking the address the request actually connects to means a name can't be pointed somewhere else after it was checked.
+ * @param {string[]} allowedHosts Hosts that may be private.
+ * @returns {Function} Has the same signature as `dns.lookup`.
+ */
+function public_lookup(allowedHosts) {
+  return (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    // Requests ask for every address when they try each family in turn
+    let addresses = Array.isArray(address) ? address : [{ address: address, family: family }];
+    if (!allowedHosts.includes(hostname) && !addresses.every(a => public_address(a.address))) {
+      return callback(Error(`${hostname} points to an address webhooks can't be sent to.`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Get the hosts that webhooks may be sent to even though they are private from a comma-separated list in the config.
+ * @param {Object.<string,string>} config
+ * @returns {string[]}
+ */
+function allowed_hosts(config) {
+  return (config.WEBHOOK_ALLOWED_HOSTS || "").split(",").map(host => host.trim()).filter(host => host);
+}
+
+/**
+ * Register a webhook for a user.
+ * @param {storage_utils.MysqlStorage|storage_utils.FileStorage} storage
+ * @param {string} username
+ * @param {number} game ID of the game to send events from, or null for every game the user plays.
+ * @param {string} url
+ * @param {string[]} eventTypes Event types to send, or empty for all of them.
+ * @param {string[]} allowedHosts Hosts that may be private.
+ * @returns {Promise<{id:number,secret:string}>} The new webhook's ID and the secret its payloads are signed with.
+ */
+async function register_webhook(storage, username, game, url, eventTypes=[], allowedHosts=[]) {
+  if (!valid_url(url, allowedHosts)) throw Error(`Invalid webhook URL ${url}.`);
+  for (let type of eventTypes) {
+    if (!webhookEvents.includes(type)) throw Error(`Unknown webhook event ${type}.`);
+  }
+
+  let secret = generate_secret();
+  let id = await storage.add_webhook({ username: username, game: game, url: url, secret: secret, events: eventTypes });
+  return { id: id, secret: secret };
+}
+
+/**
+ * Queue payloads for every webhook that should hear about a game's events. Each webhook's payloads only contain what its user can see.
+ * @param {storage_utils.MysqlStorage|storage_utils.FileStorage} storage
+ * @param {Object} gameData The game after the events happened, with a `sanitized(username)` method.
+ * @param {events.GameEvent[]} gameEvents
+ */
+async function queue_deliveries(storage, gameData, gameEvents) {
+  gameEvents = gameEvents.filter(e => webhookEvents.includes(e.type));
+  if (gameEvents.length == 0) return;
+
+  let now = Date.now();
+  let deliveries = [];
+  for (let webhook of await storage.webhooks_for_game(gameData.id, gameData.users)) {
+    let view = gameData.sanitized(webhook.username, false);
+    for (let event of gameEvents) {
+      if (webhook.events.length > 0 && !webhook.events.includes(event.type)) continue;
+      let data = event.data(view, webhook.username);
+      if (!data) continue;
+      deliveries.push({
+        webhook: webhook.id,
+        payload: JSON.stringify({ event: event.type, game: gameData.id, gameName: gameData.name, timestamp: now, data: data })
+      });
+    }
+  }
+  await storage.enqueue_deliveries(deliveries, now);
+}
+
+/**
+ * POST a payload to a URL.
+ * @param {string} url
+ * @param {string} payload
+ * @param {string} signature
+ * @param {string[]} allowedHosts Hosts that may be private.
+ * @returns {Promise<number>} Status code of the response.
+ */
+function post(url, payload, signature, allowedHosts) {
+  return new Promise((resolve, reject) => {
+    let req = (url.startsWith("https:") ? https : http).request(url, {
+      method: "POST",
+      timeout: requestTimeout * 1000,
+      lookup: public_lookup(allowedHosts),
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(payload),
+        [signatureHeader]: signature
+      }
+    }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on("timeout", () => req.destroy(Error(`No response after ${requestTimeout} seconds.`)));
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Attempt every delivery that is due. Failed deliveries are retried with exponential backoff until `maxAttempts` is reached.
+ * @param {storage_utils.MysqlStorage|storage_utils.FileStorage} storage
+ * @param {string[]} allowedHosts Hosts that may be private.
+ * @param {number} now Timestamp in milliseconds to decide which deliveries are due and when to retry failed ones from.
+ * @returns {Promise<number>} Number of payloads delivered.
+ */
+async function process_deliveries(storage, allowedHosts=[], now=Date.now()) {
+  if (processing.has(storage)) return 0;
+  processing.add(storage);
+  let delivered = 0;
+  try {
+    for (let delivery of await storage.due_deliveries(now, batchSize)) {
+      let error = "";
+      try {
+        // The config may have changed since the webhook was registered
+        if (!valid_url(delivery.webhook.url, allowedHosts)) throw Error(`Webhooks can't be sent to ${delivery.webhook.url}.`);
+        let status = await post(delivery.webhook.url, delivery.payload, sign(delivery.webhook.secret, delivery.payload), allowedHosts);
+        if (status < 200 || status >= 300) error = `Responded with status ${status}.`;
+      } catch (e) {
+        error = e.message;
+      }
+
+      if (!error) {
+        await storage.update_delivery(delivery.id, storage_utils.deliveryStatusEnum.Delivered, delivery.attempts + 1, 0);
+        delivered++;
+        continue;
+      }
+
+      let attempts = delivery.attempts + 1;
+      let status = attempts >= maxAttempts ? storage_utils.deliveryStatusEnum.Failed : storage_utils.deliveryStatusEnum.Pending;
+      await storage.update_delivery(delivery.id, status, attempts, now + retryDelay * 1000 * 2 ** (attempts - 1), error);
+    }
+  } finally {
+    processing.delete(storage);
+  }
+  return delivered;
+}
+
+exports.signatureHeader = signatureHeader;
+exports.generate_secret = generate_secret;
+exports.sign = sign;
+exports.valid_url = valid_url;
+exports.allowed_hosts = allowed_hosts;
+exports.register_webhook = register_webhook;
+exports.queue_deliveries = queue_deliveries;
+exports.process_deliveries = process_deliveries;